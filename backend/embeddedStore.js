@@ -0,0 +1,461 @@
+import fs from 'fs';
+import path from 'path';
+import mongoose from 'mongoose';
+
+const { EJSON } = mongoose.mongo.BSON;
+
+// A JSON-file store that serves the app's Mongoose models without a MongoDB
+// server. Documents are still real Mongoose documents (built from the same
+// schemas, so casting, defaults and validation behave the same); only reads
+// and writes are handled here. It covers the query and update operators the
+// app uses, and rewrites the whole file on every change, so it's meant for
+// small self-hosted deployments.
+
+// Extended JSON keeps ObjectIds, Dates and Buffers intact
+const serialize = (value) => EJSON.stringify(value, { relaxed: true });
+const deserialize = (json) => EJSON.parse(json, { relaxed: true });
+const clone = (value) => deserialize(serialize(value));
+
+const isPlainObject = (value) => (
+  value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype
+);
+
+// Reduces ids and dates to primitives so they compare by value
+const normalize = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.getTime();
+  if (value._bsontype === 'ObjectId' || value._bsontype === 'ObjectID') return value.toHexString();
+  return value;
+};
+
+const getPath = (record, fieldPath) => fieldPath
+  .split('.')
+  .reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), record);
+
+const setPath = (record, fieldPath, value) => {
+  const keys = fieldPath.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((object, key) => {
+    if (!isPlainObject(object[key])) object[key] = {};
+    return object[key];
+  }, record);
+  target[last] = value;
+};
+
+const unsetPath = (record, fieldPath) => {
+  const keys = fieldPath.split('.');
+  const last = keys.pop();
+  const target = getPath(record, keys.join('.')) ?? (keys.length === 0 ? record : null);
+  if (target) delete target[last];
+};
+
+const equals = (value, expected) => {
+  if (Array.isArray(value)) {
+    return value.some(item => normalize(item) === normalize(expected));
+  }
+  return normalize(value) === normalize(expected);
+};
+
+const compare = (a, b) => {
+  const left = normalize(a);
+  const right = normalize(b);
+  if (left === right) return 0;
+  if (left === null) return -1;
+  if (right === null) return 1;
+  return left < right ? -1 : 1;
+};
+
+const queryOperators = {
+  $eq: (value, expected) => equals(value, expected),
+  $ne: (value, expected) => !equals(value, expected),
+  $gt: (value, expected) => normalize(value) !== null && compare(value, expected) > 0,
+  $gte: (value, expected) => normalize(value) !== null && compare(value, expected) >= 0,
+  $lt: (value, expected) => normalize(value) !== null && compare(value, expected) < 0,
+  $lte: (value, expected) => normalize(value) !== null && compare(value, expected) <= 0,
+  $in: (value, expected) => expected.some(item => equals(value, item)),
+  $nin: (value, expected) => !expected.some(item => equals(value, item)),
+  $exists: (value, expected) => (value !== undefined) === Boolean(expected)
+};
+
+const isOperatorObject = (value) => (
+  isPlainObject(value) && Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith('$'))
+);
+
+// matches() and applyUpdate() are exported so their MongoDB semantics can be
+// tested without a store
+export const matches = (record, filter = {}) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') return condition.some(part => matches(record, part));
+  if (key === '$and') return condition.every(part => matches(record, part));
+
+  const value = getPath(record, key);
+  if (condition instanceof RegExp) {
+    return typeof value === 'string' && condition.test(value);
+  }
+  if (isOperatorObject(condition)) {
+    return Object.entries(condition).every(([operator, expected]) => {
+      if (!queryOperators[operator]) {
+        throw new Error(`Unsupported query operator ${operator}`);
+      }
+      return queryOperators[operator](value, expected);
+    });
+  }
+  return equals(value, condition);
+});
+
+export const applyUpdate = (record, update) => {
+  const hasOperators = Object.keys(update).some(key => key.startsWith('$'));
+  const { $set = {}, $inc = {}, $unset = {}, ...rest } = hasOperators ? update : { $set: update };
+
+  if (Object.keys(rest).length > 0) {
+    throw new Error(`Unsupported update operator ${Object.keys(rest)[0]}`);
+  }
+
+  Object.entries($set).forEach(([fieldPath, value]) => setPath(record, fieldPath, value));
+  Object.entries($inc).forEach(([fieldPath, amount]) => setPath(record, fieldPath, (getPath(record, fieldPath) || 0) + amount));
+  Object.keys($unset).forEach(fieldPath => unsetPath(record, fieldPath));
+};
+
+// Supports Mongoose projection strings such as 'name email' or '-password'
+const applyProjection = (record, projection) => {
+  const fields = projection.split(/\s+/).filter(Boolean);
+  if (fields.every(field => field.startsWith('-'))) {
+    const result = { ...record };
+    fields.forEach(field => delete result[field.slice(1)]);
+    return result;
+  }
+
+  const result = { _id: record._id };
+  fields.forEach((field) => {
+    if (record[field] !== undefined) result[field] = record[field];
+  });
+  return result;
+};
+
+// The object form of a projection string, for Mongoose to know what's
+// selected. Inclusive projections keep _id, as they do in MongoDB.
+const toProjectionObject = (projection) => {
+  const fields = projection.split(/\s+/).filter(Boolean);
+  if (fields.every(field => field.startsWith('-'))) {
+    return Object.fromEntries(fields.map(field => [field.slice(1), 0]));
+  }
+  return { _id: 1, ...Object.fromEntries(fields.map(field => [field, 1])) };
+};
+
+const sortRecords = (records, spec) => [...records].sort((a, b) => {
+  for (const [field, direction] of Object.entries(spec)) {
+    const order = compare(getPath(a, field), getPath(b, field));
+    if (order !== 0) return direction === -1 || direction === 'desc' ? -order : order;
+  }
+  return 0;
+});
+
+// Aggregation expressions: '$field', numbers and a few arithmetic operators
+const evaluate = (expression, record) => {
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    return getPath(record, expression.slice(1));
+  }
+  if (isPlainObject(expression)) {
+    const [[operator, args]] = Object.entries(expression);
+    const values = args.map(arg => evaluate(arg, record));
+    if (operator === '$subtract') return values[0] - values[1];
+    if (operator === '$add') return values.reduce((sum, value) => sum + value, 0);
+    if (operator === '$multiply') return values.reduce((product, value) => product * value, 1);
+    throw new Error(`Unsupported aggregation operator ${operator}`);
+  }
+  return expression;
+};
+
+const accumulators = {
+  $sum: (values) => values.reduce((sum, value) => (typeof value === 'number' ? sum + value : sum), 0),
+  $avg: (values) => {
+    const numbers = values.filter(value => typeof value === 'number');
+    return numbers.length > 0 ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null;
+  },
+  $min: (values) => values.filter(value => value !== undefined && value !== null)
+    .reduce((min, value) => (min === null || compare(value, min) < 0 ? value : min), null),
+  $max: (values) => values.filter(value => value !== undefined && value !== null)
+    .reduce((max, value) => (max === null || compare(value, max) > 0 ? value : max), null),
+  $addToSet: (values) => values.filter((value, index) => (
+    value !== undefined && values.findIndex(other => normalize(other) === normalize(value)) === index
+  ))
+};
+
+const groupRecords = (records, { _id: idExpression, ...fields }) => {
+  const groups = new Map();
+  records.forEach((record) => {
+    const id = idExpression === null ? null : evaluate(idExpression, record);
+    const key = JSON.stringify(normalize(id));
+    if (!groups.has(key)) groups.set(key, { id, records: [] });
+    groups.get(key).records.push(record);
+  });
+
+  return [...groups.values()].map(({ id, records: grouped }) => {
+    const result = { _id: id };
+    Object.entries(fields).forEach(([field, spec]) => {
+      const [[operator, expression]] = Object.entries(spec);
+      if (!accumulators[operator]) {
+        throw new Error(`Unsupported accumulator ${operator}`);
+      }
+      result[field] = accumulators[operator](grouped.map(record => evaluate(expression, record)));
+    });
+    return result;
+  });
+};
+
+// Chainable, awaitable stand-in for a Mongoose query
+class EmbeddedQuery {
+  constructor(run) {
+    this.run = run;
+    this.options = { sort: null, skip: 0, limit: 0, projection: null };
+  }
+
+  sort(spec) {
+    this.options.sort = spec;
+    return this;
+  }
+
+  skip(count) {
+    this.options.skip = count;
+    return this;
+  }
+
+  limit(count) {
+    this.options.limit = count;
+    return this;
+  }
+
+  select(projection) {
+    this.options.projection = projection;
+    return this;
+  }
+
+  exec() {
+    return Promise.resolve().then(() => this.run(this.options));
+  }
+
+  then(resolve, reject) {
+    return this.exec().then(resolve, reject);
+  }
+
+  catch(reject) {
+    return this.exec().catch(reject);
+  }
+}
+
+export const createEmbeddedStore = ({ file }) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const data = fs.existsSync(file) ? deserialize(fs.readFileSync(file, 'utf8')) : {};
+  const tempFile = `${file}.tmp`;
+
+  let writing = Promise.resolve();
+  let pendingWrite = null;
+
+  // Changes made while a write is queued share that write. The temp file and
+  // rename keep a crash from leaving a half-written store behind.
+  const persist = () => {
+    if (!pendingWrite) {
+      pendingWrite = writing.then(async () => {
+        pendingWrite = null;
+        await fs.promises.writeFile(tempFile, serialize(data));
+        await fs.promises.rename(tempFile, file);
+      });
+      writing = pendingWrite.catch(error => console.error('Embedded store write error:', error));
+    }
+    return pendingWrite;
+  };
+
+  const model = (Model) => {
+    const schemaPaths = Object.keys(Model.schema.paths);
+    const uniquePaths = schemaPaths.filter(fieldPath => Model.schema.path(fieldPath).options.unique);
+    // TTL indexes, like the ones on sessions and auth tokens
+    const ttlPaths = schemaPaths
+      .filter(fieldPath => Model.schema.path(fieldPath).options.index?.expires !== undefined)
+      .map(fieldPath => ({ fieldPath, seconds: Model.schema.path(fieldPath).options.index.expires }));
+
+    const getRecords = () => {
+      data[Model.modelName] = data[Model.modelName] || [];
+      return data[Model.modelName];
+    };
+
+    const pruneExpired = () => {
+      if (ttlPaths.length === 0) return;
+      const now = Date.now();
+      const records = getRecords();
+      const kept = records.filter(record => !ttlPaths.some(({ fieldPath, seconds }) => {
+        const value = getPath(record, fieldPath);
+        return value instanceof Date && value.getTime() + seconds * 1000 <= now;
+      }));
+      if (kept.length !== records.length) {
+        data[Model.modelName] = kept;
+        persist();
+      }
+    };
+
+    const findRecords = (filter) => {
+      pruneExpired();
+      return getRecords().filter(record => matches(record, filter));
+    };
+
+    const castRecord = (record) => clone(new Model(record).toObject({ depopulate: true }));
+
+    const assertUnique = (record) => {
+      uniquePaths.forEach((fieldPath) => {
+        const value = getPath(record, fieldPath);
+        if (value === undefined || value === null) return;
+
+        const duplicate = getRecords().some(other => (
+          !equals(other._id, record._id) && equals(getPath(other, fieldPath), value)
+        ));
+        if (duplicate) {
+          const error = new Error(`E11000 duplicate key error: ${Model.modelName}.${fieldPath}`);
+          error.code = 11000;
+          throw error;
+        }
+      });
+    };
+
+    const attach = (doc, projection = null) => {
+      doc.$locals.embeddedProjection = projection;
+      doc.save = () => saveDocument(doc);
+      return doc;
+    };
+
+    const toDocument = (record, projection) => attach(
+      projection
+        ? Model.hydrate(clone(applyProjection(record, projection)), toProjectionObject(projection))
+        : Model.hydrate(clone(record)),
+      projection
+    );
+
+    const saveDocument = async (doc) => {
+      await doc.validate();
+
+      const records = getRecords();
+      const index = records.findIndex(record => equals(record._id, doc._id));
+      let record = clone(doc.toObject({ depopulate: true }));
+
+      // Documents loaded with a projection only hold some of the fields, so
+      // keep the stored values of the ones that weren't loaded
+      if (index !== -1 && doc.$locals.embeddedProjection) {
+        const loaded = applyProjection(records[index], doc.$locals.embeddedProjection);
+        const hidden = Object.entries(records[index]).filter(([key]) => !(key in loaded));
+        record = { ...Object.fromEntries(hidden), ...record };
+      }
+
+      assertUnique(record);
+      if (index === -1) {
+        records.push(record);
+      } else {
+        records[index] = record;
+      }
+
+      doc.isNew = false;
+      await persist();
+      return doc;
+    };
+
+    const find = (filter = {}) => new EmbeddedQuery(({ sort, skip, limit, projection }) => {
+      let records = findRecords(filter);
+      if (sort) records = sortRecords(records, sort);
+      records = records.slice(skip, limit ? skip + limit : undefined);
+      return records.map(record => toDocument(record, projection));
+    });
+
+    const findOne = (filter = {}) => new EmbeddedQuery(({ sort, projection }) => {
+      let records = findRecords(filter);
+      if (sort) records = sortRecords(records, sort);
+      return records.length > 0 ? toDocument(records[0], projection) : null;
+    });
+
+    const updateRecords = async (filter, update, { multi }) => {
+      const targets = findRecords(filter).slice(0, multi ? undefined : 1);
+      // findRecords() may have pruned expired records into a new array
+      const records = getRecords();
+
+      const updated = targets.map((record) => {
+        const next = clone(record);
+        applyUpdate(next, update);
+        const cast = castRecord(next);
+        assertUnique(cast);
+        return { before: record, after: cast };
+      });
+
+      updated.forEach(({ before, after }) => {
+        records[records.indexOf(before)] = after;
+      });
+      if (updated.length > 0) await persist();
+      return updated;
+    };
+
+    const deleteRecords = async (filter, { multi }) => {
+      const targets = findRecords(filter).slice(0, multi ? undefined : 1);
+      if (targets.length > 0) {
+        data[Model.modelName] = getRecords().filter(record => !targets.includes(record));
+        await persist();
+      }
+      return targets;
+    };
+
+    const findOneAndUpdate = async (filter, update, options = {}) => {
+      const [result] = await updateRecords(filter, update, { multi: false });
+      if (!result) return null;
+      return toDocument(options.new ? result.after : result.before);
+    };
+
+    const findOneAndDelete = async (filter) => {
+      const [record] = await deleteRecords(filter, { multi: false });
+      return record ? toDocument(record) : null;
+    };
+
+    // Used with `new`, like a Mongoose model
+    function EmbeddedModel(doc) {
+      return attach(new Model(doc));
+    }
+
+    return Object.assign(EmbeddedModel, {
+      modelName: Model.modelName,
+      schema: Model.schema,
+      hydrate: (record) => attach(Model.hydrate(record)),
+      find,
+      findOne,
+      findById: (id) => findOne({ _id: id }),
+      exists: async (filter) => {
+        const [record] = findRecords(filter);
+        return record ? { _id: record._id } : null;
+      },
+      countDocuments: async (filter = {}) => findRecords(filter).length,
+      distinct: async (fieldPath, filter = {}) => accumulators.$addToSet(
+        findRecords(filter).map(record => getPath(record, fieldPath))
+      ),
+      updateOne: async (filter, update) => {
+        const updated = await updateRecords(filter, update, { multi: false });
+        return { acknowledged: true, matchedCount: updated.length, modifiedCount: updated.length };
+      },
+      updateMany: async (filter, update) => {
+        const updated = await updateRecords(filter, update, { multi: true });
+        return { acknowledged: true, matchedCount: updated.length, modifiedCount: updated.length };
+      },
+      findOneAndUpdate,
+      findByIdAndUpdate: (id, update, options) => findOneAndUpdate({ _id: id }, update, options),
+      deleteOne: async (filter) => ({ acknowledged: true, deletedCount: (await deleteRecords(filter, { multi: false })).length }),
+      deleteMany: async (filter = {}) => ({ acknowledged: true, deletedCount: (await deleteRecords(filter, { multi: true })).length }),
+      findOneAndDelete,
+      findByIdAndDelete: (id) => findOneAndDelete({ _id: id }),
+      aggregate: async (pipeline) => pipeline.reduce((records, stage) => {
+        const [[name, spec]] = Object.entries(stage);
+        if (name === '$match') return records.filter(record => matches(record, spec));
+        if (name === '$group') return groupRecords(records, spec);
+        if (name === '$sort') return sortRecords(records, spec);
+        if (name === '$limit') return records.slice(0, spec);
+        throw new Error(`Unsupported aggregation stage ${name}`);
+      }, findRecords({}))
+    });
+  };
+
+  return {
+    name: 'embedded',
+    location: file,
+    model,
+    flush: () => writing
+  };
+};
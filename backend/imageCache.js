@@ -0,0 +1,89 @@
+import fs from 'fs';
+import path from 'path';
+
+// Disk cache for images derived on request (resized or re-encoded copies of
+// stored files). It always lives on local disk, whatever the storage driver.
+// Reads touch the file's mtime, and once the cache grows past maxBytes the
+// least recently used entries are removed.
+//   get(key) -> Buffer | null
+//   put(key, buffer) -> void
+//   remove(key) -> boolean
+//   list() -> [{ key, size, lastUsed }]
+
+const TEMP_SUFFIX = '.tmp';
+
+export const createDiskCache = ({ directory, maxBytes }) => {
+  fs.mkdirSync(directory, { recursive: true });
+
+  const resolveKey = (key) => {
+    if (!key || key !== path.basename(key) || key.startsWith('.')) {
+      throw new Error(`Invalid cache key "${key}"`);
+    }
+    return path.join(directory, key);
+  };
+
+  const get = async (key) => {
+    const filePath = resolveKey(key);
+    try {
+      const buffer = await fs.promises.readFile(filePath);
+      const now = new Date();
+      fs.promises.utimes(filePath, now, now).catch(() => {});
+      return buffer;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  const remove = async (key) => {
+    try {
+      await fs.promises.unlink(resolveKey(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  };
+
+  const list = async () => {
+    const names = await fs.promises.readdir(directory);
+    const entries = await Promise.all(names
+      .filter(name => !name.endsWith(TEMP_SUFFIX))
+      .map(async (name) => {
+        const stats = await fs.promises.stat(path.join(directory, name)).catch(() => null);
+        return stats?.isFile() ? { key: name, size: stats.size, lastUsed: stats.mtime } : null;
+      }));
+    return entries.filter(Boolean);
+  };
+
+  // Trims the cache to 90% of its limit so it doesn't prune on every write
+  const prune = async () => {
+    const entries = await list();
+    let totalSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+    if (totalSize <= maxBytes) return;
+
+    entries.sort((a, b) => a.lastUsed - b.lastUsed);
+    for (const entry of entries) {
+      if (totalSize <= maxBytes * 0.9) break;
+      await remove(entry.key);
+      totalSize -= entry.size;
+    }
+  };
+
+  const put = async (key, buffer) => {
+    const filePath = resolveKey(key);
+    // Written under a temporary name so readers never see a partial file
+    const tempPath = `${filePath}.${process.pid}${TEMP_SUFFIX}`;
+    await fs.promises.writeFile(tempPath, buffer);
+    await fs.promises.rename(tempPath, filePath);
+    await prune();
+  };
+
+  return {
+    location: directory,
+    get,
+    put,
+    remove,
+    list
+  };
+};
@@ -0,0 +1,173 @@
+// Input format detection by magic bytes, so uploads are identified by their
+// content rather than the MIME type the client claims.
+//   detectImageFormat(buffer) -> 'jpeg' | 'png' | 'webp' | 'gif' | 'avif' | 'heif' | 'tiff' | 'svg' | 'bmp' | null
+//   decodeBmp(buffer) -> { data, width, height, channels: 4 } (raw RGBA for sharp)
+
+const startsWith = (buffer, bytes, offset = 0) => (
+  buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte)
+);
+
+const ascii = (buffer, start, end) => buffer.toString('latin1', start, end);
+
+const AVIF_BRANDS = ['avif', 'avis'];
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+const BMP_HEADER_SIZES = [12, 40, 52, 56, 108, 124];
+
+// HEIF and AVIF share a container; the brands in the ftyp box tell them apart
+const detectIsoMediaFormat = (buffer) => {
+  if (buffer.length < 16 || ascii(buffer, 4, 8) !== 'ftyp') return null;
+
+  const boxSize = Math.min(buffer.readUInt32BE(0), buffer.length);
+  const brands = [ascii(buffer, 8, 12)];
+  for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+    brands.push(ascii(buffer, offset, offset + 4));
+  }
+
+  if (brands.some(brand => AVIF_BRANDS.includes(brand))) return 'avif';
+  if (brands.some(brand => HEIF_BRANDS.includes(brand))) return 'heif';
+  return null;
+};
+
+// SVG is text: an <svg> root, optionally after an XML declaration, comments
+// and a doctype
+const SVG_PATTERN = /^\s*(<\?xml[^>]*\?>\s*)?(<!--[\s\S]*?-->\s*|<!DOCTYPE[^>]*>\s*)*<svg[\s>]/i;
+
+const isSvg = (buffer) => SVG_PATTERN.test(buffer.toString('utf8', 0, 4096).replace(/^\uFEFF/, ''));
+
+export const detectImageFormat = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 4) return null;
+
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return 'jpeg';
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'png';
+  if (ascii(buffer, 0, 6) === 'GIF87a' || ascii(buffer, 0, 6) === 'GIF89a') return 'gif';
+  if (ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WEBP') return 'webp';
+  if (startsWith(buffer, [0x49, 0x49, 0x2a, 0x00]) || startsWith(buffer, [0x4d, 0x4d, 0x00, 0x2a])) return 'tiff';
+  if (ascii(buffer, 0, 2) === 'BM' && buffer.length >= 18 && BMP_HEADER_SIZES.includes(buffer.readUInt32LE(14))) {
+    return 'bmp';
+  }
+
+  return detectIsoMediaFormat(buffer) || (isSvg(buffer) ? 'svg' : null);
+};
+
+const BI_RGB = 0;
+const BI_BITFIELDS = 3;
+const BI_ALPHABITFIELDS = 6;
+// The same limit sharp applies to its own decoders
+const MAX_PIXELS = 0x3FFF * 0x3FFF;
+
+const bmpError = (message) => {
+  const error = new Error(`Unsupported BMP file: ${message}`);
+  error.status = 415;
+  return error;
+};
+
+// Reads one channel from a packed pixel with a bit mask, scaled to 0-255
+const readMasked = (value, mask) => {
+  if (!mask) return null;
+  let shift = 0;
+  while (((mask >>> shift) & 1) === 0) shift++;
+  const max = mask >>> shift;
+  return Math.round((((value & mask) >>> shift) / max) * 255);
+};
+
+// libvips has no BMP loader, so uncompressed BMPs (1-32 bits per pixel,
+// including bit field masks) are decoded here. RLE compression isn't supported.
+// Every offset is checked against the buffer first, so truncated or corrupt
+// files fail with a 415 rather than a RangeError.
+export const decodeBmp = (buffer) => {
+  if (buffer.length < 18) throw bmpError('the header is truncated');
+  const dataOffset = buffer.readUInt32LE(10);
+  const headerSize = buffer.readUInt32LE(14);
+  const isCoreHeader = headerSize === 12;
+
+  if (!BMP_HEADER_SIZES.includes(headerSize)) throw bmpError(`unknown header size ${headerSize}`);
+  if (buffer.length < 14 + headerSize) throw bmpError('the header is truncated');
+
+  const width = isCoreHeader ? buffer.readUInt16LE(18) : buffer.readInt32LE(18);
+  const rawHeight = isCoreHeader ? buffer.readInt16LE(20) : buffer.readInt32LE(22);
+  const bitsPerPixel = buffer.readUInt16LE(isCoreHeader ? 24 : 28);
+  const compression = isCoreHeader ? BI_RGB : buffer.readUInt32LE(30);
+  const height = Math.abs(rawHeight);
+  const topDown = rawHeight < 0;
+
+  if (width <= 0 || height === 0) throw bmpError('invalid dimensions');
+  if (width * height > MAX_PIXELS) throw bmpError('the image is too large');
+  if (![BI_RGB, BI_BITFIELDS, BI_ALPHABITFIELDS].includes(compression)) {
+    throw bmpError('compressed BMPs are not supported');
+  }
+  if (![1, 4, 8, 16, 24, 32].includes(bitsPerPixel)) {
+    throw bmpError(`${bitsPerPixel} bits per pixel is not supported`);
+  }
+
+  // Bit field masks follow the 40-byte info header, which is also where
+  // they sit inside the larger V4/V5 headers
+  let masks = bitsPerPixel === 16
+    ? { red: 0x7c00, green: 0x03e0, blue: 0x001f, alpha: 0 }
+    : { red: 0xff0000, green: 0xff00, blue: 0xff, alpha: bitsPerPixel === 32 ? 0xff000000 : 0 };
+  if (compression !== BI_RGB) {
+    const maskOffset = 14 + 40;
+    const hasAlphaMask = headerSize >= 56 || compression === BI_ALPHABITFIELDS;
+    if (buffer.length < maskOffset + (hasAlphaMask ? 16 : 12)) throw bmpError('the bit field masks are truncated');
+    masks = {
+      red: buffer.readUInt32LE(maskOffset),
+      green: buffer.readUInt32LE(maskOffset + 4),
+      blue: buffer.readUInt32LE(maskOffset + 8),
+      alpha: hasAlphaMask ? buffer.readUInt32LE(maskOffset + 12) : 0
+    };
+  }
+
+  let palette = null;
+  if (bitsPerPixel <= 8) {
+    const entrySize = isCoreHeader ? 3 : 4;
+    const paletteOffset = 14 + headerSize;
+    const declared = isCoreHeader ? 0 : buffer.readUInt32LE(46);
+    const count = declared || 2 ** bitsPerPixel;
+    if (count > 2 ** bitsPerPixel) throw bmpError('the palette is too large');
+    if (paletteOffset + count * entrySize > buffer.length) throw bmpError('the palette is truncated');
+    palette = Array.from({ length: count }, (_, i) => {
+      const offset = paletteOffset + i * entrySize;
+      return [buffer[offset + 2], buffer[offset + 1], buffer[offset]];
+    });
+  }
+
+  const rowSize = Math.ceil((bitsPerPixel * width) / 32) * 4;
+  if (dataOffset + rowSize * height > buffer.length) throw bmpError('the pixel data is truncated');
+
+  const data = Buffer.alloc(width * height * 4);
+  // Some encoders write 32-bit BMPs with an alpha mask but leave it all zero
+  let hasAlpha = false;
+
+  for (let y = 0; y < height; y++) {
+    const row = dataOffset + (topDown ? y : height - 1 - y) * rowSize;
+
+    for (let x = 0; x < width; x++) {
+      const out = (y * width + x) * 4;
+      let rgba;
+
+      if (palette) {
+        const bit = x * bitsPerPixel;
+        const index = (buffer[row + (bit >> 3)] >> (8 - bitsPerPixel - (bit & 7))) & ((1 << bitsPerPixel) - 1);
+        rgba = [...(palette[index] || [0, 0, 0]), 255];
+      } else if (bitsPerPixel === 24) {
+        const offset = row + x * 3;
+        rgba = [buffer[offset + 2], buffer[offset + 1], buffer[offset], 255];
+      } else {
+        const value = bitsPerPixel === 16 ? buffer.readUInt16LE(row + x * 2) : buffer.readUInt32LE(row + x * 4);
+        const alpha = readMasked(value, masks.alpha);
+        if (alpha) hasAlpha = true;
+        rgba = [readMasked(value, masks.red), readMasked(value, masks.green), readMasked(value, masks.blue), alpha ?? 255];
+      }
+
+      data[out] = rgba[0];
+      data[out + 1] = rgba[1];
+      data[out + 2] = rgba[2];
+      data[out + 3] = rgba[3];
+    }
+  }
+
+  if (masks.alpha && !hasAlpha) {
+    for (let i = 3; i < data.length; i += 4) data[i] = 255;
+  }
+
+  return { data, width, height, channels: 4 };
+};
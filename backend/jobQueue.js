@@ -0,0 +1,130 @@
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+
+// In-memory job queue that bounds how many image pipelines run at once.
+// Each job reports queued/processing/done/failed plus a 0-100 progress value,
+// and listeners can subscribe to a job's updates (used for Server-Sent Events).
+export const createJobQueue = ({ concurrency = 2, maxQueued = 50, retentionMs = 60 * 60 * 1000 } = {}) => {
+  const jobs = new Map();
+  const pending = [];
+  const events = new EventEmitter();
+  let active = 0;
+
+  // Every open SSE connection adds a listener, so don't warn about many of them
+  events.setMaxListeners(0);
+
+  const serialize = (job) => ({
+    id: job.id,
+    status: job.status,
+    progress: job.progress,
+    stage: job.stage,
+    position: job.status === 'queued' ? pending.indexOf(job) + 1 : null,
+    result: job.result,
+    error: job.error,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt
+  });
+
+  const update = (job, changes) => {
+    Object.assign(job, changes, { updatedAt: new Date() });
+    events.emit(job.id, serialize(job));
+  };
+
+  const runNext = () => {
+    while (active < concurrency && pending.length > 0) {
+      const job = pending.shift();
+      const task = job.task;
+      active++;
+
+      // Positions shift for everything still waiting
+      pending.forEach(waiting => events.emit(waiting.id, serialize(waiting)));
+      update(job, { status: 'processing', progress: 0, stage: 'Starting' });
+
+      const reportProgress = (progress, stage) => {
+        update(job, {
+          progress: Math.max(job.progress, Math.min(99, Math.round(progress))),
+          stage: stage || job.stage
+        });
+      };
+
+      Promise.resolve()
+        .then(() => task(reportProgress))
+        .then((result) => {
+          // run() callers take the result from the promise, so only tracked
+          // jobs keep it around for polling
+          update(job, { status: 'done', progress: 100, stage: 'Done', result: job.tracked ? result : null });
+          job.resolve(result);
+        })
+        .catch((error) => {
+          update(job, {
+            status: 'failed',
+            stage: 'Failed',
+            error: { message: error.message, status: error.status || 500 }
+          });
+          job.reject(error);
+        })
+        .finally(() => {
+          active--;
+          job.task = null;
+          events.removeAllListeners(job.id);
+          if (job.tracked) {
+            setTimeout(() => jobs.delete(job.id), retentionMs).unref();
+          }
+          runNext();
+        });
+    }
+  };
+
+  const enqueue = (task, { userId = null } = {}, tracked) => {
+    if (pending.length >= maxQueued) {
+      const error = new Error('The compression queue is full, please try again later');
+      error.status = 503;
+      throw error;
+    }
+
+    const job = {
+      id: uuidv4(),
+      userId,
+      tracked,
+      task,
+      status: 'queued',
+      progress: 0,
+      stage: 'Queued',
+      result: null,
+      error: null,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    job.done = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+    // Background jobs report failures through their status, not the promise
+    job.done.catch(() => {});
+
+    if (tracked) jobs.set(job.id, job);
+    pending.push(job);
+    runNext();
+    return job;
+  };
+
+  // Queues a background job that can be looked up by id until retentionMs
+  // after it finishes
+  const add = (task, meta) => enqueue(task, meta, true);
+
+  // Runs a task within the concurrency limit and waits for its result. The
+  // job isn't registered, so nothing is kept once the promise settles.
+  const run = (task, meta) => enqueue(task, meta, false).done;
+
+  const get = (jobId) => jobs.get(jobId) || null;
+
+  const subscribe = (jobId, listener) => {
+    events.on(jobId, listener);
+    return () => events.off(jobId, listener);
+  };
+
+  const stats = () => ({ active, queued: pending.length, retained: jobs.size, concurrency });
+
+  return { add, run, get, subscribe, serialize, stats };
+};
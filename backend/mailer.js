@@ -0,0 +1,77 @@
+import fs from 'fs';
+import path from 'path';
+import nodemailer from 'nodemailer';
+
+// Mail transports share one interface: send({ to, subject, text, html }).
+//   smtp    - any SMTP server (including MailHog on port 1025 for local testing)
+//   file    - writes each message as an .eml file
+//   console - logs the message, the default when nothing is configured
+
+export const createSmtpMailer = ({ from, host, port, secure, user, pass }) => {
+  if (!host) {
+    throw new Error('SMTP_HOST is required when MAIL_TRANSPORT=smtp');
+  }
+
+  const transport = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      await transport.sendMail({ from, ...message });
+    }
+  };
+};
+
+export const createFileMailer = ({ from, directory }) => {
+  fs.mkdirSync(directory, { recursive: true });
+  // Builds the raw message without sending it anywhere
+  const transport = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      const info = await transport.sendMail({ from, ...message });
+      const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`;
+      await fs.promises.writeFile(path.join(directory, fileName), info.message);
+    }
+  };
+};
+
+export const createConsoleMailer = ({ from }) => ({
+  name: 'console',
+  send: async ({ to, subject, text }) => {
+    console.log(`✉️  Mail from ${from} to ${to}: ${subject}\n${text}`);
+  }
+});
+
+// Picks the transport from MAIL_TRANSPORT (console by default)
+export const createMailerFromEnv = (env, { defaultDirectory }) => {
+  const transport = (env.MAIL_TRANSPORT || 'console').toLowerCase();
+  const from = env.MAIL_FROM || 'Image Compressor <no-reply@localhost>';
+
+  if (transport === 'smtp') {
+    return createSmtpMailer({
+      from,
+      host: env.SMTP_HOST,
+      port: parseInt(env.SMTP_PORT) || 587,
+      secure: env.SMTP_SECURE === 'true',
+      user: env.SMTP_USER,
+      pass: env.SMTP_PASS
+    });
+  }
+
+  if (transport === 'file') {
+    return createFileMailer({ from, directory: env.MAIL_FILE_DIR || defaultDirectory });
+  }
+
+  if (transport === 'console') {
+    return createConsoleMailer({ from });
+  }
+
+  throw new Error(`Unknown MAIL_TRANSPORT "${env.MAIL_TRANSPORT}", expected "smtp", "file" or "console"`);
+};
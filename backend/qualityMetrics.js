@@ -0,0 +1,131 @@
+import sharp from 'sharp';
+
+// Perceptual quality of an encoded image compared with its source, as SSIM
+// and PSNR on the luma channel, plus the quality search that keeps SSIM above
+// a floor.
+//   measureQuality(sourceBuffer, encoded) -> { ssim, psnr }
+//   findLowestQualityForSsim(inputBuffer, { minSsim, encode, onAttempt }) -> encoded + { metrics, thresholdMet }
+
+const METRIC_MAX_DIMENSION = 1024;
+const SSIM_WINDOW_SIZE = 8;
+const SSIM_WINDOW_STEP = 4;
+export const MAX_PSNR = 100;
+export const MIN_SEARCH_QUALITY = 10;
+export const MAX_SEARCH_QUALITY = 100;
+
+// Large images are compared at a reduced size, which is enough for SSIM and
+// keeps the cost bounded
+export const getMetricSize = (width, height) => {
+  const scale = Math.min(1, METRIC_MAX_DIMENSION / Math.max(width, height));
+  return {
+    width: Math.max(SSIM_WINDOW_SIZE, Math.round(width * scale)),
+    height: Math.max(SSIM_WINDOW_SIZE, Math.round(height * scale))
+  };
+};
+
+// Decodes to luma at a fixed size. Resizing never crops, so the source and
+// the encoded output line up once both are scaled to the output's size.
+// Animated images are compared on their first frame.
+export const getLumaPixels = (inputBuffer, { width, height }) => (
+  sharp(inputBuffer)
+    .rotate()
+    .resize({ width, height, fit: 'fill' })
+    .flatten({ background: '#ffffff' })
+    .toColourspace('b-w')
+    .raw()
+    .toBuffer()
+);
+
+// Mean SSIM over sliding windows plus PSNR, both on the luma channel
+export const compareLumaPixels = (reference, compressed, { width, height }) => {
+  const c1 = (0.01 * 255) ** 2;
+  const c2 = (0.03 * 255) ** 2;
+  const windowArea = SSIM_WINDOW_SIZE * SSIM_WINDOW_SIZE;
+  let ssimTotal = 0;
+  let windowCount = 0;
+
+  for (let top = 0; top + SSIM_WINDOW_SIZE <= height; top += SSIM_WINDOW_STEP) {
+    for (let left = 0; left + SSIM_WINDOW_SIZE <= width; left += SSIM_WINDOW_STEP) {
+      let sumX = 0, sumY = 0, sumXX = 0, sumYY = 0, sumXY = 0;
+
+      for (let y = top; y < top + SSIM_WINDOW_SIZE; y++) {
+        for (let x = left; x < left + SSIM_WINDOW_SIZE; x++) {
+          const a = reference[y * width + x];
+          const b = compressed[y * width + x];
+          sumX += a;
+          sumY += b;
+          sumXX += a * a;
+          sumYY += b * b;
+          sumXY += a * b;
+        }
+      }
+
+      const meanX = sumX / windowArea;
+      const meanY = sumY / windowArea;
+      const varianceX = sumXX / windowArea - meanX * meanX;
+      const varianceY = sumYY / windowArea - meanY * meanY;
+      const covariance = sumXY / windowArea - meanX * meanY;
+
+      ssimTotal += ((2 * meanX * meanY + c1) * (2 * covariance + c2)) /
+        ((meanX * meanX + meanY * meanY + c1) * (varianceX + varianceY + c2));
+      windowCount++;
+    }
+  }
+
+  let squaredError = 0;
+  for (let i = 0; i < reference.length; i++) {
+    const diff = reference[i] - compressed[i];
+    squaredError += diff * diff;
+  }
+  const mse = squaredError / reference.length;
+
+  return {
+    ssim: parseFloat((ssimTotal / windowCount).toFixed(4)),
+    // Identical images have infinite PSNR; cap it so it stays valid JSON
+    psnr: mse === 0 ? MAX_PSNR : parseFloat(Math.min(MAX_PSNR, 10 * Math.log10((255 * 255) / mse)).toFixed(2))
+  };
+};
+
+export const measureQuality = async (sourceBuffer, encoded, referencePixels = null) => {
+  const size = getMetricSize(encoded.width, encoded.height);
+  const reference = referencePixels || await getLumaPixels(sourceBuffer, size);
+  const compressed = await getLumaPixels(encoded.buffer, size);
+  return compareLumaPixels(reference, compressed, size);
+};
+
+// Binary search for the lowest quality whose SSIM still meets minSsim.
+// encode(quality) returns { buffer, width, height, quality }. The output size
+// doesn't change between attempts, so the reference is decoded once. If no
+// quality meets the floor, the highest one tried is returned instead.
+export const findLowestQualityForSsim = async (inputBuffer, { minSsim, encode, onAttempt = null }) => {
+  let low = MIN_SEARCH_QUALITY;
+  let high = MAX_SEARCH_QUALITY;
+  let best = null;
+  let highest = null;
+  let referencePixels = null;
+  let attempts = 0;
+
+  while (low <= high) {
+    const quality = Math.floor((low + high) / 2);
+    const attempt = await encode(quality);
+    attempts++;
+    onAttempt?.(attempts);
+
+    referencePixels = referencePixels ||
+      await getLumaPixels(inputBuffer, getMetricSize(attempt.width, attempt.height));
+    attempt.metrics = await measureQuality(inputBuffer, attempt, referencePixels);
+
+    if (!highest || attempt.quality > highest.quality) highest = attempt;
+
+    if (attempt.metrics.ssim >= minSsim) {
+      best = attempt;
+      high = quality - 1;
+    } else {
+      low = quality + 1;
+    }
+  }
+
+  return best
+    ? { ...best, thresholdMet: true }
+    : { ...highest, thresholdMet: false };
+};
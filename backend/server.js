@@ -7,11 +7,23 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
 import { execSync } from 'child_process';
+import crypto from 'crypto';
 import mongoose from 'mongoose';
 import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
-import rateLimit from 'express-rate-limit';
+import rateLimit, { ipKeyGenerator, MemoryStore } from 'express-rate-limit';
 import dotenv from 'dotenv';
+import archiver from 'archiver';
+import exifReader from 'exif-reader';
+import icc from 'icc';
+import { createJobQueue } from './jobQueue.js';
+import { createStorageFromEnv } from './storage.js';
+import { createMailerFromEnv } from './mailer.js';
+import { createDiskCache } from './imageCache.js';
+import { createEmbeddedStore } from './embeddedStore.js';
+import { detectImageFormat, decodeBmp } from './imageFormats.js';
+import { measureQuality, findLowestQualityForSsim } from './qualityMetrics.js';
+import { hashToken, sessionSchema, authTokenSchema, createSessionStore } from './sessions.js';
 
 // Load environment variables
 dotenv.config();
@@ -23,8 +35,12 @@ const app = express();
 const PORT = process.env.PORT || 3001;
 
 // MongoDB Connection (optional for local testing)
-// If you want DB features, set MONGODB_URI. Otherwise server will run without DB.
-if (process.env.MONGODB_URI && process.env.MONGODB_URI.length > 0) {
+// Without MONGODB_URI the models are kept in an embedded JSON-file store instead.
+const embeddedStore = process.env.MONGODB_URI
+  ? null
+  : createEmbeddedStore({ file: process.env.EMBEDDED_DB_PATH || path.join(__dirname, 'data', 'store.json') });
+
+if (!embeddedStore) {
   mongoose.connect(process.env.MONGODB_URI, {
     useNewUrlParser: true,
     useUnifiedTopology: true,
@@ -32,10 +48,40 @@ if (process.env.MONGODB_URI && process.env.MONGODB_URI.length > 0) {
   .then(() => console.log('✅ Connected to MongoDB'))
   .catch(err => console.error('❌ MongoDB connection error:', err));
 } else {
-  console.warn('⚠️ No MONGODB_URI set — skipping database connection. Set MONGODB_URI to enable DB features.');
+  console.warn(`⚠️ No MONGODB_URI set — using the embedded store at ${embeddedStore.location}. Set MONGODB_URI to use MongoDB.`);
 }
 
 // MongoDB Schemas and Models
+// Named compression settings, stored on the user. Admins can share theirs with
+// every user.
+const presetSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  quality: Number,
+  format: String,
+  width: Number,
+  height: Number,
+  maintainAspectRatio: Boolean,
+  metadata: String,
+  transforms: [mongoose.Schema.Types.Mixed],
+  shared: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
 const userSchema = new mongoose.Schema({
   username: {
     type: String,
@@ -62,11 +108,24 @@ const userSchema = new mongoose.Schema({
     enum: ['user', 'admin'],
     default: 'user'
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: Date,
+  // Disabled accounts can't sign in or use their API keys
+  disabledAt: Date,
+  // Compressions made on `day` (UTC, YYYY-MM-DD), counted against the quota
+  usage: {
+    day: String,
+    compressions: { type: Number, default: 0 }
+  },
   compressionStats: {
     totalCompressions: { type: Number, default: 0 },
     totalSizeSaved: { type: Number, default: 0 }, // Fixed: Added default value
     lastCompression: Date
   },
+  presets: [presetSchema],
   createdAt: {
     type: Date,
     default: Date.now
@@ -86,33 +145,346 @@ const compressionHistorySchema = new mongoose.Schema({
   compressionRatio: Number,
   format: String,
   quality: Number,
+  metadataPolicy: String,
+  transforms: [mongoose.Schema.Types.Mixed],
+  adjustments: mongoose.Schema.Types.Mixed,
+  responsiveSetId: String,
+  metrics: {
+    ssim: Number,
+    psnr: Number
+  },
   dimensions: {
     original: { width: Number, height: Number },
     compressed: { width: Number, height: Number }
   },
   downloadUrl: String,
+  // Hash of the owner, input bytes and options; records with the same hash
+  // share one stored file
+  contentHash: {
+    type: String,
+    index: true
+  },
+  target: mongoose.Schema.Types.Mixed,
+  qualityFloor: mongoose.Schema.Types.Mixed,
+  animation: mongoose.Schema.Types.Mixed,
+  // Detected input format, plus the SVG density or TIFF page used
+  source: mongoose.Schema.Types.Mixed,
+  // Candidates compared when the format was chosen automatically
+  autoFormat: mongoose.Schema.Types.Mixed,
+  expiresAt: {
+    type: Date,
+    index: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const watermarkSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  type: {
+    type: String,
+    enum: ['text', 'image'],
+    required: true
+  },
+  text: String,
+  font: String,
+  color: String,
+  position: String,
+  x: Number,
+  y: Number,
+  opacity: Number,
+  scale: Number,
+  tile: Boolean,
+  image: Buffer,
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
-const User = mongoose.model('User', userSchema);
-const CompressionHistory = mongoose.model('CompressionHistory', compressionHistorySchema);
+// API keys for programmatic access. Only a SHA-256 hash of the key is stored;
+// the key itself is shown once when it's created.
+const apiKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  prefix: String,
+  scopes: [{
+    type: String,
+    enum: ['compress', 'history:read', 'delete']
+  }],
+  lastUsedAt: Date,
+  revokedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
 
-// Create uploads directory if it doesn't exist
-const uploadsDir = path.join(__dirname, 'uploads');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
-}
+// Share links for one or more history records. A share with several records
+// is shown as a gallery.
+const shareSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  title: String,
+  recordIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CompressionHistory'
+  }],
+  passwordHash: String,
+  maxDownloads: Number,
+  downloadCount: {
+    type: Number,
+    default: 0
+  },
+  revokedAt: Date,
+  // Shares without an expiry last until they're revoked
+  expiresAt: {
+    type: Date,
+    index: { expires: 0 }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Owners of batch ZIPs made by signed-in users. The archives have no history
+// record, so this is what keeps them private.
+const batchArchiveSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  fileName: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// The same schemas back the embedded store when MongoDB isn't configured
+const defineModel = (name, schema) => {
+  const model = mongoose.model(name, schema);
+  return embeddedStore ? embeddedStore.model(model) : model;
+};
+
+const isDatabaseReady = () => Boolean(embeddedStore) || mongoose.connection.readyState === 1;
+
+const User = defineModel('User', userSchema);
+const CompressionHistory = defineModel('CompressionHistory', compressionHistorySchema);
+const Watermark = defineModel('Watermark', watermarkSchema);
+const ApiKey = defineModel('ApiKey', apiKeySchema);
+const Session = defineModel('Session', sessionSchema);
+const AuthToken = defineModel('AuthToken', authTokenSchema);
+const Share = defineModel('Share', shareSchema);
+const BatchArchive = defineModel('BatchArchive', batchArchiveSchema);
+
+// Session revocation and single-use tokens for email and password links
+const {
+  isSessionActive,
+  revokeSession,
+  revokeUserSessions,
+  issueAuthToken,
+  consumeAuthToken
+} = createSessionStore({ Session, AuthToken });
+
+// Compressed files go through the storage driver (local disk or S3-compatible)
+// so instances with ephemeral disks can share one bucket
+const fileStorage = createStorageFromEnv(process.env, {
+  defaultDirectory: path.join(__dirname, 'uploads')
+});
+
+const mailer = createMailerFromEnv(process.env, {
+  defaultDirectory: path.join(__dirname, 'mail')
+});
+
+// Every sharp pipeline runs through this queue, which bounds concurrent image
+// work and lets long encodes run as background jobs
+const compressionQueue = createJobQueue({
+  concurrency: parseInt(process.env.COMPRESSION_CONCURRENCY) || 2,
+  maxQueued: parseInt(process.env.MAX_QUEUED_JOBS) || 50
+});
+
+// Retention: compressed files are deleted by the sweeper once they expire.
+// Files without a history record (anonymous results, batch ZIPs) always use
+// the anonymous period.
+const HOUR_MS = 60 * 60 * 1000;
+const retentionPeriods = {
+  anonymous: (parseFloat(process.env.RETENTION_HOURS_ANONYMOUS) || 24) * HOUR_MS,
+  user: (parseFloat(process.env.RETENTION_HOURS_USER) || 30 * 24) * HOUR_MS,
+  admin: (parseFloat(process.env.RETENTION_HOURS_ADMIN) || 90 * 24) * HOUR_MS
+};
+const RETENTION_SWEEP_INTERVAL_MS = (parseFloat(process.env.RETENTION_SWEEP_INTERVAL_MINUTES) || 60) * 60 * 1000;
+
+const getExpiresAt = (user) => {
+  const period = user
+    ? retentionPeriods[user.role] || retentionPeriods.user
+    : retentionPeriods.anonymous;
+  return new Date(Date.now() + period);
+};
+
+// Quotas per role. Anonymous requests have no account to count against, so
+// only the file size and format limits apply to them. A limit of 0 means
+// unlimited, except for the file size; formats default to all of them.
+const MB = 1024 * 1024;
+
+const readQuotaLimit = (name, fallback) => {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+const readQuota = (role, defaults) => {
+  const prefix = `QUOTA_${role.toUpperCase()}`;
+  const formats = process.env[`${prefix}_FORMATS`];
+
+  return {
+    compressionsPerDay: readQuotaLimit(`${prefix}_COMPRESSIONS_PER_DAY`, defaults.compressionsPerDay),
+    maxFileSize: Math.round((parseFloat(process.env[`${prefix}_MAX_FILE_MB`]) || defaults.maxFileMb) * MB),
+    storageBytes: Math.round(readQuotaLimit(`${prefix}_STORAGE_MB`, defaults.storageMb) * MB),
+    formats: formats
+      ? formats.split(',').map(format => format.trim().toLowerCase().replace(/^jpg$/, 'jpeg')).filter(Boolean)
+      : null
+  };
+};
+
+const quotas = {
+  anonymous: readQuota('anonymous', { compressionsPerDay: 0, maxFileMb: 10, storageMb: 0 }),
+  user: readQuota('user', { compressionsPerDay: 200, maxFileMb: 10, storageMb: 500 }),
+  admin: readQuota('admin', { compressionsPerDay: 0, maxFileMb: 10, storageMb: 0 })
+};
+
+// Uploads are capped at the largest file size any role may send
+const MAX_UPLOAD_SIZE = Math.max(...Object.values(quotas).map(quota => quota.maxFileSize));
+
+const getQuota = (user) => (user ? quotas[user.role] || quotas.user : quotas.anonymous);
+
+// Unlimited values are reported as null
+const serializeQuota = (quota) => ({
+  compressionsPerDay: quota.compressionsPerDay || null,
+  maxFileSize: quota.maxFileSize,
+  storageBytes: quota.storageBytes || null,
+  formats: quota.formats
+});
+
+const getUsageDay = () => new Date().toISOString().slice(0, 10);
+
+const getNextUsageDay = () => {
+  const next = new Date();
+  next.setUTCHours(24, 0, 0, 0);
+  return next;
+};
+
+// Compressions that passed the quota check but haven't been counted yet, by
+// user id. Jobs can wait in the queue for a while, so without this a burst of
+// submissions would all pass the check before any of them is counted.
+const reservedCompressions = new Map();
+
+const reserveCompressions = (userId, count) => {
+  reservedCompressions.set(userId, (reservedCompressions.get(userId) || 0) + count);
+
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    const remaining = reservedCompressions.get(userId) - count;
+    if (remaining > 0) {
+      reservedCompressions.set(userId, remaining);
+    } else {
+      reservedCompressions.delete(userId);
+    }
+  };
+};
+
+// Usage is the compressions counted or reserved today and the files a user
+// currently has stored
+const getUsage = async (user) => {
+  const stored = await CompressionHistory.aggregate([
+    { $match: { userId: user._id } },
+    { $group: { _id: null, files: { $sum: 1 }, bytes: { $sum: '$compressedSize' } } }
+  ]);
+
+  return {
+    compressionsToday: (user.usage?.day === getUsageDay() ? user.usage.compressions : 0) +
+      (reservedCompressions.get(String(user._id)) || 0),
+    storedFiles: stored[0]?.files || 0,
+    storedBytes: stored[0]?.bytes || 0
+  };
+};
+
+const getQuotaStatus = async (user) => ({
+  limits: serializeQuota(getQuota(user)),
+  usage: await getUsage(user),
+  resetsAt: getNextUsageDay()
+});
 
 // Rate Limiting
+// Requests made with an API key are counted per key rather than per IP
+const getCompressionLimit = (req) => (req.user?.apiKeyId
+  ? parseInt(process.env.API_KEY_RATE_LIMIT_MAX_REQUESTS) || 500
+  : parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100);
+
+const getCompressionLimitKey = (req) => (
+  req.user?.apiKeyId ? `api-key:${req.user.apiKeyId}` : ipKeyGenerator(req.ip)
+);
+
+// Kept in a variable so batches can count each file against the same limit
+const compressionLimitStore = new MemoryStore();
+
 const compressionLimiter = rateLimit({
   windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
-  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
-  message: {
-    error: 'Too many compression requests from this IP, please try again later.'
-  }
+  max: getCompressionLimit,
+  keyGenerator: getCompressionLimitKey,
+  store: compressionLimitStore,
+  message: (req) => ({
+    error: req.user?.apiKeyId
+      ? 'Too many compression requests for this API key, please try again later.'
+      : 'Too many compression requests from this IP, please try again later.'
+  })
 });
 
 const authLimiter = rateLimit({
@@ -126,82 +498,299 @@ const authLimiter = rateLimit({
 // Middleware
 app.use(cors());
 app.use(express.json());
-app.use('/uploads', express.static(uploadsDir));
 
-// JWT Authentication Middleware
-const authenticateToken = (req, res, next) => {
+// API keys can be sent as a bearer token or in the X-API-Key header
+const API_KEY_PREFIX = 'ick_';
+const apiKeyScopes = ['compress', 'history:read', 'delete'];
+
+const getRequestToken = (req) => {
   const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+  return (authHeader && authHeader.split(' ')[1]) || req.headers['x-api-key'] || null;
+};
+
+// Resolves an API key to the same shape as a JWT payload, plus its scopes
+const authenticateApiKey = async (key) => {
+  const apiKey = await ApiKey.findOne({ keyHash: hashToken(key), revokedAt: null });
+  if (!apiKey) return null;
+
+  const user = await User.findById(apiKey.userId).select('username email role disabledAt');
+  if (!user || user.disabledAt) return null;
+
+  await ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date() } });
+
+  return {
+    userId: String(user._id),
+    username: user.username,
+    email: user.email,
+    role: user.role,
+    apiKeyId: String(apiKey._id),
+    scopes: apiKey.scopes
+  };
+};
+
+// Routes opt in to API keys by naming the scope a key needs; everywhere else
+// only a login token is accepted
+const allowApiKey = (scope) => (req, res, next) => {
+  req.apiKeyScope = scope;
+  next();
+};
+
+const resolveApiKeyUser = async (req, res, token) => {
+  if (!req.apiKeyScope) {
+    res.status(403).json({ error: 'API keys cannot be used for this endpoint' });
+    return null;
+  }
+
+  const user = await authenticateApiKey(token);
+  if (!user) {
+    res.status(403).json({ error: 'Invalid or revoked API key' });
+    return null;
+  }
+  if (!user.scopes.includes(req.apiKeyScope)) {
+    res.status(403).json({ error: `API key is missing the "${req.apiKeyScope}" scope` });
+    return null;
+  }
+
+  return user;
+};
+
+// Access tokens are short-lived JWTs tied to a session, so revoking the
+// session also rejects tokens that haven't expired yet
+const verifyAccessToken = async (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+
+  return await isSessionActive(payload.sessionId) ? payload : null;
+};
+
+// Resolves a bearer token or API key to req.user, responding with an error
+// and returning null if it isn't valid
+const authenticateRequest = async (req, res, token) => {
+  try {
+    if (token.startsWith(API_KEY_PREFIX)) {
+      return await resolveApiKeyUser(req, res, token);
+    }
+
+    const user = await verifyAccessToken(token);
+    if (!user) {
+      res.status(403).json({ error: 'Invalid or expired token' });
+      return null;
+    }
+    return user;
+  } catch (error) {
+    console.error('Authentication error:', error);
+    res.status(500).json({ error: 'Authentication failed', message: error.message });
+    return null;
+  }
+};
+
+// JWT Authentication Middleware
+const authenticateToken = async (req, res, next) => {
+  const token = getRequestToken(req);
 
   if (!token) {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid or expired token' });
-    }
-    req.user = user;
-    next();
-  });
+  const user = await authenticateRequest(req, res, token);
+  if (!user) return;
+  req.user = user;
+  next();
 };
 
 // Optional authentication middleware
-const optionalAuth = (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+// Credentials that don't work are an error rather than an anonymous request,
+// so clients know to refresh their token and don't silently lose history
+const optionalAuth = async (req, res, next) => {
+  const token = getRequestToken(req);
 
   if (token) {
-    jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-      if (!err) {
-        req.user = user;
-      }
-    });
+    const user = await authenticateRequest(req, res, token);
+    if (!user) return;
+    req.user = user;
+  }
+  next();
+};
+
+// Goes after authenticateToken. The role comes from the access token, which
+// is why changing a user's role signs them out everywhere.
+const requireRole = (role) => (req, res, next) => {
+  if (req.user?.role !== role) {
+    return res.status(403).json({ error: `${role[0].toUpperCase()}${role.slice(1)} access required` });
   }
   next();
 };
 
 // Multer configuration for file upload
+// A batch can carry a watermark logo on top of its images, so the file count
+// leaves room for it
+const MAX_BATCH_FILES = parseInt(process.env.MAX_BATCH_FILES) || 20;
 const storage = multer.memoryStorage();
 const upload = multer({
   storage: storage,
   limits: {
-    fileSize: 10 * 1024 * 1024, // 10MB limit
-  },
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith('image/')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed!'), false);
-    }
+    fileSize: MAX_UPLOAD_SIZE,
+    files: MAX_BATCH_FILES + 1
   },
 });
 
-// Error handling middleware
-app.use((error, req, res, next) => {
-  if (error instanceof multer.MulterError) {
+const getUploadErrorMessage = (error) => {
+  switch (error.code) {
+    case 'LIMIT_FILE_COUNT':
+      return `A batch can have at most ${MAX_BATCH_FILES} images plus one watermark image`;
+    case 'LIMIT_UNEXPECTED_FILE':
+      return error.field === 'images'
+        ? `A batch can have at most ${MAX_BATCH_FILES} images`
+        : `Unexpected file in the "${error.field}" field`;
+    default:
+      return error.message;
+  }
+};
+
+// Wraps a multer middleware so upload errors are answered right away; passed
+// on to next() they'd only reach the final 500 handler. Files over the upload
+// cap are also over the caller's quota, so they get the quota's error.
+const parseUpload = (middleware) => (req, res, next) => {
+  middleware(req, res, (error) => {
+    if (!(error instanceof multer.MulterError)) return next(error);
+
     if (error.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({ 
-        error: 'File too large', 
-        message: 'File size must be less than 10MB' 
+      const quota = getQuota(req.user);
+      const quotaError = createQuotaError(402, 'FILE_TOO_LARGE',
+        `The file is larger than the ${formatFileSize(quota.maxFileSize)} limit for ${getQuotaSubject(req.user)}`, quota);
+      return res.status(quotaError.status).json({
+        error: 'File too large',
+        message: quotaError.message,
+        code: quotaError.code,
+        quota: quotaError.quota
       });
     }
-  }
-  res.status(500).json({ 
-    error: 'Upload failed', 
-    message: error.message 
+
+    res.status(400).json({ error: 'Upload failed', message: getUploadErrorMessage(error) });
   });
-});
+};
+
+// Errors carrying an HTTP status are reported to the client as-is
+const createHttpError = (status, message) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const reportProgress = (options, progress, stage) => {
+  if (options.onProgress) options.onProgress(progress, stage);
+};
 
 // Utility function to format file size
 const formatFileSize = (bytes) => {
   if (bytes === 0) return '0 Bytes';
   const k = 1024;
-  const sizes = ['Bytes', 'KB', 'MB'];
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
   const i = Math.floor(Math.log(bytes) / Math.log(k));
   return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 };
 
+// Session helpers
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_MS = (parseFloat(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * HOUR_MS;
+// Two tabs refreshing at once both send the same token, so an old token only
+// counts as stolen once it turns up after this grace period
+const REFRESH_REUSE_GRACE_MS = 30 * 1000;
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+  { userId: user._id, username: user.username, email: user.email, role: user.role, sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+);
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be looked up directly
+const createRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+
+const getClientInfo = (req) => ({
+  userAgent: String(req.get('user-agent') || '').slice(0, 300),
+  ip: req.ip
+});
+
+const createSession = async (user, req) => {
+  const sessionId = new mongoose.Types.ObjectId();
+  const refreshToken = createRefreshToken(sessionId);
+
+  await new Session({
+    _id: sessionId,
+    userId: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    ...getClientInfo(req),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+  }).save();
+
+  return {
+    token: signAccessToken(user, sessionId),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN
+  };
+};
+
+const describeDevice = (userAgent = '') => {
+  const browsers = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari'], ['curl/', 'curl']];
+  const systems = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iOS'], ['iPad', 'iOS'], ['Mac OS X', 'macOS'], ['Linux', 'Linux']];
+  const browser = browsers.find(([token]) => userAgent.includes(token))?.[1];
+  const system = systems.find(([token]) => userAgent.includes(token))?.[1];
+
+  if (!browser && !system) return 'Unknown device';
+  return system ? `${browser || 'Unknown browser'} on ${system}` : browser;
+};
+
+const serializeSession = (session, currentSessionId) => ({
+  id: session._id,
+  device: describeDevice(session.userAgent),
+  userAgent: session.userAgent,
+  ip: session.ip,
+  current: String(session._id) === String(currentSessionId),
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt
+});
+
+// Email verification and password reset helpers
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+const EMAIL_VERIFICATION_TTL_MS = 24 * HOUR_MS;
+const PASSWORD_RESET_TTL_MS = HOUR_MS;
+// Accounts registered with these emails become admins, so a fresh install
+// can be managed without editing the database
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map(email => email.trim().toLowerCase())
+  .filter(Boolean);
+
+const sendVerificationEmail = async (user) => {
+  const token = await issueAuthToken(user._id, 'verify-email', EMAIL_VERIFICATION_TTL_MS);
+  const link = `${APP_URL}/verify-email?token=${token}`;
+
+  await mailer.send({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.username},\n\nConfirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+    html: `<p>Hi ${escapeMarkup(user.username)},</p><p><a href="${link}">Confirm your email address</a></p><p>The link expires in 24 hours.</p>`
+  });
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await issueAuthToken(user._id, 'reset-password', PASSWORD_RESET_TTL_MS);
+  const link = `${APP_URL}/reset-password?token=${token}`;
+
+  await mailer.send({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.username},\n\nChoose a new password by opening this link:\n${link}\n\nThe link expires in 1 hour. If you didn't ask for this, you can ignore this email.`,
+    html: `<p>Hi ${escapeMarkup(user.username)},</p><p><a href="${link}">Choose a new password</a></p><p>The link expires in 1 hour. If you didn't ask for this, you can ignore this email.</p>`
+  });
+};
+
 // Auth Routes
 app.post('/api/auth/register', authLimiter, async (req, res) => {
   try {
@@ -228,26 +817,34 @@ app.post('/api/auth/register', authLimiter, async (req, res) => {
     const user = new User({
       username,
       email,
-      password: hashedPassword
+      password: hashedPassword,
+      role: ADMIN_EMAILS.includes(String(email).trim().toLowerCase()) ? 'admin' : 'user'
     });
 
     await user.save();
 
-    const token = jwt.sign(
-      { userId: user._id, username: user.username, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    // The account exists either way, so a mail failure shouldn't fail signup;
+    // the user can ask for another link
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.error('Verification email error:', error);
+    }
+
+    const tokens = REQUIRE_EMAIL_VERIFICATION ? {} : await createSession(user, req);
 
     res.status(201).json({
       success: true,
-      message: 'User registered successfully',
-      token,
+      message: REQUIRE_EMAIL_VERIFICATION
+        ? 'User registered successfully, check your email to verify your account'
+        : 'User registered successfully',
+      ...tokens,
       user: {
         id: user._id,
         username: user.username,
         email: user.email,
-        role: user.role
+        role: user.role,
+        emailVerified: user.emailVerified
       }
     });
 
@@ -275,21 +872,32 @@ app.post('/api/auth/login', authLimiter, async (req, res) => {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    const token = jwt.sign(
-      { userId: user._id, username: user.username, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
+    if (user.disabledAt) {
+      return res.status(403).json({
+        error: 'This account has been disabled',
+        code: 'ACCOUNT_DISABLED'
+      });
+    }
+
+    if (REQUIRE_EMAIL_VERIFICATION && !user.emailVerified) {
+      return res.status(403).json({
+        error: 'Please verify your email before signing in',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    const tokens = await createSession(user, req);
 
     res.json({
       success: true,
       message: 'Login successful',
-      token,
+      ...tokens,
       user: {
         id: user._id,
         username: user.username,
         email: user.email,
         role: user.role,
+        emailVerified: user.emailVerified,
         compressionStats: user.compressionStats
       }
     });
@@ -300,361 +908,3495 @@ app.post('/api/auth/login', authLimiter, async (req, res) => {
   }
 });
 
-app.get('/api/auth/me', authenticateToken, async (req, res) => {
+// Swaps a refresh token for a new access token. The refresh token rotates on
+// every use; presenting a rotated one again revokes the whole session.
+app.post('/api/auth/refresh', async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId).select('-password');
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+    const refreshToken = String(req.body.refreshToken || '');
+    const sessionId = refreshToken.split('.')[0];
+
+    const session = mongoose.isValidObjectId(sessionId) ? await Session.findById(sessionId) : null;
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+      return res.status(401).json({ error: 'Session expired, please sign in again' });
+    }
+
+    const tokenHash = hashToken(refreshToken);
+    if (tokenHash !== session.refreshTokenHash) {
+      if (tokenHash === session.previousTokenHash && Date.now() - session.rotatedAt > REFRESH_REUSE_GRACE_MS) {
+        session.revokedAt = new Date();
+        await session.save();
+        console.warn(`Refresh token reuse detected, revoked session ${session._id}`);
+      }
+      return res.status(401).json({ error: 'Invalid refresh token' });
     }
 
+    const user = await User.findById(session.userId);
+    if (!user || user.disabledAt) {
+      return res.status(401).json({ error: 'Session expired, please sign in again' });
+    }
+
+    const nextRefreshToken = createRefreshToken(session._id);
+    session.set({
+      previousTokenHash: tokenHash,
+      refreshTokenHash: hashToken(nextRefreshToken),
+      rotatedAt: new Date(),
+      lastUsedAt: new Date(),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+      ...getClientInfo(req)
+    });
+    await session.save();
+
     res.json({
       success: true,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
+      token: signAccessToken(user, session._id),
+      refreshToken: nextRefreshToken,
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: 'Failed to refresh session', message: error.message });
+  }
+});
+
+app.post('/api/auth/logout', authenticateToken, async (req, res) => {
+  try {
+    await revokeSession(req.user.sessionId, req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed', message: error.message });
+  }
+});
+
+app.post('/api/auth/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const result = await revokeUserSessions(req.user.userId);
+
+    res.json({
+      success: true,
+      message: 'Logged out of all devices',
+      revokedSessions: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Logout failed', message: error.message });
+  }
+});
+
+app.get('/api/auth/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      userId: req.user.userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => serializeSession(session, req.user.sessionId))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Failed to get sessions', message: error.message });
+  }
+});
+
+app.delete('/api/auth/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    const session = mongoose.isValidObjectId(req.params.sessionId)
+      ? await Session.findOneAndUpdate(
+        { _id: req.params.sessionId, userId: req.user.userId, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+      )
+      : null;
+
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to revoke session', message: error.message });
+  }
+});
+
+app.post('/api/auth/verify-email', authLimiter, async (req, res) => {
+  try {
+    const authToken = await consumeAuthToken(req.body.token, 'verify-email');
+    if (!authToken) {
+      return res.status(400).json({ error: 'Invalid or expired verification link' });
+    }
+
+    await User.updateOne(
+      { _id: authToken.userId },
+      { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Email verification failed', message: error.message });
+  }
+});
+
+// These respond the same whether or not the account exists, so they can't be
+// used to find out which emails are registered
+app.post('/api/auth/resend-verification', authLimiter, async (req, res) => {
+  try {
+    const user = req.body.email ? await User.findOne({ email: String(req.body.email) }) : null;
+    if (user && !user.emailVerified) {
+      await sendVerificationEmail(user);
+    }
+
+    res.json({
+      success: true,
+      message: 'If that account needs verifying, a new link is on its way'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Failed to send verification email', message: error.message });
+  }
+});
+
+app.post('/api/auth/forgot-password', authLimiter, async (req, res) => {
+  try {
+    const user = req.body.email ? await User.findOne({ email: String(req.body.email) }) : null;
+    if (user) {
+      await sendPasswordResetEmail(user);
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a reset link is on its way'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to send password reset email', message: error.message });
+  }
+});
+
+app.post('/api/auth/reset-password', authLimiter, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!password || password.length < 6) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters long' });
+    }
+
+    const authToken = await consumeAuthToken(token, 'reset-password');
+    if (!authToken) {
+      return res.status(400).json({ error: 'Invalid or expired reset link' });
+    }
+
+    const user = await User.findByIdAndUpdate(authToken.userId, {
+      $set: { password: await bcrypt.hash(password, 12) }
+    });
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired reset link' });
+    }
+
+    // Whoever had the old password shouldn't stay signed in
+    await revokeUserSessions(user._id);
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully, please sign in with your new password'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Password reset failed', message: error.message });
+  }
+});
+
+app.get('/api/auth/me', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('-password');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      success: true,
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
         role: user.role,
+        emailVerified: user.emailVerified,
         compressionStats: user.compressionStats,
+        quota: await getQuotaStatus(user),
         createdAt: user.createdAt
       }
     });
   } catch (error) {
-    console.error('Get profile error:', error);
-    res.status(500).json({ error: 'Failed to get user profile', message: error.message });
+    console.error('Get profile error:', error);
+    res.status(500).json({ error: 'Failed to get user profile', message: error.message });
+  }
+});
+
+app.put('/api/auth/profile', authenticateToken, async (req, res) => {
+  try {
+    const { username } = req.body;
+    const user = await User.findById(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (username) {
+      const existingUser = await User.findOne({ username, _id: { $ne: user._id } });
+      if (existingUser) {
+        return res.status(400).json({ error: 'Username already taken' });
+      }
+      user.username = username;
+    }
+
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Profile updated successfully',
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        role: user.role
+      }
+    });
+
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({ error: 'Failed to update profile', message: error.message });
+  }
+});
+
+// Compression helpers shared by the single and batch routes
+const validFormats = ['jpeg', 'jpg', 'png', 'webp', 'avif', 'gif'];
+// sharp can only write animation to these; other formats get the first frame
+const animatedFormats = ['gif', 'webp'];
+// format=auto encodes each of these and keeps the smallest output that stays
+// above the quality floor (minSsim, or this default)
+const autoFormatCandidates = ['avif', 'webp', 'jpeg', 'png'];
+const DEFAULT_AUTO_MIN_SSIM = 0.95;
+const MAX_FRAME_DELAY = 60000; // ms
+const MAX_LOOP_COUNT = 65535;
+// Uploads are identified by their bytes (see imageFormats.js), not the MIME type
+const inputFormatNames = {
+  jpeg: 'JPEG',
+  png: 'PNG',
+  webp: 'WebP',
+  avif: 'AVIF',
+  gif: 'GIF',
+  heif: 'HEIC/HEIF',
+  tiff: 'TIFF',
+  svg: 'SVG',
+  bmp: 'BMP'
+};
+const DEFAULT_SVG_DENSITY = 72; // DPI
+const MAX_SVG_DENSITY = 1200;
+const validMetadataPolicies = ['strip', 'copyright', 'all'];
+const validTransformTypes = ['crop', 'rotate', 'flip', 'flop', 'trim'];
+const MAX_TRANSFORMS = 20;
+// Numeric adjustments and the value that leaves the image unchanged. Brightness,
+// contrast and saturation are multipliers; sharpen and blur are sigmas.
+const adjustmentRanges = {
+  brightness: { min: 0, max: 3, neutral: 1 },
+  contrast: { min: 0, max: 3, neutral: 1 },
+  saturation: { min: 0, max: 3, neutral: 1 },
+  gamma: { min: 0.1, max: 10, neutral: 1 },
+  sharpen: { min: 0, max: 10, neutral: 0 },
+  blur: { min: 0, max: 50, neutral: 0 }
+};
+const adjustmentToggles = ['grayscale', 'sepia', 'normalize'];
+const SEPIA_MATRIX = [
+  [0.393, 0.769, 0.189],
+  [0.349, 0.686, 0.168],
+  [0.272, 0.534, 0.131]
+];
+// sharp rejects sigmas below this, so smaller values count as off
+const MIN_FILTER_SIGMA = 0.3;
+const COLOR_PATTERN = /^(#[0-9a-f]{3}|#[0-9a-f]{4}|#[0-9a-f]{6}|#[0-9a-f]{8}|transparent)$/i;
+const watermarkPositions = [
+  'top-left', 'top', 'top-right',
+  'left', 'center', 'right',
+  'bottom-left', 'bottom', 'bottom-right'
+];
+const HEX_COLOR_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+const FONT_PATTERN = /^[\w\s,-]{1,64}$/;
+const MAX_WATERMARK_TEXT = 200;
+const WATERMARK_MARGIN_RATIO = 0.02;
+const MAX_WATERMARK_IMAGE_SIZE = 1024;
+const responsiveFormatOrder = ['avif', 'webp', 'jpeg', 'png'];
+const formatMimeTypes = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  gif: 'image/gif'
+};
+const DEFAULT_BREAKPOINTS = [320, 640, 1024, 1920];
+const DEFAULT_RESPONSIVE_FORMATS = ['avif', 'webp', 'jpeg'];
+const MAX_BREAKPOINTS = 10;
+const MIN_TARGET_SIZE = 1024; // 1KB
+const MAX_DOWNSCALE_STEPS = 5;
+const MIN_DOWNSCALE_DIMENSION = 16;
+
+const parseColor = (value, fallback) => {
+  if (!hasValue(value)) return fallback;
+  if (!COLOR_PATTERN.test(String(value))) {
+    throw createHttpError(400, `Invalid color "${value}". Use a hex color or "transparent"`);
+  }
+  return String(value).toLowerCase() === 'transparent' ? { r: 0, g: 0, b: 0, alpha: 0 } : String(value);
+};
+
+const parseNumber = (value, name, { min = -Infinity, integer = false } = {}) => {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || (integer && !Number.isInteger(number))) {
+    throw createHttpError(400, `Invalid ${name} value "${value}"`);
+  }
+  return number;
+};
+
+// Transforms arrive as a JSON array (a string when sent as multipart form data)
+const parseTransforms = (value) => {
+  if (!hasValue(value)) return [];
+
+  let transforms = value;
+  if (typeof value === 'string') {
+    try {
+      transforms = JSON.parse(value);
+    } catch (error) {
+      throw createHttpError(400, 'Transforms must be a JSON array');
+    }
+  }
+
+  if (!Array.isArray(transforms)) {
+    throw createHttpError(400, 'Transforms must be a JSON array');
+  }
+  if (transforms.length > MAX_TRANSFORMS) {
+    throw createHttpError(400, `A maximum of ${MAX_TRANSFORMS} transforms is allowed`);
+  }
+
+  return transforms.map((transform) => {
+    if (!transform || !validTransformTypes.includes(transform.type)) {
+      throw createHttpError(400, `Unknown transform type "${transform?.type}"`);
+    }
+
+    switch (transform.type) {
+      case 'crop':
+        return {
+          type: 'crop',
+          left: parseNumber(transform.left ?? 0, 'crop left', { min: 0, integer: true }),
+          top: parseNumber(transform.top ?? 0, 'crop top', { min: 0, integer: true }),
+          width: parseNumber(transform.width, 'crop width', { min: 1, integer: true }),
+          height: parseNumber(transform.height, 'crop height', { min: 1, integer: true })
+        };
+      case 'rotate':
+        return {
+          type: 'rotate',
+          angle: parseNumber(transform.angle, 'rotate angle'),
+          background: parseColor(transform.background, '#ffffff')
+        };
+      case 'trim':
+        return {
+          type: 'trim',
+          threshold: parseNumber(transform.threshold ?? 10, 'trim threshold', { min: 0 }),
+          background: parseColor(transform.background, undefined)
+        };
+      default:
+        return { type: transform.type };
+    }
+  });
+};
+
+const hasValue = (value) => value !== undefined && value !== null && value !== '';
+
+// Adjustments arrive as a JSON object. Neutral values are dropped, so a request
+// that changes nothing has no adjustments at all (and shares dedup hashes).
+const parseAdjustments = (value) => {
+  if (!hasValue(value)) return null;
+
+  let adjustments = value;
+  if (typeof value === 'string') {
+    try {
+      adjustments = JSON.parse(value);
+    } catch (error) {
+      throw createHttpError(400, 'Adjustments must be a JSON object');
+    }
+  }
+
+  if (!adjustments || typeof adjustments !== 'object' || Array.isArray(adjustments)) {
+    throw createHttpError(400, 'Adjustments must be a JSON object');
+  }
+
+  const validKeys = [...Object.keys(adjustmentRanges), ...adjustmentToggles, 'tint', 'flatten'];
+  const unknown = Object.keys(adjustments).find(key => !validKeys.includes(key));
+  if (unknown) {
+    throw createHttpError(400, `Unknown adjustment "${unknown}"`);
+  }
+
+  const parsed = {};
+  for (const [name, { min, max, neutral }] of Object.entries(adjustmentRanges)) {
+    if (!hasValue(adjustments[name])) continue;
+    const number = parseNumber(adjustments[name], name, { min });
+    if (number > max) {
+      throw createHttpError(400, `${name} must be between ${min} and ${max}`);
+    }
+    if (number !== neutral) parsed[name] = number;
+  }
+  if (parsed.sharpen < MIN_FILTER_SIGMA) delete parsed.sharpen;
+  if (parsed.blur < MIN_FILTER_SIGMA) delete parsed.blur;
+
+  adjustmentToggles.forEach((name) => {
+    if (String(adjustments[name]) === 'true') parsed[name] = true;
+  });
+
+  if (hasValue(adjustments.tint)) {
+    if (!HEX_COLOR_PATTERN.test(String(adjustments.tint))) {
+      throw createHttpError(400, `Invalid tint color "${adjustments.tint}". Use a hex color`);
+    }
+    parsed.tint = String(adjustments.tint);
+  }
+
+  // Flatten replaces transparency with a background color (white for `true`)
+  if (hasValue(adjustments.flatten) && String(adjustments.flatten) !== 'false') {
+    const background = String(adjustments.flatten) === 'true' ? '#ffffff' : String(adjustments.flatten);
+    if (!HEX_COLOR_PATTERN.test(background)) {
+      throw createHttpError(400, `Invalid flatten color "${adjustments.flatten}". Use a hex color`);
+    }
+    parsed.flatten = background;
+  }
+
+  return Object.keys(parsed).length > 0 ? parsed : null;
+};
+
+// Watermark settings arrive as a JSON object; image watermarks also need the
+// logo, either uploaded with the request or loaded from a saved watermark
+const parseWatermark = (value, imageBuffer) => {
+  if (!hasValue(value)) return null;
+
+  let watermark = value;
+  if (typeof value === 'string') {
+    try {
+      watermark = JSON.parse(value);
+    } catch (error) {
+      throw createHttpError(400, 'Watermark must be a JSON object');
+    }
+  }
+
+  if (!watermark || typeof watermark !== 'object' || Array.isArray(watermark)) {
+    throw createHttpError(400, 'Watermark must be a JSON object');
+  }
+  if (!['text', 'image'].includes(watermark.type)) {
+    throw createHttpError(400, 'Watermark type must be "text" or "image"');
+  }
+
+  const text = String(watermark.text || '').trim();
+  if (watermark.type === 'text' && (!text || text.length > MAX_WATERMARK_TEXT)) {
+    throw createHttpError(400, `Watermark text must be 1-${MAX_WATERMARK_TEXT} characters`);
+  }
+  if (watermark.type === 'image' && !imageBuffer) {
+    throw createHttpError(400, 'Upload a watermarkImage file for image watermarks');
+  }
+  if (watermark.type === 'image' && !detectImageFormat(imageBuffer)) {
+    throw createHttpError(415, 'The watermark image is not a supported image file');
+  }
+
+  const color = hasValue(watermark.color) ? String(watermark.color) : '#ffffff';
+  if (!HEX_COLOR_PATTERN.test(color)) {
+    throw createHttpError(400, `Invalid watermark color "${color}". Use a hex color`);
+  }
+
+  const font = hasValue(watermark.font) ? String(watermark.font) : 'sans bold';
+  if (!FONT_PATTERN.test(font)) {
+    throw createHttpError(400, `Invalid watermark font "${font}"`);
+  }
+
+  const position = hasValue(watermark.position) ? String(watermark.position) : 'bottom-right';
+  if (!watermarkPositions.includes(position)) {
+    throw createHttpError(400, `Watermark position must be one of: ${watermarkPositions.join(', ')}`);
+  }
+
+  const opacity = parseNumber(watermark.opacity ?? 0.5, 'watermark opacity', { min: 0 });
+  const scale = parseNumber(watermark.scale ?? 0.2, 'watermark scale', { min: 0.01 });
+  if (opacity > 1 || scale > 1) {
+    throw createHttpError(400, 'Watermark opacity and scale must be between 0 and 1');
+  }
+
+  // Explicit x/y offsets take precedence over the 9-grid position
+  const hasOffset = hasValue(watermark.x) || hasValue(watermark.y);
+
+  return {
+    type: watermark.type,
+    text: watermark.type === 'text' ? text : null,
+    font,
+    color,
+    position,
+    x: hasOffset ? parseNumber(watermark.x ?? 0, 'watermark x', { min: 0, integer: true }) : null,
+    y: hasOffset ? parseNumber(watermark.y ?? 0, 'watermark y', { min: 0, integer: true }) : null,
+    opacity,
+    scale,
+    tile: watermark.tile === true || watermark.tile === 'true',
+    image: watermark.type === 'image' ? imageBuffer : null
+  };
+};
+
+// Accepts "320,640" as well as ["320", "640"] from repeated form fields
+const parseList = (value) => (
+  Array.isArray(value) ? value : String(value).replace(/[[\]"\s]/g, '').split(',')
+).filter(hasValue);
+
+const parseResponsiveOptions = (body) => {
+  const breakpoints = hasValue(body.breakpoints)
+    ? parseList(body.breakpoints).map(value => parseNumber(value, 'breakpoint', { min: 16, integer: true }))
+    : DEFAULT_BREAKPOINTS;
+
+  if (breakpoints.length === 0 || breakpoints.length > MAX_BREAKPOINTS) {
+    throw createHttpError(400, `Provide between 1 and ${MAX_BREAKPOINTS} breakpoints`);
+  }
+
+  const formats = hasValue(body.formats)
+    ? parseList(body.formats).map(format => getFileExtension(String(format).toLowerCase()))
+    : DEFAULT_RESPONSIVE_FORMATS;
+
+  const invalidFormat = formats.find(format => !responsiveFormatOrder.includes(format));
+  if (invalidFormat || formats.length === 0) {
+    throw createHttpError(400, `Responsive formats must be any of: ${responsiveFormatOrder.join(', ')}`);
+  }
+
+  return {
+    breakpoints: [...new Set(breakpoints)].sort((a, b) => a - b),
+    // Most efficient first, so the most compatible format becomes the <img> fallback
+    formats: responsiveFormatOrder.filter(format => formats.includes(format)),
+    sizes: hasValue(body.sizes) ? String(body.sizes).slice(0, 200) : '100vw',
+    alt: hasValue(body.alt) ? String(body.alt).slice(0, 200) : ''
+  };
+};
+
+const parseCompressionOptions = (body = {}) => {
+  const { 
+    quality = 80, 
+    format = 'jpeg', 
+    width, 
+    height,
+    maintainAspectRatio = 'true',
+    targetSizeKB,
+    allowDownscale = 'true',
+    minSsim,
+    metadata = 'strip',
+    transforms,
+    adjustments,
+    animated = 'true',
+    frameDelay,
+    loop,
+    density,
+    page
+  } = body;
+
+  const requestedFormat = String(format).toLowerCase();
+  const requestedMetadataPolicy = String(metadata).toLowerCase();
+  const targetSizeValue = parseFloat(targetSizeKB);
+  const minSsimValue = hasValue(minSsim) ? parseNumber(minSsim, 'minSsim', { min: 0 }) : null;
+
+  if (minSsimValue !== null && minSsimValue > 1) {
+    throw createHttpError(400, 'minSsim must be between 0 and 1');
+  }
+  if (minSsimValue !== null && targetSizeValue > 0) {
+    throw createHttpError(400, 'Use either targetSizeKB or minSsim, not both');
+  }
+
+  const frameDelayValue = hasValue(frameDelay) ? parseNumber(frameDelay, 'frameDelay', { min: 10, integer: true }) : null;
+  if (frameDelayValue > MAX_FRAME_DELAY) {
+    throw createHttpError(400, `frameDelay must be at most ${MAX_FRAME_DELAY}ms`);
+  }
+  const loopValue = hasValue(loop) ? parseNumber(loop, 'loop', { min: 0, integer: true }) : null;
+  if (loopValue > MAX_LOOP_COUNT) {
+    throw createHttpError(400, `loop must be at most ${MAX_LOOP_COUNT}`);
+  }
+  const densityValue = hasValue(density) ? parseNumber(density, 'density', { min: 1 }) : null;
+  if (densityValue > MAX_SVG_DENSITY) {
+    throw createHttpError(400, `density must be at most ${MAX_SVG_DENSITY} DPI`);
+  }
+
+  return {
+    quality: Math.min(100, Math.max(10, parseInt(quality) || 80)),
+    format: validFormats.includes(requestedFormat) || requestedFormat === 'auto' ? requestedFormat : 'jpeg',
+    width: width ? parseInt(width) : null,
+    height: height ? parseInt(height) : null,
+    maintainAspectRatio: String(maintainAspectRatio) === 'true',
+    // Target size mode: the quality is searched instead of taken from the request
+    targetSize: targetSizeValue > 0 ? Math.max(MIN_TARGET_SIZE, Math.round(targetSizeValue * 1024)) : null,
+    allowDownscale: String(allowDownscale) === 'true',
+    // Quality floor mode: the lowest quality that keeps SSIM above this value
+    minSsim: minSsimValue,
+    metadataPolicy: validMetadataPolicies.includes(requestedMetadataPolicy) ? requestedMetadataPolicy : 'strip',
+    transforms: parseTransforms(transforms),
+    adjustments: parseAdjustments(adjustments),
+    watermark: null,
+    // Animated input keeps its frames unless this is false. The delay (ms per
+    // frame) and loop count (0 = forever) default to the source's.
+    animated: String(animated) !== 'false',
+    frameDelay: frameDelayValue,
+    loop: loopValue,
+    // SVG input is rasterized at this DPI; multi-page TIFF input uses this page (0-based)
+    density: densityValue,
+    page: hasValue(page) ? parseNumber(page, 'page', { min: 0, integer: true }) : 0,
+    mode: body.mode === 'responsive' ? 'responsive' : 'single',
+    responsive: body.mode === 'responsive' ? parseResponsiveOptions(body) : null
+  };
+};
+
+const getFileExtension = (format) => (format === 'jpg' ? 'jpeg' : format);
+
+const cleanExifString = (value) => (
+  typeof value === 'string' ? value.replace(/\0/g, '').trim() || null : null
+);
+
+// Summarizes the input metadata so users can see what a policy keeps or removes
+const readSourceMetadata = (metadata) => {
+  let exif = null;
+  if (metadata.exif) {
+    try {
+      exif = exifReader(metadata.exif);
+    } catch (error) {
+      console.warn('Could not parse EXIF data:', error.message);
+    }
+  }
+
+  let iccProfile = null;
+  if (metadata.icc) {
+    try {
+      iccProfile = icc.parse(metadata.icc).description || 'Embedded profile';
+    } catch (error) {
+      iccProfile = 'Embedded profile';
+    }
+  }
+
+  const image = exif?.Image || {};
+  const photo = exif?.Photo || {};
+  const make = cleanExifString(image.Make);
+  const model = cleanExifString(image.Model);
+
+  return {
+    hasExif: !!metadata.exif,
+    hasXmp: !!metadata.xmp,
+    hasIptc: !!metadata.iptc,
+    orientation: metadata.orientation || null,
+    camera: make || model ? { make, model } : null,
+    lens: cleanExifString(photo.LensModel),
+    dateTaken: photo.DateTimeOriginal || null,
+    gpsPresent: !!exif?.GPSInfo && Object.keys(exif.GPSInfo).length > 0,
+    iccProfile,
+    copyright: cleanExifString(image.Copyright),
+    artist: cleanExifString(image.Artist)
+  };
+};
+
+// Lists the metadata present in the source that the chosen policy drops
+const getRemovedMetadata = (source, policy) => {
+  if (policy === 'all') return [];
+
+  const removed = [];
+  if (source.gpsPresent) removed.push('GPS location');
+  if (source.camera || source.lens || source.dateTaken) removed.push('Camera details');
+  if (source.hasExif) removed.push('EXIF');
+  if (source.hasXmp) removed.push('XMP');
+  if (source.hasIptc) removed.push('IPTC');
+  if (policy === 'strip') {
+    if (source.copyright || source.artist) removed.push('Copyright');
+    if (source.iccProfile) removed.push('ICC profile');
+  }
+  return removed;
+};
+
+const applyMetadataPolicy = (sharpInstance, options) => {
+  switch (options.metadataPolicy) {
+    case 'all':
+      return sharpInstance.keepMetadata();
+    case 'copyright': {
+      const { copyright, artist } = options.sourceMetadata || {};
+      sharpInstance = sharpInstance.keepIccProfile();
+      if (copyright || artist) {
+        const ifd0 = {};
+        if (copyright) ifd0.Copyright = copyright;
+        if (artist) ifd0.Artist = artist;
+        sharpInstance = sharpInstance.withExif({ IFD0: ifd0 });
+      }
+      return sharpInstance;
+    }
+    default:
+      return sharpInstance;
+  }
+};
+
+// Intermediate transform results are kept as uncompressed PNG, which is fast to
+// write and still carries EXIF and the ICC profile for the metadata policy
+const toIntermediateBuffer = (sharpInstance) => (
+  sharpInstance.keepMetadata().png({ compressionLevel: 0 }).toBuffer()
+);
+
+// Identifies an upload by its content, rejecting anything that isn't a supported image
+const detectInputFormat = (file) => {
+  const format = detectImageFormat(file.buffer);
+  if (!format) {
+    throw createHttpError(
+      415,
+      `${file.originalname || 'The file'} is not a supported image. ` +
+      `Supported formats: ${Object.values(inputFormatNames).join(', ')}`
+    );
+  }
+  return format;
+};
+
+// A recognized signature followed by a truncated or corrupt header is still
+// an unreadable upload, not a server error
+const readInputMetadata = async (file, sharpOptions) => {
+  try {
+    return await sharp(file.buffer, sharpOptions).metadata();
+  } catch (error) {
+    throw createHttpError(415, `${file.originalname || 'The file'} is truncated or corrupt and can't be read`);
+  }
+};
+
+// Decodes the formats sharp can't work from directly (SVG at a chosen density,
+// one page of a TIFF, BMP, HEIC) into an intermediate PNG. Returns the buffer
+// to compress and a summary of the source for the response.
+const readInputImage = async (file, options) => {
+  const format = detectInputFormat(file);
+
+  switch (format) {
+    case 'svg': {
+      const density = options.density || DEFAULT_SVG_DENSITY;
+      const buffer = await toIntermediateBuffer(sharp(file.buffer, { density }));
+      return { buffer, source: { format, density } };
+    }
+    case 'tiff': {
+      const { pages = 1 } = await readInputMetadata(file);
+      if (options.page >= pages) {
+        throw createHttpError(400, `page must be less than ${pages} (pages are numbered from 0)`);
+      }
+      const buffer = await toIntermediateBuffer(sharp(file.buffer, { page: options.page }));
+      return { buffer, source: { format, pages, page: options.page } };
+    }
+    case 'bmp': {
+      const { data, ...raw } = decodeBmp(file.buffer);
+      return { buffer: await toIntermediateBuffer(sharp(data, { raw })), source: { format } };
+    }
+    case 'heif':
+      try {
+        return { buffer: await toIntermediateBuffer(sharp(file.buffer)), source: { format } };
+      } catch (error) {
+        throw createHttpError(415, 'HEIC/HEIF images can\'t be decoded on this server. Convert the image to JPEG or PNG first');
+      }
+    default:
+      await readInputMetadata(file);
+      return { buffer: file.buffer, source: { format } };
+  }
+};
+
+const applyTransform = async (inputBuffer, transform) => {
+  const image = sharp(inputBuffer);
+
+  switch (transform.type) {
+    case 'crop': {
+      const { width, height } = await image.metadata();
+      if (transform.left >= width || transform.top >= height) {
+        throw createHttpError(400, `Crop area starts outside the ${width}x${height} image`);
+      }
+      // Clamp the rectangle to the image so a slightly oversized box still works
+      return toIntermediateBuffer(image.extract({
+        left: transform.left,
+        top: transform.top,
+        width: Math.min(transform.width, width - transform.left),
+        height: Math.min(transform.height, height - transform.top)
+      }));
+    }
+    case 'rotate':
+      return toIntermediateBuffer(image.rotate(transform.angle, { background: transform.background }));
+    case 'flip':
+      return toIntermediateBuffer(image.flip());
+    case 'flop':
+      return toIntermediateBuffer(image.flop());
+    case 'trim':
+      return toIntermediateBuffer(image.trim({
+        threshold: transform.threshold,
+        ...(transform.background && { background: transform.background })
+      }));
+    default:
+      return inputBuffer;
+  }
+};
+
+// sharp reorders operations within a single pipeline and allows only one
+// rotation, so each transform runs as its own pass in the requested order
+const applyTransforms = async (inputBuffer, transforms) => {
+  let buffer = await toIntermediateBuffer(sharp(inputBuffer).rotate());
+
+  for (const transform of transforms) {
+    buffer = await applyTransform(buffer, transform);
+  }
+
+  return buffer;
+};
+
+// sharp's gamma() only corrects for resizing in linear light, so gamma is a
+// lookup table over the raw pixels. Compositing the result back over the input
+// keeps its metadata for the metadata policy.
+const applyGamma = async (inputBuffer, gamma) => {
+  const { data, info } = await sharp(inputBuffer).raw().toBuffer({ resolveWithObject: true });
+  const table = Array.from({ length: 256 }, (_, value) => Math.round(255 * (value / 255) ** (1 / gamma)));
+  const hasAlpha = info.channels === 2 || info.channels === 4;
+
+  for (let i = 0; i < data.length; i++) {
+    if (hasAlpha && i % info.channels === info.channels - 1) continue;
+    data[i] = table[data[i]];
+  }
+
+  const composited = await toIntermediateBuffer(sharp(inputBuffer).composite([{
+    input: data,
+    raw: { width: info.width, height: info.height, channels: info.channels },
+    blend: 'source'
+  }]));
+
+  // Compositing always adds an alpha channel
+  return hasAlpha ? composited : toIntermediateBuffer(sharp(composited).removeAlpha());
+};
+
+// Runs as one pass, in the order sharp applies these operations: flatten,
+// normalize, brightness/saturation, contrast, color filters, then sharpen or blur
+const applyAdjustments = async (inputBuffer, adjustments) => {
+  const buffer = adjustments.gamma ? await applyGamma(inputBuffer, adjustments.gamma) : inputBuffer;
+  let sharpInstance = sharp(buffer);
+
+  if (adjustments.flatten) sharpInstance = sharpInstance.flatten({ background: adjustments.flatten });
+  if (adjustments.normalize) sharpInstance = sharpInstance.normalize();
+  if (adjustments.brightness !== undefined || adjustments.saturation !== undefined) {
+    sharpInstance = sharpInstance.modulate({
+      brightness: adjustments.brightness ?? 1,
+      saturation: adjustments.saturation ?? 1
+    });
+  }
+  // Contrast scales around mid-gray
+  if (adjustments.contrast !== undefined) {
+    sharpInstance = sharpInstance.linear(adjustments.contrast, 128 * (1 - adjustments.contrast));
+  }
+  if (adjustments.grayscale) sharpInstance = sharpInstance.grayscale();
+  if (adjustments.sepia) sharpInstance = sharpInstance.recomb(SEPIA_MATRIX);
+  if (adjustments.tint) sharpInstance = sharpInstance.tint(adjustments.tint);
+  if (adjustments.sharpen) sharpInstance = sharpInstance.sharpen({ sigma: adjustments.sharpen });
+  if (adjustments.blur) sharpInstance = sharpInstance.blur(adjustments.blur);
+
+  return toIntermediateBuffer(sharpInstance);
+};
+
+const applyResize = (sharpInstance, options) => {
+  if (!options.width && !options.height) return sharpInstance;
+
+  return sharpInstance.resize({
+    width: options.width,
+    height: options.height,
+    withoutEnlargement: true,
+    fit: options.maintainAspectRatio ? 'inside' : 'fill'
+  });
+};
+
+const escapeMarkup = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Renders the watermark scaled relative to the image width, with the opacity
+// applied to its alpha channel
+const renderWatermarkOverlay = async (watermark, imageWidth, imageHeight) => {
+  const maxWidth = Math.max(1, Math.round(imageWidth * watermark.scale));
+
+  const overlay = watermark.type === 'text'
+    ? sharp({
+      text: {
+        text: `<span foreground="${watermark.color}">${escapeMarkup(watermark.text)}</span>`,
+        font: watermark.font,
+        width: maxWidth,
+        height: imageHeight,
+        wrap: 'none',
+        rgba: true
+      }
+    })
+    : sharp(watermark.image).resize({ width: maxWidth, height: imageHeight, fit: 'inside' });
+
+  const { data, info } = await overlay
+    .ensureAlpha()
+    .composite([{
+      input: Buffer.from([255, 255, 255, Math.round(255 * watermark.opacity)]),
+      raw: { width: 1, height: 1, channels: 4 },
+      tile: true,
+      blend: 'dest-in'
+    }])
+    .png()
+    .toBuffer({ resolveWithObject: true });
+
+  // Text rendering can round up past the image bounds, which composite rejects
+  if (info.width > imageWidth || info.height > imageHeight) {
+    const fitted = await sharp(data)
+      .resize({ width: imageWidth, height: imageHeight, fit: 'inside' })
+      .toBuffer({ resolveWithObject: true });
+    return { buffer: fitted.data, width: fitted.info.width, height: fitted.info.height };
+  }
+
+  return { buffer: data, width: info.width, height: info.height };
+};
+
+const getWatermarkPosition = (watermark, overlay, imageWidth, imageHeight) => {
+  const maxLeft = imageWidth - overlay.width;
+  const maxTop = imageHeight - overlay.height;
+
+  if (watermark.x !== null || watermark.y !== null) {
+    return {
+      left: Math.min(watermark.x ?? 0, maxLeft),
+      top: Math.min(watermark.y ?? 0, maxTop)
+    };
+  }
+
+  const margin = Math.round(Math.min(imageWidth, imageHeight) * WATERMARK_MARGIN_RATIO);
+  const [vertical, horizontal] = watermark.position.includes('-')
+    ? watermark.position.split('-')
+    : ['left', 'right'].includes(watermark.position)
+      ? ['center', watermark.position]
+      : [watermark.position, 'center'];
+
+  const placements = {
+    top: margin,
+    left: margin,
+    bottom: maxTop - margin,
+    right: maxLeft - margin
+  };
+
+  return {
+    left: Math.max(0, Math.min(maxLeft, placements[horizontal] ?? Math.round(maxLeft / 2))),
+    top: Math.max(0, Math.min(maxTop, placements[vertical] ?? Math.round(maxTop / 2)))
+  };
+};
+
+const applyWatermark = async (inputBuffer, watermark) => {
+  const { width, height } = await sharp(inputBuffer).metadata();
+  const overlay = await renderWatermarkOverlay(watermark, width, height);
+
+  if (watermark.tile) {
+    // Leave a gap between repeats so the tiled pattern stays readable
+    const gapX = Math.min(Math.round(overlay.width / 2), width - overlay.width);
+    const gapY = Math.min(Math.round(overlay.height / 2), height - overlay.height);
+    const tile = await sharp(overlay.buffer)
+      .extend({ right: gapX, bottom: gapY, background: { r: 0, g: 0, b: 0, alpha: 0 } })
+      .png()
+      .toBuffer();
+
+    return toIntermediateBuffer(sharp(inputBuffer).composite([{ input: tile, tile: true }]));
+  }
+
+  const { left, top } = getWatermarkPosition(watermark, overlay, width, height);
+  return toIntermediateBuffer(sharp(inputBuffer).composite([{ input: overlay.buffer, left, top }]));
+};
+
+// options.frames is the source's frame count, set by prepareImage
+const isAnimatedOutput = (options) => (
+  options.animated && options.frames > 1 && animatedFormats.includes(getFileExtension(options.format))
+);
+
+const getAnimationOptions = (options) => {
+  if (!isAnimatedOutput(options)) return {};
+  return {
+    ...(options.frameDelay && { delay: options.frameDelay }),
+    ...(options.loop !== null && options.loop !== undefined && { loop: options.loop })
+  };
+};
+
+const buildImagePipeline = (inputBuffer, options) => {
+  // Apply the EXIF orientation first so resizing works on the upright image
+  let sharpInstance = applyResize(
+    applyMetadataPolicy(sharp(inputBuffer, { animated: isAnimatedOutput(options) }).rotate(), options),
+    options
+  );
+  const animation = getAnimationOptions(options);
+
+  switch (options.format) {
+    case 'jpeg':
+    case 'jpg':
+      return sharpInstance.jpeg({ 
+        quality: options.quality,
+        mozjpeg: true
+      });
+    case 'png': {
+      // Lossless PNG barely shrinks with the compression level, so target size
+      // mode quantizes to a palette where quality actually changes the output
+      if (options.targetSize) {
+        return sharpInstance.png({
+          palette: true,
+          quality: options.quality,
+          compressionLevel: 9
+        });
+      }
+      const pngQuality = Math.floor(9 - (options.quality / 11.11));
+      return sharpInstance.png({ 
+        compressionLevel: Math.max(0, Math.min(9, pngQuality))
+      });
+    }
+    case 'webp':
+      return sharpInstance.webp({ 
+        quality: options.quality,
+        ...animation
+      });
+    case 'avif':
+      return sharpInstance.avif({ 
+        quality: options.quality
+      });
+    case 'gif':
+      // GIF quality is the size of the palette
+      return sharpInstance.gif({
+        colours: Math.max(2, Math.round(256 * options.quality / 100)),
+        ...animation
+      });
+    default:
+      return sharpInstance.jpeg({ quality: options.quality });
+  }
+};
+
+const encodeImage = async (inputBuffer, options) => {
+  const { data, info } = await buildImagePipeline(inputBuffer, options)
+    .toBuffer({ resolveWithObject: true });
+
+  // Animated output is a strip of frames, so the height is per frame
+  return {
+    buffer: data,
+    quality: options.quality,
+    width: info.width,
+    height: info.pageHeight || info.height,
+    frames: info.pages || 1
+  };
+};
+
+// Searches for the highest quality whose output fits in options.targetSize.
+// When even the lowest quality is too large and downscaling is allowed, the
+// dimensions are reduced and the search is repeated.
+const encodeToTargetSize = async (inputBuffer, options) => {
+  const maxSteps = options.allowDownscale ? MAX_DOWNSCALE_STEPS : 0;
+  let attemptOptions = options;
+  let smallest = null;
+  let attempts = 0;
+
+  for (let step = 0; step <= maxSteps; step++) {
+    let low = 10;
+    let high = 100;
+    let best = null;
+    let lowest = null;
+
+    while (low <= high) {
+      const quality = Math.floor((low + high) / 2);
+      const attempt = { ...(await encodeImage(inputBuffer, { ...attemptOptions, quality })), step };
+      attempts++;
+      reportProgress(options, 30 + Math.min(50, attempts * 5), `Searching quality (attempt ${attempts})`);
+
+      if (!lowest || attempt.quality < lowest.quality) lowest = attempt;
+      if (!smallest || attempt.buffer.length < smallest.buffer.length) smallest = attempt;
+
+      if (attempt.buffer.length <= options.targetSize) {
+        best = attempt;
+        low = quality + 1;
+      } else {
+        high = quality - 1;
+      }
+    }
+
+    if (best) {
+      return { ...best, targetMet: true, downscaled: step > 0 };
+    }
+
+    // Shrink roughly in proportion to how far the lowest quality overshot
+    const scale = Math.min(0.9, Math.max(0.5, Math.sqrt(options.targetSize / lowest.buffer.length)));
+    const nextWidth = Math.floor(lowest.width * scale);
+    const nextHeight = Math.floor(lowest.height * scale);
+
+    if (nextWidth < MIN_DOWNSCALE_DIMENSION || nextHeight < MIN_DOWNSCALE_DIMENSION) {
+      break;
+    }
+
+    attemptOptions = {
+      ...attemptOptions,
+      width: nextWidth,
+      height: nextHeight,
+      maintainAspectRatio: false
+    };
+  }
+
+  return {
+    ...smallest,
+    targetMet: false,
+    downscaled: smallest.step > 0
+  };
+};
+
+// Searches for the lowest quality whose SSIM still meets options.minSsim
+const encodeToSsimThreshold = (inputBuffer, options) => findLowestQualityForSsim(inputBuffer, {
+  minSsim: options.minSsim,
+  encode: (quality) => encodeImage(inputBuffer, { ...options, quality }),
+  onAttempt: (attempts) => reportProgress(options, 30 + Math.min(50, attempts * 7), `Searching quality (attempt ${attempts})`)
+});
+
+// Encodes with whichever quality mode the request uses
+const encodeWithQualityMode = (inputBuffer, options) => {
+  if (options.targetSize) return encodeToTargetSize(inputBuffer, options);
+  if (options.minSsim !== null) return encodeToSsimThreshold(inputBuffer, options);
+  return encodeImage(inputBuffer, options);
+};
+
+// Formats that would drop the source's animation or transparency are left
+// out, as are formats the caller's quota doesn't allow
+const getAutoFormatCandidates = (metadata, options) => {
+  const allowed = autoFormatCandidates.filter(format => !options.allowedFormats || options.allowedFormats.includes(format));
+  const keepsAnimation = options.animated && (metadata.pages || 1) > 1;
+  const preferred = keepsAnimation
+    ? animatedFormats.filter(format => !options.allowedFormats || options.allowedFormats.includes(format))
+    : allowed.filter(format => !(metadata.hasAlpha && format === 'jpeg'));
+
+  const candidates = preferred.length > 0 ? preferred : allowed;
+  if (candidates.length === 0) {
+    throw createHttpError(400, 'None of the automatic output formats are available for this account');
+  }
+  return candidates;
+};
+
+// Encodes the candidate formats one after another rather than in parallel.
+// This is deliberate: the whole comparison holds a single compressionQueue
+// slot, and encoding every format at once would run several sharp pipelines
+// under that one slot, getting round the concurrency limit. The cost is
+// latency, roughly the sum of the candidates' encode times. In target size
+// mode the winner is the best-looking candidate that fits; otherwise it's the
+// smallest one whose SSIM meets the floor. If no candidate qualifies, the
+// closest one wins.
+const encodeBestFormat = async (inputBuffer, options, formats) => {
+  const minSsim = options.minSsim ?? DEFAULT_AUTO_MIN_SSIM;
+  const candidates = [];
+
+  for (const format of formats) {
+    const started = Date.now();
+    const encoded = await encodeWithQualityMode(inputBuffer, { ...options, format, onProgress: null });
+    const metrics = encoded.metrics || await measureQuality(inputBuffer, encoded);
+    candidates.push({
+      format,
+      encoded: { ...encoded, format, metrics },
+      time: Date.now() - started,
+      eligible: options.targetSize ? !!encoded.targetMet : metrics.ssim >= minSsim
+    });
+    reportProgress(options, 30 + (candidates.length / formats.length) * 50, `Encoded ${format.toUpperCase()} (${candidates.length}/${formats.length})`);
+  }
+
+  const eligible = candidates.filter(candidate => candidate.eligible);
+  const bySize = (a, b) => a.encoded.buffer.length - b.encoded.buffer.length;
+  const bySsim = (a, b) => b.encoded.metrics.ssim - a.encoded.metrics.ssim;
+  const [chosen] = eligible.length > 0
+    ? [...eligible].sort(options.targetSize ? bySsim : bySize)
+    : [...candidates].sort(options.targetSize ? bySize : bySsim);
+
+  return {
+    encoded: chosen.encoded,
+    autoFormat: {
+      chosen: chosen.format,
+      minSsim: options.targetSize ? null : minSsim,
+      candidates: candidates.map(({ format, encoded, time, eligible: qualifies }) => ({
+        format,
+        size: encoded.buffer.length,
+        quality: encoded.quality,
+        time,
+        metrics: encoded.metrics,
+        eligible: qualifies
+      }))
+    }
+  };
+};
+
+// Orientations 5-8 are rotated by 90 degrees, so the upright size is swapped
+const getUprightDimensions = (metadata) => (
+  metadata.orientation >= 5
+    ? { width: metadata.height, height: metadata.width }
+    : { width: metadata.width, height: metadata.height }
+);
+
+// Reads the source and applies everything that happens before encoding
+const prepareImage = async (inputBuffer, options) => {
+  reportProgress(options, 5, 'Reading image');
+  const metadata = await sharp(inputBuffer).metadata();
+  const sourceMetadata = readSourceMetadata(metadata);
+  const frames = metadata.pages || 1;
+  let pipelineOptions = { ...options, sourceMetadata, frames };
+  const autoFormats = options.format === 'auto' ? getAutoFormatCandidates(metadata, options) : null;
+
+  // Transforms, adjustments and watermarks work on one frame at a time through
+  // PNG intermediates, which can't hold an animation
+  const outputFormats = options.mode === 'responsive'
+    ? options.responsive.formats
+    : autoFormats || [options.format];
+  const keepsAnimation = outputFormats.some(format => isAnimatedOutput({ ...pipelineOptions, format }));
+  if (keepsAnimation && (options.transforms.length > 0 || options.adjustments || options.watermark)) {
+    throw createHttpError(
+      400,
+      'Transforms, adjustments and watermarks are not supported on animated images. Send animated=false to use the first frame'
+    );
+  }
+  if (options.transforms.length > 0) reportProgress(options, 10, 'Applying transforms');
+  let workingBuffer = options.transforms.length > 0
+    ? await applyTransforms(inputBuffer, options.transforms)
+    : inputBuffer;
+
+  // Adjustments come before the watermark so it keeps its own colors
+  if (options.adjustments) {
+    reportProgress(options, 15, 'Applying adjustments');
+    workingBuffer = await applyAdjustments(workingBuffer, options.adjustments);
+  }
+
+  // The watermark is scaled against the resized image, so resize first and
+  // encode the watermarked result without resizing again
+  if (options.watermark) {
+    reportProgress(options, 20, 'Applying watermark');
+    const resizedBuffer = await toIntermediateBuffer(applyResize(sharp(workingBuffer).rotate(), options));
+    workingBuffer = await applyWatermark(resizedBuffer, options.watermark);
+    pipelineOptions = { ...pipelineOptions, width: null, height: null };
+  }
+
+  return {
+    workingBuffer,
+    pipelineOptions,
+    autoFormats,
+    originalDimensions: getUprightDimensions(metadata),
+    animation: frames > 1 ? { frames, delay: metadata.delay || [], loop: metadata.loop ?? 0 } : null,
+    metadata: {
+      policy: options.metadataPolicy,
+      source: sourceMetadata,
+      removed: getRemovedMetadata(sourceMetadata, options.metadataPolicy)
+    }
+  };
+};
+
+// Reported for animated sources only, including when the output format
+// could only keep the first frame. Formats sharp can't animate (AVIF, JPEG,
+// PNG) drop the other frames, which framesDropped makes explicit.
+const getAnimationSummary = (source, frames, options) => {
+  if (!source) return null;
+  const preserved = frames > 1;
+
+  return {
+    sourceFrames: source.frames,
+    frames,
+    preserved,
+    framesDropped: source.frames - frames,
+    delay: preserved ? (options.frameDelay ? Array(frames).fill(options.frameDelay) : source.delay) : null,
+    loop: preserved ? options.loop ?? source.loop : null
+  };
+};
+
+const compressImageBuffer = async (inputBuffer, options) => {
+  const {
+    workingBuffer, pipelineOptions, autoFormats, originalDimensions, animation, metadata
+  } = await prepareImage(inputBuffer, options);
+  reportProgress(options, 30, 'Encoding');
+
+  let encoded;
+  let autoFormat = null;
+  if (autoFormats) {
+    ({ encoded, autoFormat } = await encodeBestFormat(workingBuffer, pipelineOptions, autoFormats));
+  } else {
+    encoded = await encodeWithQualityMode(workingBuffer, pipelineOptions);
+  }
+
+  reportProgress(options, 85, 'Measuring quality');
+  return {
+    buffer: encoded.buffer,
+    format: encoded.format || options.format,
+    autoFormat,
+    quality: encoded.quality,
+    target: options.targetSize
+      ? { size: options.targetSize, met: encoded.targetMet, downscaled: encoded.downscaled }
+      : null,
+    qualityFloor: options.minSsim !== null
+      ? { minSsim: options.minSsim, met: encoded.thresholdMet }
+      : null,
+    metrics: encoded.metrics || await measureQuality(workingBuffer, encoded),
+    metadata,
+    animation: getAnimationSummary(animation, encoded.frames, options),
+    dimensions: {
+      original: originalDimensions,
+      compressed: { width: encoded.width, height: encoded.height }
+    }
+  };
+};
+
+const readStream = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+// Content addressing: the same input compressed with the same options always
+// gives the same output, so signed-in users' results are stored under a hash
+// of both and reused. The user is part of the hash, so a result is only ever
+// reused for the account that made it and no stored file is shared between
+// users. Every CompressionHistory record pointing at a file is a reference to
+// it, and the file is only deleted along with its last record.
+
+// JSON with sorted keys (and buffers replaced by their hash), so equal
+// options always hash the same way
+const stableStringify = (value) => {
+  if (Buffer.isBuffer(value)) {
+    return JSON.stringify(crypto.createHash('sha256').update(value).digest('hex'));
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+// The options that change the encoded output. Progress callbacks and the
+// responsive settings (responsive sets aren't deduplicated) don't belong here.
+const hashedOptionFields = [
+  'quality', 'format', 'width', 'height', 'maintainAspectRatio',
+  'targetSize', 'allowDownscale', 'minSsim', 'metadataPolicy',
+  'transforms', 'adjustments', 'watermark',
+  'animated', 'frameDelay', 'loop', 'density', 'page', 'allowedFormats'
+];
+
+const getContentHash = (userId, inputBuffer, options) => {
+  const settings = Object.fromEntries(hashedOptionFields.map(field => [field, options[field]]));
+  return crypto.createHash('sha256')
+    .update(`${userId}:`)
+    .update(inputBuffer)
+    .update(stableStringify({ ...settings, format: getFileExtension(options.format) }))
+    .digest('hex');
+};
+
+// Loads the user's previous result with the same hash, or null if there
+// isn't one (or its file has gone in the meantime)
+const findStoredOutput = async (userId, inputBuffer, options, contentHash) => {
+  const record = await CompressionHistory.findOne({ userId, contentHash }).sort({ createdAt: -1 });
+  const stored = record && await fileStorage.read(record.compressedFilename);
+  if (!stored) return null;
+
+  const sourceMetadata = readSourceMetadata(await sharp(inputBuffer).metadata());
+  const { metrics, dimensions, animation, autoFormat } = record.toObject();
+
+  return {
+    buffer: await readStream(stored.body),
+    fileName: record.compressedFilename,
+    format: record.format,
+    autoFormat: autoFormat || null,
+    quality: record.quality,
+    target: record.target || null,
+    qualityFloor: record.qualityFloor || null,
+    metrics,
+    metadata: {
+      policy: options.metadataPolicy,
+      source: sourceMetadata,
+      removed: getRemovedMetadata(sourceMetadata, options.metadataPolicy)
+    },
+    animation: animation || null,
+    dimensions
+  };
+};
+
+// Deletes a stored file once no history record points at it any more. Any
+// user's record counts, since results stored before hashes included the user
+// can still be shared between accounts.
+const releaseStoredFile = async (fileName) => {
+  if (await CompressionHistory.exists({ compressedFilename: fileName })) return false;
+  return fileStorage.remove(fileName);
+};
+
+// Writes the compressed output to storage and returns the per-file result
+// payload. With a `userId`, an identical earlier result of that user's is
+// reused instead; anonymous results are never deduplicated.
+const storeCompressedImage = async (file, options, { userId = null } = {}) => {
+  const input = await readInputImage(file, options);
+  const contentHash = userId ? getContentHash(userId, file.buffer, options) : null;
+  const existing = contentHash && await findStoredOutput(userId, input.buffer, options, contentHash);
+
+  let output = existing;
+  if (!output) {
+    const compressed = await compressImageBuffer(input.buffer, options);
+    reportProgress(options, 95, 'Saving');
+    // With format=auto the extension is the chosen format's
+    const extension = getFileExtension(compressed.format);
+    const fileName = `${contentHash || uuidv4()}.${extension}`;
+    await fileStorage.put(fileName, compressed.buffer, { contentType: formatMimeTypes[extension] });
+    output = { ...compressed, fileName };
+  }
+
+  const {
+    buffer, fileName, format, autoFormat, quality, target, qualityFloor, metrics, metadata, animation, dimensions
+  } = output;
+  const originalSize = file.size;
+  const compressedSize = buffer.length;
+
+  return {
+    buffer,
+    fileName,
+    contentHash,
+    deduplicated: !!existing,
+    originalFilename: file.originalname,
+    originalSize,
+    compressedSize,
+    compressionRatio: ((originalSize - compressedSize) / originalSize * 100).toFixed(2),
+    savings: originalSize - compressedSize,
+    downloadUrl: `/uploads/${fileName}`,
+    source: input.source,
+    format,
+    autoFormat,
+    quality,
+    target,
+    qualityFloor,
+    metrics,
+    metadata,
+    transforms: options.transforms,
+    adjustments: options.adjustments,
+    watermark: options.watermark ? getWatermarkSummary(options.watermark) : null,
+    animation,
+    dimensions
+  };
+};
+
+// Builds a ready-to-paste <picture> element: modern formats as <source>
+// elements and the most compatible format as the <img> fallback
+const buildPictureHtml = (variants, formats, { sizes, alt }) => {
+  const getSrcset = (format) => variants
+    .filter(variant => variant.format === format)
+    .map(variant => `${variant.downloadUrl} ${variant.width}w`)
+    .join(', ');
+
+  const fallbackFormat = formats[formats.length - 1];
+  const fallback = variants
+    .filter(variant => variant.format === fallbackFormat)
+    .reduce((largest, variant) => (variant.width > largest.width ? variant : largest));
+  const escapedSizes = escapeMarkup(sizes);
+
+  const lines = ['<picture>'];
+  formats.slice(0, -1).forEach((format) => {
+    lines.push(`  <source type="${formatMimeTypes[format]}" srcset="${getSrcset(format)}" sizes="${escapedSizes}">`);
+  });
+  lines.push(
+    `  <img src="${fallback.downloadUrl}" srcset="${getSrcset(fallbackFormat)}" sizes="${escapedSizes}" ` +
+    `width="${fallback.width}" height="${fallback.height}" alt="${escapeMarkup(alt)}" loading="lazy" decoding="async">`
+  );
+  lines.push('</picture>');
+
+  return { html: lines.join('\n'), fallback };
+};
+
+// Encodes every breakpoint/format combination from a single prepared source
+const storeResponsiveImageSet = async (file, options) => {
+  const { breakpoints, formats } = options.responsive;
+  const input = await readInputImage(file, options);
+  const prepared = await prepareImage(input.buffer, { ...options, width: null, height: null });
+  const { width: sourceWidth } = getUprightDimensions(await sharp(prepared.workingBuffer).metadata());
+
+  // Breakpoints wider than the source collapse onto the source width instead of upscaling
+  const widths = [...new Set(breakpoints.map(breakpoint => Math.min(breakpoint, sourceWidth)))];
+  const setId = uuidv4();
+  const variants = [];
+
+  const totalVariants = formats.length * widths.length;
+
+  for (const format of formats) {
+    for (const width of widths) {
+      reportProgress(
+        options,
+        30 + (variants.length / totalVariants) * 65,
+        `Encoding ${format.toUpperCase()} ${width}w (${variants.length + 1}/${totalVariants})`
+      );
+      const encoded = await encodeImage(prepared.workingBuffer, {
+        ...prepared.pipelineOptions,
+        format,
+        width,
+        height: null,
+        maintainAspectRatio: true
+      });
+
+      const fileName = `${setId}-${encoded.width}w.${getFileExtension(format)}`;
+      await fileStorage.put(fileName, encoded.buffer, { contentType: formatMimeTypes[format] });
+
+      variants.push({
+        format,
+        width: encoded.width,
+        height: encoded.height,
+        size: encoded.buffer.length,
+        metrics: await measureQuality(prepared.workingBuffer, encoded),
+        frames: encoded.frames,
+        fileName,
+        downloadUrl: `/uploads/${fileName}`
+      });
+    }
+  }
+
+  const { html, fallback } = buildPictureHtml(variants, formats, options.responsive);
+  const originalSize = file.size;
+
+  return {
+    mode: 'responsive',
+    setId,
+    fileName: fallback.fileName,
+    originalFilename: file.originalname,
+    originalSize,
+    compressedSize: fallback.size,
+    compressionRatio: ((originalSize - fallback.size) / originalSize * 100).toFixed(2),
+    savings: originalSize - fallback.size,
+    downloadUrl: fallback.downloadUrl,
+    source: input.source,
+    format: fallback.format,
+    quality: options.quality,
+    metrics: fallback.metrics,
+    totalSize: variants.reduce((sum, variant) => sum + variant.size, 0),
+    variants,
+    html,
+    metadata: prepared.metadata,
+    transforms: options.transforms,
+    adjustments: options.adjustments,
+    watermark: options.watermark ? getWatermarkSummary(options.watermark) : null,
+    animation: getAnimationSummary(prepared.animation, fallback.frames, options),
+    dimensions: {
+      original: prepared.originalDimensions,
+      compressed: { width: fallback.width, height: fallback.height }
+    }
+  };
+};
+
+// Watermark settings as reported back to clients, without the logo data
+const getWatermarkSummary = (watermark) => ({
+  type: watermark.type,
+  text: watermark.text,
+  font: watermark.font,
+  color: watermark.color,
+  position: watermark.position,
+  x: watermark.x,
+  y: watermark.y,
+  opacity: watermark.opacity,
+  scale: watermark.scale,
+  tile: watermark.tile
+});
+
+// Resolves the request's watermark: a saved one by id, or inline settings
+// with an optional uploaded logo
+const resolveWatermark = async (req) => {
+  if (hasValue(req.body.watermarkId)) {
+    if (!req.user) {
+      throw createHttpError(401, 'Sign in to use a saved watermark');
+    }
+
+    const saved = mongoose.isValidObjectId(req.body.watermarkId)
+      ? await Watermark.findOne({ _id: req.body.watermarkId, userId: req.user.userId })
+      : null;
+    if (!saved) {
+      throw createHttpError(404, 'Watermark not found');
+    }
+
+    return parseWatermark(saved.toObject(), saved.image);
+  }
+
+  return parseWatermark(req.body.watermark, req.files?.watermarkImage?.[0]?.buffer);
+};
+
+// Saved presets: the admin presets shared with everyone, and merging the
+// one a request names into its body
+
+// Presets from every admin that chose to share them
+const getSharedPresets = async () => {
+  const admins = await User.find({ role: 'admin' }).select('username presets');
+  return admins.flatMap(admin => admin.presets
+    .filter(preset => preset.shared)
+    .map(preset => ({ preset, owner: admin.username })));
+};
+
+// Merges a saved preset under the request body, so fields sent explicitly
+// still override the preset
+const applyPreset = async (req) => {
+  if (!hasValue(req.body.presetId)) return req.body;
+
+  if (!req.user) {
+    throw createHttpError(401, 'Sign in to use a saved preset');
+  }
+
+  const presetId = String(req.body.presetId);
+  const user = await User.findById(req.user.userId).select('presets');
+  let preset = user?.presets.find(p => String(p._id) === presetId);
+
+  if (!preset) {
+    preset = (await getSharedPresets()).find(entry => String(entry.preset._id) === presetId)?.preset;
+  }
+  if (!preset) {
+    throw createHttpError(404, 'Preset not found');
+  }
+
+  const presetBody = {
+    quality: preset.quality,
+    format: preset.format,
+    width: preset.width ?? undefined,
+    height: preset.height ?? undefined,
+    maintainAspectRatio: preset.maintainAspectRatio,
+    metadata: preset.metadata,
+    transforms: preset.transforms?.length ? preset.transforms : undefined
+  };
+  const overrides = Object.fromEntries(
+    Object.entries(req.body).filter(([, value]) => hasValue(value))
+  );
+
+  return { ...presetBody, ...overrides };
+};
+
+const saveCompressionRecord = async (userId, result) => {
+  const compressionRecord = new CompressionHistory({
+    userId,
+    originalFilename: result.originalFilename,
+    compressedFilename: result.fileName,
+    originalSize: result.originalSize,
+    compressedSize: result.compressedSize,
+    compressionRatio: parseFloat(result.compressionRatio),
+    format: result.format,
+    quality: result.quality,
+    metadataPolicy: result.metadata.policy,
+    transforms: result.transforms,
+    adjustments: result.adjustments,
+    metrics: result.metrics,
+    responsiveSetId: result.responsiveSetId,
+    dimensions: result.dimensions,
+    downloadUrl: result.downloadUrl,
+    contentHash: result.contentHash,
+    target: result.target,
+    qualityFloor: result.qualityFloor,
+    animation: result.animation,
+    source: result.source,
+    autoFormat: result.autoFormat,
+    expiresAt: result.expiresAt
+  });
+
+  await compressionRecord.save();
+  return compressionRecord;
+};
+
+const updateCompressionStats = async (userId, count, savings) => {
+  await User.findByIdAndUpdate(userId, {
+    $inc: { 
+      'compressionStats.totalCompressions': count,
+      'compressionStats.totalSizeSaved': savings
+    },
+    $set: { 'compressionStats.lastCompression': new Date() }
+  });
+
+  // The daily counter starts over on the first compression of a new day
+  const day = getUsageDay();
+  const { matchedCount } = await User.updateOne(
+    { _id: userId, 'usage.day': day },
+    { $inc: { 'usage.compressions': count } }
+  );
+  if (matchedCount === 0) {
+    await User.updateOne({ _id: userId }, { $set: { 'usage.day': day, 'usage.compressions': count } });
+  }
+};
+
+const createQuotaError = (status, code, message, quota) => {
+  const error = createHttpError(status, message);
+  error.code = code;
+  error.quota = serializeQuota(quota);
+  return error;
+};
+
+const getQuotaSubject = (user) => (user ? `${user.role} accounts` : 'anonymous uploads');
+
+// Rejects a request that would go over the caller's quota, otherwise reserves
+// its compressions until they're counted. Each file counts as one
+// compression; a responsive set counts once. Returns the function that
+// releases the reservation, which is safe to call more than once.
+const reserveQuota = async (user, files, options) => {
+  const quota = getQuota(user);
+  const subject = getQuotaSubject(user);
+
+  const tooLarge = files.find(file => file.size > quota.maxFileSize);
+  if (tooLarge) {
+    throw createQuotaError(402, 'FILE_TOO_LARGE',
+      `${tooLarge.originalname} is larger than the ${formatFileSize(quota.maxFileSize)} limit for ${subject}`, quota);
+  }
+
+  // Automatic format selection only picks from the allowed formats
+  const outputFormats = options.mode === 'responsive'
+    ? options.responsive.formats
+    : [getFileExtension(options.format)].filter(format => format !== 'auto');
+  const blockedFormat = quota.formats && outputFormats.find(format => !quota.formats.includes(format));
+  if (blockedFormat) {
+    throw createQuotaError(402, 'FORMAT_NOT_ALLOWED',
+      `${blockedFormat.toUpperCase()} output isn't available for ${subject}`, quota);
+  }
+
+  if (!user) return () => {};
+
+  const account = await User.findById(user.userId).select('usage');
+  if (!account) return () => {};
+  const usage = await getUsage(account);
+
+  if (quota.compressionsPerDay && usage.compressionsToday + files.length > quota.compressionsPerDay) {
+    throw createQuotaError(429, 'DAILY_QUOTA_EXCEEDED',
+      `Daily limit of ${quota.compressionsPerDay} compressions reached, it resets at ${getNextUsageDay().toISOString()}`, quota);
+  }
+
+  if (quota.storageBytes && usage.storedBytes >= quota.storageBytes) {
+    throw createQuotaError(402, 'STORAGE_QUOTA_EXCEEDED',
+      `Storage limit of ${formatFileSize(quota.storageBytes)} reached, delete some compressed files to continue`, quota);
+  }
+
+  // Nothing is awaited between the check and the reservation, so concurrent
+  // requests can't both pass on the same usage
+  return reserveCompressions(user.userId, files.length);
+};
+
+// Bundles the compressed outputs into a single in-memory ZIP archive
+const createZipArchive = (entries) => new Promise((resolve, reject) => {
+  // Images are already compressed, so store them without deflating again
+  const archive = archiver('zip', { store: true });
+  const chunks = [];
+
+  archive.on('data', chunk => chunks.push(chunk));
+  archive.on('end', () => resolve(Buffer.concat(chunks)));
+  archive.on('error', reject);
+
+  entries.forEach(({ buffer, name }) => archive.append(buffer, { name }));
+  archive.finalize();
+});
+
+// Builds unique archive entry names from the original filenames and new extension
+const getArchiveEntryName = (originalFilename, format, usedNames) => {
+  const baseName = path.parse(originalFilename || 'image').name || 'image';
+  const extension = getFileExtension(format);
+  let name = `${baseName}.${extension}`;
+  let counter = 1;
+
+  while (usedNames.has(name)) {
+    name = `${baseName}-${counter}.${extension}`;
+    counter++;
+  }
+
+  usedNames.add(name);
+  return name;
+};
+
+// Compression Routes
+const compressUpload = parseUpload(upload.fields([
+  { name: 'image', maxCount: 1 },
+  { name: 'watermarkImage', maxCount: 1 }
+]));
+
+const batchUpload = parseUpload(upload.fields([
+  { name: 'images', maxCount: MAX_BATCH_FILES },
+  { name: 'watermarkImage', maxCount: 1 }
+]));
+
+// compressionLimiter counts the batch request as one compression; once the
+// upload is parsed, the rest of the files are counted too
+const limitBatchFiles = async (req, res, next) => {
+  const extraFiles = (req.files?.images?.length || 0) - 1;
+  if (extraFiles <= 0) return next();
+
+  const key = getCompressionLimitKey(req);
+  const limit = getCompressionLimit(req);
+  const current = await compressionLimitStore.get(key);
+  const used = current && current.resetTime > new Date() ? current.totalHits : 0;
+
+  if (used + extraFiles > limit) {
+    return res.status(429).json({
+      error: `This batch of ${extraFiles + 1} images would go over the limit of ${limit} compressions. ` +
+        `${Math.max(0, limit - used + 1)} can be compressed right now, please try again later.`
+    });
+  }
+
+  for (let i = 0; i < extraFiles; i++) {
+    await compressionLimitStore.increment(key);
+  }
+  next();
+};
+
+// Runs a single-image compression and builds the API response payload
+const runCompression = async (file, options, user) => {
+  const expiresAt = getExpiresAt(user);
+
+  if (options.mode === 'responsive') {
+    const result = await storeResponsiveImageSet(file, options);
+
+    const recordIds = [];
+    if (user) {
+      for (const variant of result.variants) {
+        const variantRecord = await saveCompressionRecord(user.userId, {
+          ...result,
+          fileName: variant.fileName,
+          compressedSize: variant.size,
+          compressionRatio: ((result.originalSize - variant.size) / result.originalSize * 100).toFixed(2),
+          format: variant.format,
+          downloadUrl: variant.downloadUrl,
+          metrics: variant.metrics,
+          responsiveSetId: result.setId,
+          expiresAt,
+          dimensions: {
+            original: result.dimensions.original,
+            compressed: { width: variant.width, height: variant.height }
+          }
+        });
+        recordIds.push(variantRecord._id);
+      }
+      await updateCompressionStats(user.userId, 1, result.savings);
+    }
+
+    const variants = result.variants.map(variant => ({
+      ...variant,
+      downloadUrl: getDownloadUrl(variant.fileName, user)
+    }));
+    const { html } = buildPictureHtml(variants, options.responsive.formats, options.responsive);
+
+    return {
+      success: true,
+      mode: result.mode,
+      setId: result.setId,
+      fileName: result.fileName,
+      originalSize: result.originalSize,
+      compressedSize: result.compressedSize,
+      compressionRatio: result.compressionRatio,
+      savings: formatFileSize(result.savings),
+      downloadUrl: getDownloadUrl(result.fileName, user),
+      source: result.source,
+      format: result.format,
+      quality: result.quality,
+      metrics: result.metrics,
+      totalSize: result.totalSize,
+      variants,
+      html,
+      metadata: result.metadata,
+      transforms: result.transforms,
+      adjustments: result.adjustments,
+      watermark: result.watermark,
+      animation: result.animation,
+      dimensions: result.dimensions,
+      expiresAt,
+      recordIds
+    };
+  }
+
+  const result = { ...(await storeCompressedImage(file, options, { userId: user?.userId })), expiresAt };
+
+  let compressionRecord = null;
+  if (user) {
+    compressionRecord = await saveCompressionRecord(user.userId, result);
+    await updateCompressionStats(user.userId, 1, result.savings);
+  }
+
+  return {
+    success: true,
+    fileName: result.fileName,
+    originalSize: result.originalSize,
+    compressedSize: result.compressedSize,
+    compressionRatio: result.compressionRatio,
+    savings: formatFileSize(result.savings),
+    downloadUrl: getDownloadUrl(result.fileName, user),
+    source: result.source,
+    format: result.format,
+    autoFormat: result.autoFormat,
+    quality: result.quality,
+    target: result.target,
+    qualityFloor: result.qualityFloor,
+    metrics: result.metrics,
+    metadata: result.metadata,
+    transforms: result.transforms,
+    adjustments: result.adjustments,
+    watermark: result.watermark,
+    animation: result.animation,
+    dimensions: result.dimensions,
+    deduplicated: result.deduplicated,
+    expiresAt,
+    recordId: compressionRecord?._id
+  };
+};
+
+app.post('/api/compress', allowApiKey('compress'), optionalAuth, compressionLimiter, compressUpload, async (req, res) => {
+  let releaseQuota = () => {};
+  try {
+    const file = req.files?.image?.[0];
+    if (!file) {
+      return res.status(400).json({ error: 'No image file provided' });
+    }
+    detectInputFormat(file);
+
+    const options = parseCompressionOptions(await applyPreset(req));
+    releaseQuota = await reserveQuota(req.user, [file], options);
+    options.allowedFormats = getQuota(req.user).formats;
+    options.watermark = await resolveWatermark(req);
+
+    res.json(await compressionQueue.run(() => runCompression(file, options, req.user)));
+
+  } catch (error) {
+    console.error('Compression error:', error);
+    res.status(error.status || 500).json({ 
+      error: 'Compression failed', 
+      message: error.message,
+      ...(error.quota && { code: error.code, quota: error.quota })
+    });
+  } finally {
+    releaseQuota();
+  }
+});
+
+app.post('/api/compress/batch', allowApiKey('compress'), optionalAuth, compressionLimiter, batchUpload, limitBatchFiles, async (req, res) => {
+  let releaseQuota = () => {};
+  try {
+    const files = req.files?.images || [];
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'No image files provided' });
+    }
+
+    const options = parseCompressionOptions(await applyPreset(req));
+    if (options.mode === 'responsive') {
+      return res.status(400).json({ error: 'Responsive mode is only supported for single images' });
+    }
+
+    releaseQuota = await reserveQuota(req.user, files, options);
+    options.allowedFormats = getQuota(req.user).formats;
+    options.watermark = await resolveWatermark(req);
+    const expiresAt = getExpiresAt(req.user);
+    const results = [];
+    const archiveEntries = [];
+    const usedNames = new Set();
+    let totalSavings = 0;
+    let successCount = 0;
+
+    // Process sequentially so a large batch doesn't run every sharp pipeline at once
+    for (const file of files) {
+      try {
+        const result = {
+          ...(await compressionQueue.run(() => storeCompressedImage(file, options, { userId: req.user?.userId }))),
+          expiresAt
+        };
+
+        let compressionRecord = null;
+        if (req.user) {
+          compressionRecord = await saveCompressionRecord(req.user.userId, result);
+        }
+
+        archiveEntries.push({
+          buffer: result.buffer,
+          name: getArchiveEntryName(file.originalname, result.format, usedNames)
+        });
+
+        totalSavings += result.savings;
+        successCount++;
+
+        results.push({
+          success: true,
+          originalFilename: result.originalFilename,
+          fileName: result.fileName,
+          originalSize: result.originalSize,
+          compressedSize: result.compressedSize,
+          compressionRatio: result.compressionRatio,
+          savings: formatFileSize(result.savings),
+          downloadUrl: getDownloadUrl(result.fileName, req.user),
+          source: result.source,
+          format: result.format,
+          autoFormat: result.autoFormat,
+          quality: result.quality,
+          target: result.target,
+          qualityFloor: result.qualityFloor,
+          metrics: result.metrics,
+          metadata: result.metadata,
+          transforms: result.transforms,
+          adjustments: result.adjustments,
+          watermark: result.watermark,
+          animation: result.animation,
+          dimensions: result.dimensions,
+          deduplicated: result.deduplicated,
+          expiresAt,
+          recordId: compressionRecord?._id
+        });
+      } catch (error) {
+        console.error(`Batch compression error (${file.originalname}):`, error);
+        results.push({
+          success: false,
+          originalFilename: file.originalname,
+          error: 'Compression failed',
+          message: error.message
+        });
+      }
+    }
+
+    if (successCount === 0) {
+      return res.status(500).json({
+        error: 'Compression failed',
+        message: 'None of the uploaded images could be compressed',
+        results
+      });
+    }
+
+    if (req.user) {
+      await updateCompressionStats(req.user.userId, successCount, totalSavings);
+    }
+
+    const batchId = uuidv4();
+    const zipFileName = `${batchId}.zip`;
+    const zipBuffer = await createZipArchive(archiveEntries);
+    // The archive has no history record, so it always expires like an anonymous result
+    const zipExpiresAt = getExpiresAt(null);
+    await fileStorage.put(zipFileName, zipBuffer, { contentType: 'application/zip' });
+    if (req.user) {
+      await new BatchArchive({ userId: req.user.userId, fileName: zipFileName, expiresAt: zipExpiresAt }).save();
+    }
+
+    const totalOriginalSize = results.reduce((sum, r) => sum + (r.success ? r.originalSize : 0), 0);
+    const totalCompressedSize = results.reduce((sum, r) => sum + (r.success ? r.compressedSize : 0), 0);
+
+    res.json({
+      success: true,
+      batchId,
+      total: files.length,
+      succeeded: successCount,
+      failed: files.length - successCount,
+      totalOriginalSize,
+      totalCompressedSize,
+      compressionRatio: ((totalOriginalSize - totalCompressedSize) / totalOriginalSize * 100).toFixed(2),
+      savings: formatFileSize(totalSavings),
+      zip: {
+        fileName: zipFileName,
+        size: zipBuffer.length,
+        downloadUrl: getDownloadUrl(zipFileName, req.user),
+        expiresAt: zipExpiresAt
+      },
+      results
+    });
+
+  } catch (error) {
+    console.error('Batch compression error:', error);
+    res.status(error.status || 500).json({ 
+      error: 'Batch compression failed', 
+      message: error.message,
+      ...(error.quota && { code: error.code, quota: error.quota })
+    });
+  } finally {
+    releaseQuota();
+  }
+});
+
+// Compression Job Routes
+// Job ids are random UUIDs and act as the capability to read a job, since
+// EventSource connections can't send an Authorization header
+app.post('/api/jobs', allowApiKey('compress'), optionalAuth, compressionLimiter, compressUpload, async (req, res) => {
+  let releaseQuota = () => {};
+  try {
+    const file = req.files?.image?.[0];
+    if (!file) {
+      return res.status(400).json({ error: 'No image file provided' });
+    }
+    detectInputFormat(file);
+
+    const options = parseCompressionOptions(await applyPreset(req));
+    releaseQuota = await reserveQuota(req.user, [file], options);
+    options.allowedFormats = getQuota(req.user).formats;
+    options.watermark = await resolveWatermark(req);
+    const user = req.user;
+
+    // The reservation is held until the job has counted its compression
+    const job = compressionQueue.add(async (onProgress) => {
+      try {
+        return await runCompression(file, { ...options, onProgress }, user);
+      } finally {
+        releaseQuota();
+      }
+    }, { userId: user?.userId });
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`,
+      eventsUrl: `/api/jobs/${job.id}/events`
+    });
+
+  } catch (error) {
+    releaseQuota();
+    console.error('Create job error:', error);
+    res.status(error.status || 500).json({ 
+      error: 'Failed to create compression job', 
+      message: error.message,
+      ...(error.quota && { code: error.code, quota: error.quota })
+    });
+  }
+});
+
+app.get('/api/jobs/:jobId', (req, res) => {
+  const job = compressionQueue.get(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.json({
+    success: true,
+    job: compressionQueue.serialize(job)
+  });
+});
+
+app.get('/api/jobs/:jobId/events', (req, res) => {
+  const job = compressionQueue.get(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let unsubscribe = () => {};
+  let heartbeat = null;
+
+  const close = () => {
+    unsubscribe();
+    clearInterval(heartbeat);
+    res.end();
+  };
+
+  const send = (state) => {
+    res.write(`data: ${JSON.stringify(state)}\n\n`);
+    if (state.status === 'done' || state.status === 'failed') {
+      close();
+    }
+  };
+
+  send(compressionQueue.serialize(job));
+  if (job.status === 'done' || job.status === 'failed') return;
+
+  unsubscribe = compressionQueue.subscribe(job.id, send);
+  // Comment lines keep proxies from closing an idle stream
+  heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  req.on('close', close);
+});
+
+// On-the-fly Image Transforms
+// /img/:fileId?w=&h=&fmt=&q= re-encodes a stored image and caches the result
+// on disk. Unsigned URLs may only use the allowed sizes and qualities, so
+// nobody can fill the cache with every possible variant; signed URLs can ask
+// for any size up to MAX_TRANSFORM_DIMENSION.
+const parseAllowList = (value, fallback) => (value
+  ? value.split(',').map(item => parseInt(item.trim())).filter(item => item > 0)
+  : fallback);
+
+const transformAllowList = {
+  widths: parseAllowList(process.env.IMAGE_TRANSFORM_WIDTHS, [320, 640, 960, 1280, 1920]),
+  heights: parseAllowList(process.env.IMAGE_TRANSFORM_HEIGHTS, [320, 640, 960, 1280, 1920]),
+  qualities: parseAllowList(process.env.IMAGE_TRANSFORM_QUALITIES, [50, 60, 70, 80, 90])
+};
+const MAX_TRANSFORM_DIMENSION = 4096;
+const DEFAULT_TRANSFORM_QUALITY = 80;
+const IMAGE_CACHE_MAX_AGE = parseInt(process.env.IMAGE_CACHE_MAX_AGE_SECONDS) || 7 * 24 * 60 * 60;
+
+// Without a configured secret, signed URLs only last until the server restarts
+const URL_SIGNING_SECRET = process.env.URL_SIGNING_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.URL_SIGNING_SECRET) {
+  console.warn('⚠️ No URL_SIGNING_SECRET set — signed image URLs will stop working when the server restarts.');
+}
+
+// How long signed /img and download links stay valid
+const DOWNLOAD_URL_TTL = parseInt(process.env.DOWNLOAD_URL_TTL_SECONDS) || 60 * 60;
+
+const imageCache = createDiskCache({
+  directory: process.env.IMAGE_CACHE_DIR || path.join(__dirname, 'cache', 'images'),
+  maxBytes: (parseFloat(process.env.IMAGE_CACHE_MAX_MB) || 500) * MB
+});
+
+// Renders of the same variant that are already running are shared
+const pendingTransforms = new Map();
+
+const parseImageTransform = (query) => {
+  const parseDimension = (value, name) => {
+    if (!hasValue(value)) return null;
+    const dimension = parseNumber(value, name, { min: 1, integer: true });
+    if (dimension > MAX_TRANSFORM_DIMENSION) {
+      throw createHttpError(400, `${name} must be at most ${MAX_TRANSFORM_DIMENSION}`);
+    }
+    return dimension;
+  };
+
+  const format = hasValue(query.fmt) ? String(query.fmt).toLowerCase() : null;
+  if (format && !validFormats.includes(format)) {
+    throw createHttpError(400, `fmt must be one of: ${validFormats.join(', ')}`);
+  }
+
+  const quality = hasValue(query.q) ? parseNumber(query.q, 'q', { min: 1, integer: true }) : null;
+  if (quality > 100) {
+    throw createHttpError(400, 'q must be between 1 and 100');
+  }
+
+  return {
+    width: parseDimension(query.w, 'w'),
+    height: parseDimension(query.h, 'h'),
+    format: format && getFileExtension(format),
+    quality
+  };
+};
+
+// The canonical form is what gets signed and what the cache is keyed by
+const getTransformQuery = ({ width, height, format, quality }) => new URLSearchParams(
+  Object.entries({ w: width, h: height, fmt: format, q: quality }).filter(([, value]) => value)
+).toString();
+
+// The expiry is part of the signed payload, so it can't be pushed back
+const signImageTransform = (fileId, transform, expires) => crypto
+  .createHmac('sha256', URL_SIGNING_SECRET)
+  .update(`/img/${fileId}?${getTransformQuery(transform)}&expires=${expires}`)
+  .digest('base64url');
+
+const isSignatureValid = (signature, expected) => (
+  signature.length === expected.length && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+);
+
+const isTransformAllowed = ({ width, height, quality }) => (
+  (!width || transformAllowList.widths.includes(width)) &&
+  (!height || transformAllowList.heights.includes(height)) &&
+  (!quality || transformAllowList.qualities.includes(quality))
+);
+
+const renderImageTransform = (cacheKey, fileId, transform) => {
+  if (!pendingTransforms.has(cacheKey)) {
+    const render = compressionQueue.run(async () => {
+      const source = await fileStorage.read(fileId);
+      if (!source) throw createHttpError(404, 'File not found');
+
+      const sourceBuffer = await readStream(source.body);
+      const { pages } = await sharp(sourceBuffer).metadata();
+      const { buffer } = await encodeImage(sourceBuffer, {
+        animated: true,
+        frames: pages || 1,
+        format: transform.format,
+        quality: transform.quality || DEFAULT_TRANSFORM_QUALITY,
+        width: transform.width,
+        height: transform.height,
+        maintainAspectRatio: true,
+        metadataPolicy: 'strip'
+      });
+      await imageCache.put(cacheKey, buffer);
+      return buffer;
+    }).finally(() => pendingTransforms.delete(cacheKey));
+
+    pendingTransforms.set(cacheKey, render);
+  }
+  return pendingTransforms.get(cacheKey);
+};
+
+// Variants are cached under the source's name, so the sweeper drops them
+// along with it
+const getTransformCacheKey = (fileId, transform) => {
+  const variantHash = crypto.createHash('sha256')
+    .update(`${fileId}?${getTransformQuery(transform)}`)
+    .digest('hex')
+    .slice(0, 32);
+  return { cacheKey: `${fileId}__${variantHash}.${transform.format}`, variantHash };
+};
+
+const getImageTransform = async (fileId, transform) => {
+  const { cacheKey } = getTransformCacheKey(fileId, transform);
+  return (await imageCache.get(cacheKey)) || renderImageTransform(cacheKey, fileId, transform);
+};
+
+app.get('/img/:fileId', async (req, res) => {
+  try {
+    const { fileId } = req.params;
+    const transform = parseImageTransform(req.query);
+
+    const signature = hasValue(req.query.sig) ? String(req.query.sig) : null;
+    const expiresAt = parseInt(req.query.expires);
+    if (signature && !isSignatureValid(signature, signImageTransform(fileId, transform, expiresAt))) {
+      return res.status(403).json({ error: 'Invalid signature' });
+    }
+    if (signature && !(expiresAt * 1000 > Date.now())) {
+      return res.status(403).json({
+        error: 'Signed URL expired',
+        message: 'Get a new signed URL from /api/img/sign'
+      });
+    }
+    // Anyone can resize a public image, but a user's own files need a URL
+    // they signed, which also keeps cached variants of them out of reach
+    if (!signature && await CompressionHistory.exists({ compressedFilename: fileId })) {
+      return res.status(403).json({
+        error: 'Signed URL required',
+        message: 'This image is private. Get a signed URL from /api/img/sign'
+      });
+    }
+    if (!signature && !isTransformAllowed(transform)) {
+      return res.status(403).json({
+        error: 'Transform not allowed',
+        message: 'Use one of the allowed sizes and qualities, or a signed URL',
+        allowed: transformAllowList
+      });
+    }
+
+    // Without fmt the image keeps the format it was stored in
+    transform.format = transform.format || getFileExtension(path.extname(fileId).slice(1).toLowerCase());
+    if (!formatMimeTypes[transform.format]) {
+      return res.status(400).json({ error: 'Only images can be transformed' });
+    }
+
+    if (!await fileStorage.exists(fileId)) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const { cacheKey, variantHash } = getTransformCacheKey(fileId, transform);
+    const etag = `"${variantHash}"`;
+
+    // Stored files never change, so neither does a variant of one
+    res.set('ETag', etag);
+    // Browsers shouldn't keep a signed variant past the link's expiry
+    res.set('Cache-Control', signature
+      ? `private, max-age=${Math.min(IMAGE_CACHE_MAX_AGE, expiresAt - Math.floor(Date.now() / 1000))}`
+      : `public, max-age=${IMAGE_CACHE_MAX_AGE}`);
+    if (req.get('if-none-match') === etag) {
+      return res.status(304).end();
+    }
+
+    let buffer = await imageCache.get(cacheKey);
+    res.set('X-Cache', buffer ? 'HIT' : 'MISS');
+    if (!buffer) {
+      buffer = await renderImageTransform(cacheKey, fileId, transform);
+    }
+
+    res.set('Content-Type', formatMimeTypes[transform.format]);
+    res.send(buffer);
+  } catch (error) {
+    console.error('Image transform error:', error);
+    res.status(error.status || 500).json({ error: 'Image transform failed', message: error.message });
+  }
+});
+
+// Signed URLs let a user's own images be served at any size until they expire
+app.post('/api/img/sign', allowApiKey('compress'), authenticateToken, async (req, res) => {
+  try {
+    const fileId = String(req.body.fileId || '');
+    const owned = fileId && await CompressionHistory.exists({ compressedFilename: fileId, userId: req.user.userId });
+    if (!owned) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const transform = parseImageTransform(req.body);
+    const query = getTransformQuery(transform);
+    const expires = Math.floor(Date.now() / 1000) + DOWNLOAD_URL_TTL;
+    const signature = signImageTransform(fileId, transform, expires);
+
+    res.json({
+      success: true,
+      url: `/img/${fileId}?${query ? `${query}&` : ''}expires=${expires}&sig=${signature}`,
+      expiresAt: new Date(expires * 1000)
+    });
+  } catch (error) {
+    console.error('Sign image URL error:', error);
+    res.status(error.status || 500).json({ error: 'Failed to sign image URL', message: error.message });
+  }
+});
+
+// Private Files
+// A stored file with a history record belongs to the user(s) who made it and
+// is only served to them, or to whoever holds a signed link that hasn't
+// expired. Batch ZIPs are owned through a BatchArchive record instead.
+// Anonymous results have no owner and stay public under their random names.
+
+const signDownload = (fileName, expires) => crypto
+  .createHmac('sha256', URL_SIGNING_SECRET)
+  .update(`/uploads/${fileName}?expires=${expires}`)
+  .digest('base64url');
+
+const getSignedDownloadUrl = (fileName) => {
+  const expires = Math.floor(Date.now() / 1000) + DOWNLOAD_URL_TTL;
+  return `/uploads/${fileName}?expires=${expires}&sig=${signDownload(fileName, expires)}`;
+};
+
+// Owners get signed links, since browsers can't send a token with an <img>
+// or a plain download link
+const getDownloadUrl = (fileName, user) => (user ? getSignedDownloadUrl(fileName) : `/uploads/${fileName}`);
+
+const isDownloadSignatureValid = (fileName, { expires, sig }) => {
+  const expiresAt = parseInt(expires);
+  if (!hasValue(sig) || !(expiresAt * 1000 > Date.now())) return false;
+  return isSignatureValid(String(sig), signDownload(fileName, expiresAt));
+};
+
+// Downloads are saved under the original file name with the new extension
+const getDownloadName = (record, fileName) => {
+  if (!record) return fileName;
+  const baseName = path.parse(record.originalFilename || 'image').name || 'image';
+  const suffix = record.responsiveSetId ? `-${record.dimensions?.compressed?.width}w` : '';
+  return `${baseName}${suffix}${path.extname(fileName)}`;
+};
+
+// Streams a file from fileStorage.read(), as a download when given a name
+const sendStoredFile = (res, file, { attachmentName } = {}) => {
+  if (attachmentName) res.attachment(attachmentName);
+  res.set('Content-Type', file.contentType);
+  if (file.size !== undefined) res.set('Content-Length', String(file.size));
+  if (file.lastModified) res.set('Last-Modified', file.lastModified.toUTCString());
+
+  file.body.on('error', (error) => {
+    console.error('Download stream error:', error);
+    res.destroy(error);
+  });
+  file.body.pipe(res);
+};
+
+// Serve stored files from whichever driver is configured
+app.get('/uploads/:fileName', allowApiKey('history:read'), optionalAuth, async (req, res) => {
+  try {
+    const { fileName } = req.params;
+    const records = await CompressionHistory.find({ compressedFilename: fileName })
+      .select('userId originalFilename responsiveSetId dimensions');
+    const archive = records.length === 0 ? await BatchArchive.findOne({ fileName }).select('userId') : null;
+    const ownRecord = req.user && records.find(record => String(record.userId) === req.user.userId);
+    const ownArchive = req.user && archive && String(archive.userId) === req.user.userId;
+    const isPrivate = records.length > 0 || Boolean(archive);
+
+    if (isPrivate && !ownRecord && !ownArchive && !isDownloadSignatureValid(fileName, req.query)) {
+      return res.status(403).json({
+        error: 'Access denied',
+        message: 'This file is private. Sign in as its owner or use a signed download link'
+      });
+    }
+
+    const file = await fileStorage.read(fileName);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    if (isPrivate) res.set('Cache-Control', 'private');
+    sendStoredFile(res, file, { attachmentName: getDownloadName(ownRecord || records[0], fileName) });
+  } catch (error) {
+    console.error('Download error:', error);
+    res.status(error.status || 500).json({ error: 'Download failed', message: error.message });
+  }
+});
+
+// Updated Get compression history with dynamic sorting
+app.get('/api/compression/history', allowApiKey('history:read'), authenticateToken, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const sortBy = req.query.sortBy || 'createdAt'; // Default sort by createdAt
+    const sortOrder = req.query.sortOrder === 'asc' ? 1 : -1; // Default to descending
+
+    // Validate sortBy field
+    const validSortFields = ['createdAt', 'originalSize', 'compressedSize', 'compressionRatio'];
+    if (!validSortFields.includes(sortBy)) {
+      return res.status(400).json({ error: 'Invalid sortBy field' });
+    }
+
+    // Validate page and limit
+    if (page < 1 || limit < 1) {
+      return res.status(400).json({ error: 'Page and limit must be positive integers' });
+    }
+
+    const skip = (page - 1) * limit;
+
+    const sortQuery = { [sortBy]: sortOrder };
+
+    const history = await CompressionHistory.find({ userId: req.user.userId })
+      .sort(sortQuery)
+      .skip(skip)
+      .limit(limit)
+      .select('-userId');
+
+    const total = await CompressionHistory.countDocuments({ userId: req.user.userId });
+
+    res.json({
+      success: true,
+      history: history.map(record => ({
+        ...record.toObject(),
+        downloadUrl: getSignedDownloadUrl(record.compressedFilename)
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+        sortBy,
+        sortOrder: sortOrder === 1 ? 'asc' : 'desc'
+      }
+    });
+  } catch (error) {
+    console.error('Get history error:', error);
+    res.status(500).json({ error: 'Failed to get compression history', message: error.message });
+  }
+});
+
+app.get('/api/compression/stats', allowApiKey('history:read'), authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('compressionStats');
+    
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const stats = await CompressionHistory.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(req.user.userId) } },
+      {
+        $group: {
+          _id: null,
+          totalCompressions: { $sum: 1 },
+          totalOriginalSize: { $sum: '$originalSize' },
+          totalCompressedSize: { $sum: '$compressedSize' },
+          avgCompressionRatio: { $avg: '$compressionRatio' },
+          avgSsim: { $avg: '$metrics.ssim' },
+          mostUsedFormat: { $addToSet: '$format' }
+        }
+      }
+    ]);
+
+    const compressionStats = stats[0] || {
+      totalCompressions: 0,
+      totalOriginalSize: 0,
+      totalCompressedSize: 0,
+      avgCompressionRatio: 0
+    };
+
+    res.json({
+      success: true,
+      stats: {
+        ...compressionStats,
+        totalSizeSaved: compressionStats.totalOriginalSize - compressionStats.totalCompressedSize,
+        userStats: user.compressionStats
+      }
+    });
+  } catch (error) {
+    console.error('Get stats error:', error);
+    res.status(500).json({ error: 'Failed to get compression statistics', message: error.message });
+  }
+});
+
+app.delete('/api/compression/history/:recordId', allowApiKey('delete'), authenticateToken, async (req, res) => {
+  try {
+    const record = await CompressionHistory.findOne({
+      _id: req.params.recordId,
+      userId: req.user.userId
+    });
+
+    if (!record) {
+      return res.status(404).json({ error: 'Record not found' });
+    }
+
+    await CompressionHistory.findByIdAndDelete(req.params.recordId);
+    await releaseStoredFile(record.compressedFilename);
+
+    res.json({
+      success: true,
+      message: 'Compression record deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete record error:', error);
+    res.status(500).json({ error: 'Failed to delete record', message: error.message });
+  }
+});
+
+// Watermark Routes
+const serializeWatermark = (watermark) => ({
+  id: watermark._id,
+  name: watermark.name,
+  ...getWatermarkSummary(watermark),
+  hasImage: !!watermark.image,
+  createdAt: watermark.createdAt
+});
+
+app.get('/api/watermarks', authenticateToken, async (req, res) => {
+  try {
+    const watermarks = await Watermark.find({ userId: req.user.userId })
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      watermarks: watermarks.map(serializeWatermark)
+    });
+  } catch (error) {
+    console.error('Get watermarks error:', error);
+    res.status(500).json({ error: 'Failed to get watermarks', message: error.message });
+  }
+});
+
+app.post('/api/watermarks', authenticateToken, parseUpload(upload.single('watermarkImage')), async (req, res) => {
+  try {
+    const name = String(req.body.name || '').trim();
+    if (!name || name.length > 50) {
+      return res.status(400).json({ error: 'Watermark name must be 1-50 characters' });
+    }
+
+    const settings = parseWatermark(req.body.watermark, req.file?.buffer);
+    if (!settings) {
+      return res.status(400).json({ error: 'Watermark settings are required' });
+    }
+
+    // Store logos as bounded PNGs so they can be composited onto any output format
+    const image = settings.image
+      ? await sharp(settings.image)
+        .rotate()
+        .resize({
+          width: MAX_WATERMARK_IMAGE_SIZE,
+          height: MAX_WATERMARK_IMAGE_SIZE,
+          fit: 'inside',
+          withoutEnlargement: true
+        })
+        .png()
+        .toBuffer()
+      : undefined;
+
+    const watermark = new Watermark({
+      ...settings,
+      x: settings.x ?? undefined,
+      y: settings.y ?? undefined,
+      text: settings.text ?? undefined,
+      image,
+      name,
+      userId: req.user.userId
+    });
+
+    await watermark.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Watermark saved successfully',
+      watermark: serializeWatermark(watermark)
+    });
+  } catch (error) {
+    console.error('Save watermark error:', error);
+    res.status(error.status || 500).json({ error: 'Failed to save watermark', message: error.message });
+  }
+});
+
+app.delete('/api/watermarks/:watermarkId', authenticateToken, async (req, res) => {
+  try {
+    const watermark = mongoose.isValidObjectId(req.params.watermarkId)
+      ? await Watermark.findOneAndDelete({ _id: req.params.watermarkId, userId: req.user.userId })
+      : null;
+
+    if (!watermark) {
+      return res.status(404).json({ error: 'Watermark not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Watermark deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete watermark error:', error);
+    res.status(500).json({ error: 'Failed to delete watermark', message: error.message });
+  }
+});
+
+// API Key Routes
+const MAX_API_KEYS = 20;
+
+const serializeApiKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  lastUsedAt: apiKey.lastUsedAt || null,
+  revokedAt: apiKey.revokedAt || null,
+  createdAt: apiKey.createdAt
+});
+
+app.get('/api/keys', authenticateToken, async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ userId: req.user.userId })
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      apiKeys: apiKeys.map(serializeApiKey)
+    });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({ error: 'Failed to get API keys', message: error.message });
+  }
+});
+
+app.post('/api/keys', authenticateToken, async (req, res) => {
+  try {
+    const name = String(req.body.name || '').trim();
+    if (!name || name.length > 50) {
+      return res.status(400).json({ error: 'API key name must be 1-50 characters' });
+    }
+
+    const scopes = hasValue(req.body.scopes) ? [...new Set(parseList(req.body.scopes))] : [];
+    if (scopes.length === 0) {
+      return res.status(400).json({ error: `At least one scope is required: ${apiKeyScopes.join(', ')}` });
+    }
+    const invalidScope = scopes.find(scope => !apiKeyScopes.includes(scope));
+    if (invalidScope) {
+      return res.status(400).json({ error: `Invalid scope "${invalidScope}", expected ${apiKeyScopes.join(', ')}` });
+    }
+
+    const activeKeys = await ApiKey.countDocuments({ userId: req.user.userId, revokedAt: null });
+    if (activeKeys >= MAX_API_KEYS) {
+      return res.status(400).json({ error: `You can have up to ${MAX_API_KEYS} active API keys` });
+    }
+
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const apiKey = new ApiKey({
+      userId: req.user.userId,
+      name,
+      keyHash: hashToken(key),
+      prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+      scopes
+    });
+
+    await apiKey.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now, it will not be shown again.',
+      key,
+      apiKey: serializeApiKey(apiKey)
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(error.status || 500).json({ error: 'Failed to create API key', message: error.message });
+  }
+});
+
+// Revoked keys are kept so their names and last use stay visible
+app.delete('/api/keys/:keyId', authenticateToken, async (req, res) => {
+  try {
+    const apiKey = mongoose.isValidObjectId(req.params.keyId)
+      ? await ApiKey.findOne({ _id: req.params.keyId, userId: req.user.userId })
+      : null;
+
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully',
+      apiKey: serializeApiKey(apiKey)
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({ error: 'Failed to revoke API key', message: error.message });
+  }
+});
+
+// Preset Routes
+const MAX_PRESETS = 50;
+
+// Presets go through the same parser as compression requests, so a saved
+// preset is always valid to apply
+const parsePreset = (body = {}) => {
+  const name = String(body.name || '').trim();
+  if (!name || name.length > 50) {
+    throw createHttpError(400, 'Preset name must be 1-50 characters');
+  }
+
+  const options = parseCompressionOptions({
+    quality: body.quality,
+    format: body.format,
+    maintainAspectRatio: body.maintainAspectRatio,
+    metadata: body.metadata,
+    transforms: body.transforms
+  });
+
+  return {
+    name,
+    quality: options.quality,
+    format: options.format,
+    width: hasValue(body.width) ? parseNumber(body.width, 'width', { min: 1, integer: true }) : null,
+    height: hasValue(body.height) ? parseNumber(body.height, 'height', { min: 1, integer: true }) : null,
+    maintainAspectRatio: options.maintainAspectRatio,
+    metadata: options.metadataPolicy,
+    transforms: options.transforms,
+    shared: String(body.shared) === 'true'
+  };
+};
+
+const serializePreset = (preset, owner = null) => ({
+  id: preset._id,
+  name: preset.name,
+  quality: preset.quality,
+  format: preset.format,
+  width: preset.width ?? null,
+  height: preset.height ?? null,
+  maintainAspectRatio: preset.maintainAspectRatio,
+  metadata: preset.metadata,
+  transforms: preset.transforms || [],
+  shared: preset.shared,
+  owner,
+  createdAt: preset.createdAt,
+  updatedAt: preset.updatedAt
+});
+
+app.get('/api/presets', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('presets');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const shared = (await getSharedPresets())
+      .filter(({ preset }) => !user.presets.some(own => String(own._id) === String(preset._id)));
+
+    res.json({
+      success: true,
+      presets: user.presets.map(preset => serializePreset(preset)),
+      shared: shared.map(({ preset, owner }) => serializePreset(preset, owner))
+    });
+  } catch (error) {
+    console.error('Get presets error:', error);
+    res.status(500).json({ error: 'Failed to get presets', message: error.message });
+  }
+});
+
+app.post('/api/presets', authenticateToken, async (req, res) => {
+  try {
+    const settings = parsePreset(req.body);
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (settings.shared && user.role !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can share presets' });
+    }
+    if (user.presets.length >= MAX_PRESETS) {
+      return res.status(400).json({ error: `You can save up to ${MAX_PRESETS} presets` });
+    }
+
+    user.presets.push(settings);
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Preset saved successfully',
+      preset: serializePreset(user.presets[user.presets.length - 1])
+    });
+  } catch (error) {
+    console.error('Save preset error:', error);
+    res.status(error.status || 500).json({ error: 'Failed to save preset', message: error.message });
+  }
+});
+
+app.put('/api/presets/:presetId', authenticateToken, async (req, res) => {
+  try {
+    const settings = parsePreset(req.body);
+    const user = await User.findById(req.user.userId);
+    const preset = user?.presets.find(p => String(p._id) === req.params.presetId);
+
+    if (!preset) {
+      return res.status(404).json({ error: 'Preset not found' });
+    }
+    if (settings.shared && user.role !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can share presets' });
+    }
+
+    preset.set({ ...settings, updatedAt: new Date() });
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Preset updated successfully',
+      preset: serializePreset(preset)
+    });
+  } catch (error) {
+    console.error('Update preset error:', error);
+    res.status(error.status || 500).json({ error: 'Failed to update preset', message: error.message });
+  }
+});
+
+app.delete('/api/presets/:presetId', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    const preset = user?.presets.find(p => String(p._id) === req.params.presetId);
+
+    if (!preset) {
+      return res.status(404).json({ error: 'Preset not found' });
+    }
+
+    user.presets = user.presets.filter(p => p !== preset);
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Preset deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete preset error:', error);
+    res.status(500).json({ error: 'Failed to delete preset', message: error.message });
+  }
+});
+
+app.get('/api/admin/stats', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const totalUsers = await User.countDocuments();
+    const totalCompressions = await CompressionHistory.countDocuments();
+    
+    const storageStats = await CompressionHistory.aggregate([
+      {
+        $group: {
+          _id: null,
+          totalStorageUsed: { $sum: '$compressedSize' },
+          totalSpaceSaved: { 
+            $sum: { $subtract: ['$originalSize', '$compressedSize'] } 
+          }
+        }
+      }
+    ]);
+
+    res.json({
+      success: true,
+      stats: {
+        totalUsers,
+        totalCompressions,
+        storage: storageStats[0] || { totalStorageUsed: 0, totalSpaceSaved: 0 }
+      }
+    });
+  } catch (error) {
+    console.error('Admin stats error:', error);
+    res.status(500).json({ error: 'Failed to get admin statistics', message: error.message });
+  }
+});
+
+// Share Routes
+// Shares are looked up by their random token. Records deleted or expired
+// since the share was made drop out of it rather than breaking it.
+const MAX_SHARE_RECORDS = 50;
+const SHARE_TITLE_MAX_LENGTH = 100;
+
+// Failed attempts only, so normal page views aren't limited
+const sharePasswordLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  skipSuccessfulRequests: true,
+  message: {
+    error: 'Too many incorrect share passwords from this IP, please try again later.'
+  }
+});
+
+const getActiveShareFilter = () => ({
+  revokedAt: null,
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+});
+
+const findActiveShare = (token) => Share.findOne({ token: String(token), ...getActiveShareFilter() });
+
+// The share's records in the order they were chosen
+const getSharedRecords = async (share) => {
+  const records = await CompressionHistory.find({ _id: { $in: share.recordIds }, userId: share.userId });
+  return share.recordIds
+    .map(recordId => records.find(record => String(record._id) === String(recordId)))
+    .filter(Boolean);
+};
+
+// After the password is checked, password-protected shares hand out a key
+// so previews and downloads can be loaded without sending it again
+const signShareAccess = (token, expires) => crypto
+  .createHmac('sha256', URL_SIGNING_SECRET)
+  .update(`/share/${token}?expires=${expires}`)
+  .digest('base64url');
+
+const getShareAccessKey = (token) => {
+  const expires = Math.floor(Date.now() / 1000) + DOWNLOAD_URL_TTL;
+  return `${expires}.${signShareAccess(token, expires)}`;
+};
+
+const isShareAccessKeyValid = (token, key) => {
+  const [expires, signature] = String(key || '').split('.');
+  const expiresAt = parseInt(expires);
+  if (!signature || !(expiresAt * 1000 > Date.now())) return false;
+  return isSignatureValid(signature, signShareAccess(token, expiresAt));
+};
+
+const serializeShare = (share, records = []) => ({
+  id: share._id,
+  token: share.token,
+  url: `/share?token=${share.token}`,
+  title: share.title || null,
+  type: share.recordIds.length > 1 ? 'collection' : 'record',
+  records: records.map(record => ({ id: record._id, originalFilename: record.originalFilename })),
+  recordCount: share.recordIds.length,
+  passwordProtected: !!share.passwordHash,
+  maxDownloads: share.maxDownloads || null,
+  downloadCount: share.downloadCount,
+  expiresAt: share.expiresAt || null,
+  createdAt: share.createdAt
+});
+
+// What a visitor sees of a shared record: the before/after stats and links
+// through the share, never the owner's own file URLs
+const serializeSharedRecord = (share, record, key) => {
+  const fileUrl = `/api/shares/public/${share.token}/files/${record._id}`;
+  const query = key ? `key=${encodeURIComponent(key)}` : '';
+
+  return {
+    id: record._id,
+    originalFilename: record.originalFilename,
+    originalSize: record.originalSize,
+    compressedSize: record.compressedSize,
+    compressionRatio: record.compressionRatio,
+    savings: record.originalSize - record.compressedSize,
+    format: record.format,
+    quality: record.quality,
+    metrics: record.metrics,
+    dimensions: record.dimensions,
+    createdAt: record.createdAt,
+    previewUrl: query ? `${fileUrl}?${query}` : fileUrl,
+    downloadUrl: `${fileUrl}?${query ? `${query}&` : ''}download=1`
+  };
+};
+
+app.get('/api/shares', authenticateToken, async (req, res) => {
+  try {
+    const shares = await Share.find({ userId: req.user.userId, ...getActiveShareFilter() })
+      .sort({ createdAt: -1 });
+
+    const records = await CompressionHistory.find({
+      _id: { $in: shares.flatMap(share => share.recordIds) },
+      userId: req.user.userId
+    }).select('originalFilename');
+
+    res.json({
+      success: true,
+      shares: shares.map(share => serializeShare(
+        share,
+        records.filter(record => share.recordIds.some(recordId => String(recordId) === String(record._id)))
+      ))
+    });
+  } catch (error) {
+    console.error('Get shares error:', error);
+    res.status(500).json({ error: 'Failed to get shares', message: error.message });
   }
 });
 
-app.put('/api/auth/profile', authenticateToken, async (req, res) => {
+app.post('/api/shares', authenticateToken, async (req, res) => {
   try {
-    const { username } = req.body;
-    const user = await User.findById(req.user.userId);
+    const recordIds = [...new Set([].concat(req.body.recordIds ?? req.body.recordId ?? []).map(String))];
+    if (recordIds.length === 0) {
+      return res.status(400).json({ error: 'Choose at least one compression to share' });
+    }
+    if (recordIds.length > MAX_SHARE_RECORDS) {
+      return res.status(400).json({ error: `A share can include at most ${MAX_SHARE_RECORDS} compressions` });
+    }
 
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+    const records = recordIds.every(recordId => mongoose.isValidObjectId(recordId))
+      ? await CompressionHistory.find({ _id: { $in: recordIds }, userId: req.user.userId }).select('originalFilename')
+      : [];
+    if (records.length !== recordIds.length) {
+      return res.status(404).json({ error: 'Compression record not found' });
     }
 
-    if (username) {
-      const existingUser = await User.findOne({ username, _id: { $ne: user._id } });
-      if (existingUser) {
-        return res.status(400).json({ error: 'Username already taken' });
+    const password = hasValue(req.body.password) ? String(req.body.password) : null;
+    if (password && password.length < 4) {
+      return res.status(400).json({ error: 'Share passwords must be at least 4 characters long' });
+    }
+
+    const expiresInHours = hasValue(req.body.expiresInHours)
+      ? parseNumber(req.body.expiresInHours, 'expiresInHours', { min: 1 })
+      : null;
+    const maxDownloads = hasValue(req.body.maxDownloads)
+      ? parseNumber(req.body.maxDownloads, 'maxDownloads', { min: 1, integer: true })
+      : null;
+
+    const share = new Share({
+      userId: req.user.userId,
+      token: crypto.randomBytes(18).toString('base64url'),
+      title: hasValue(req.body.title) ? String(req.body.title).trim().slice(0, SHARE_TITLE_MAX_LENGTH) : undefined,
+      recordIds,
+      passwordHash: password ? await bcrypt.hash(password, 12) : undefined,
+      maxDownloads: maxDownloads || undefined,
+      expiresAt: expiresInHours ? new Date(Date.now() + expiresInHours * 60 * 60 * 1000) : undefined
+    });
+    await share.save();
+
+    res.status(201).json({
+      success: true,
+      share: serializeShare(share, recordIds.map(recordId => records.find(record => String(record._id) === recordId)))
+    });
+  } catch (error) {
+    console.error('Create share error:', error);
+    res.status(error.status || 500).json({ error: 'Failed to create share', message: error.message });
+  }
+});
+
+// Revoked shares stop working straight away
+app.delete('/api/shares/:shareId', authenticateToken, async (req, res) => {
+  try {
+    const share = mongoose.isValidObjectId(req.params.shareId)
+      ? await Share.findOneAndUpdate(
+        { _id: req.params.shareId, userId: req.user.userId, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+      )
+      : null;
+
+    if (!share) {
+      return res.status(404).json({ error: 'Share not found' });
+    }
+
+    res.json({ success: true, message: 'Share revoked successfully' });
+  } catch (error) {
+    console.error('Revoke share error:', error);
+    res.status(500).json({ error: 'Failed to revoke share', message: error.message });
+  }
+});
+
+// Opens a share for the public share page. POST so a password can be sent
+// in the body.
+app.post('/api/shares/public/:token', sharePasswordLimiter, async (req, res) => {
+  try {
+    const share = await findActiveShare(req.params.token);
+    if (!share) {
+      return res.status(404).json({ error: 'Share not found', message: 'This link has expired or was revoked' });
+    }
+
+    let key = null;
+    if (share.passwordHash) {
+      const password = hasValue(req.body.password) ? String(req.body.password) : '';
+      if (!password || !await bcrypt.compare(password, share.passwordHash)) {
+        return res.status(401).json({
+          error: password ? 'Incorrect password' : 'Password required',
+          code: 'PASSWORD_REQUIRED'
+        });
       }
-      user.username = username;
+      key = getShareAccessKey(share.token);
     }
 
-    await user.save();
+    const records = await getSharedRecords(share);
+    if (records.length === 0) {
+      return res.status(404).json({ error: 'Share not found', message: 'The shared files are no longer available' });
+    }
+
+    const owner = await User.findById(share.userId).select('username');
 
     res.json({
       success: true,
-      message: 'Profile updated successfully',
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        role: user.role
+      share: {
+        title: share.title || null,
+        type: share.recordIds.length > 1 ? 'collection' : 'record',
+        sharedBy: owner?.username || null,
+        expiresAt: share.expiresAt || null,
+        downloadsRemaining: share.maxDownloads ? Math.max(0, share.maxDownloads - share.downloadCount) : null,
+        totalOriginalSize: records.reduce((sum, record) => sum + record.originalSize, 0),
+        totalCompressedSize: records.reduce((sum, record) => sum + record.compressedSize, 0),
+        items: records.map(record => serializeSharedRecord(share, record, key))
       }
     });
-
   } catch (error) {
-    console.error('Update profile error:', error);
-    res.status(500).json({ error: 'Failed to update profile', message: error.message });
+    console.error('Open share error:', error);
+    res.status(500).json({ error: 'Failed to open share', message: error.message });
   }
 });
 
-// Compression Routes
-app.post('/api/compress', optionalAuth, compressionLimiter, upload.single('image'), async (req, res) => {
+// Previews are downscaled copies, so only downloads (?download=1) give out
+// the full file and count towards the share's download limit
+const SHARE_PREVIEW_SIZE = parseInt(process.env.SHARE_PREVIEW_SIZE) || 1024;
+const SHARE_PREVIEW_QUALITY = 70;
+
+// Serves a shared file, or a preview of it
+app.get('/api/shares/public/:token/files/:recordId', async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No image file provided' });
+    const share = await findActiveShare(req.params.token);
+    const isShared = share?.recordIds.some(recordId => String(recordId) === req.params.recordId);
+    if (!isShared) {
+      return res.status(404).json({ error: 'File not found' });
     }
 
-    const { 
-      quality = 80, 
-      format = 'jpeg', 
-      width, 
-      height,
-      maintainAspectRatio = 'true'
-    } = req.body;
+    if (share.passwordHash && !isShareAccessKeyValid(share.token, req.query.key)) {
+      return res.status(401).json({ error: 'Password required', code: 'PASSWORD_REQUIRED' });
+    }
 
-    const qualityValue = Math.min(100, Math.max(10, parseInt(quality) || 80));
-    const validFormats = ['jpeg', 'jpg', 'png', 'webp', 'avif'];
-    const outputFormat = validFormats.includes(format.toLowerCase()) ? format.toLowerCase() : 'jpeg';
+    const record = await CompressionHistory.findOne({ _id: req.params.recordId, userId: share.userId });
+    const isDownload = req.query.download === '1';
 
-    const fileName = `${uuidv4()}.${outputFormat === 'jpg' ? 'jpeg' : outputFormat}`;
-    const outputPath = path.join(uploadsDir, fileName);
+    if (!isDownload) {
+      if (!record || !await fileStorage.exists(record.compressedFilename)) {
+        return res.status(404).json({ error: 'File not found' });
+      }
+      const format = getFileExtension(path.extname(record.compressedFilename).slice(1).toLowerCase());
+      const preview = await getImageTransform(record.compressedFilename, {
+        width: SHARE_PREVIEW_SIZE,
+        height: SHARE_PREVIEW_SIZE,
+        format,
+        quality: SHARE_PREVIEW_QUALITY
+      });
+      res.set('Cache-Control', 'private');
+      res.set('Content-Type', formatMimeTypes[format]);
+      return res.send(preview);
+    }
 
-    let sharpInstance = sharp(req.file.buffer);
-    const metadata = await sharpInstance.metadata();
-    
-    let compressedDimensions = { width: metadata.width, height: metadata.height };
-    if (width || height) {
-      const resizeOptions = {
-        width: width ? parseInt(width) : null,
-        height: height ? parseInt(height) : null,
-        withoutEnlargement: true,
-        fit: maintainAspectRatio === 'true' ? 'inside' : 'fill'
-      };
-      
-      sharpInstance = sharpInstance.resize(resizeOptions);
-      const newMetadata = await sharpInstance.metadata();
-      compressedDimensions = { width: newMetadata.width, height: newMetadata.height };
-    }
-
-    let compressedBuffer;
-    switch (outputFormat) {
-      case 'jpeg':
-      case 'jpg':
-        compressedBuffer = await sharpInstance
-          .jpeg({ 
-            quality: qualityValue,
-            mozjpeg: true
-          })
-          .toBuffer();
-        break;
-      case 'png':
-        const pngQuality = Math.floor(9 - (qualityValue / 11.11));
-        compressedBuffer = await sharpInstance
-          .png({ 
-            compressionLevel: Math.max(0, Math.min(9, pngQuality))
-          })
-          .toBuffer();
-        break;
-      case 'webp':
-        compressedBuffer = await sharpInstance
-          .webp({ 
-            quality: qualityValue
-          })
-          .toBuffer();
-        break;
-      case 'avif':
-        compressedBuffer = await sharpInstance
-          .avif({ 
-            quality: qualityValue
-          })
-          .toBuffer();
-        break;
-      default:
-        compressedBuffer = await sharpInstance
-          .jpeg({ quality: qualityValue })
-          .toBuffer();
+    const file = record && await fileStorage.read(record.compressedFilename);
+    if (!file) {
+      return res.status(404).json({ error: 'File not found' });
     }
 
-    const originalSize = req.file.size;
-    const compressedSize = compressedBuffer.length;
-    const compressionRatio = ((originalSize - compressedSize) / originalSize * 100).toFixed(2);
-    const savings = originalSize - compressedSize;
+    const counted = await Share.findOneAndUpdate(
+      { _id: share._id, ...(share.maxDownloads && { downloadCount: { $lt: share.maxDownloads } }) },
+      { $inc: { downloadCount: 1 } }
+    );
+    if (!counted) {
+      file.body.destroy();
+      return res.status(410).json({ error: 'Download limit reached' });
+    }
 
-    await sharp(compressedBuffer).toFile(outputPath);
+    res.set('Cache-Control', 'private');
+    sendStoredFile(res, file, { attachmentName: getDownloadName(record, record.compressedFilename) });
+  } catch (error) {
+    console.error('Shared file error:', error);
+    res.status(error.status || 500).json({ error: 'Download failed', message: error.message });
+  }
+});
 
-    let compressionRecord = null;
-    if (req.user) {
-      compressionRecord = new CompressionHistory({
-        userId: req.user.userId,
-        originalFilename: req.file.originalname,
-        compressedFilename: fileName,
-        originalSize,
-        compressedSize,
-        compressionRatio: parseFloat(compressionRatio),
-        format: outputFormat,
-        quality: qualityValue,
-        dimensions: {
-          original: { width: metadata.width, height: metadata.height },
-          compressed: compressedDimensions
-        },
-        downloadUrl: `/uploads/${fileName}`
-      });
+// Admin user management
+const ADMIN_USERS_PAGE_LIMIT = 100;
 
-      await compressionRecord.save();
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
-      await User.findByIdAndUpdate(req.user.userId, {
-        $inc: { 
-          'compressionStats.totalCompressions': 1,
-          'compressionStats.totalSizeSaved': savings
-        },
-        $set: { 'compressionStats.lastCompression': new Date() }
-      });
+const serializeAdminUser = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  role: user.role,
+  emailVerified: user.emailVerified,
+  disabled: !!user.disabledAt,
+  disabledAt: user.disabledAt || null,
+  compressionStats: user.compressionStats,
+  createdAt: user.createdAt
+});
+
+const findManagedUser = async (req) => (
+  mongoose.isValidObjectId(req.params.userId) ? User.findById(req.params.userId).select('-password -presets') : null
+);
+
+// Removes a user's stored files and everything that belongs to them
+const deleteUserData = async (userId) => {
+  const fileNames = await CompressionHistory.distinct('compressedFilename', { userId });
+  await CompressionHistory.deleteMany({ userId });
+
+  // Files shared with other users' records stay
+  let removedFiles = 0;
+  for (const fileName of fileNames) {
+    if (await releaseStoredFile(fileName)) removedFiles++;
+  }
+
+  const archives = await BatchArchive.find({ userId }).select('fileName');
+  await BatchArchive.deleteMany({ userId });
+  for (const archive of archives) {
+    if (await fileStorage.remove(archive.fileName)) removedFiles++;
+  }
+
+  await Share.deleteMany({ userId });
+  await Watermark.deleteMany({ userId });
+  await ApiKey.deleteMany({ userId });
+  await Session.deleteMany({ userId });
+  await AuthToken.deleteMany({ userId });
+
+  return removedFiles;
+};
+
+app.get('/api/admin/users', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, ADMIN_USERS_PAGE_LIMIT);
+
+    if (page < 1 || limit < 1) {
+      return res.status(400).json({ error: 'Page and limit must be positive integers' });
+    }
+
+    const query = {};
+    const search = String(req.query.search || '').trim();
+    if (search) {
+      const pattern = new RegExp(escapeRegExp(search), 'i');
+      query.$or = [{ username: pattern }, { email: pattern }];
+    }
+    if (req.query.role) {
+      query.role = String(req.query.role);
     }
+    if (req.query.status === 'disabled') {
+      query.disabledAt = { $ne: null };
+    } else if (req.query.status === 'active') {
+      query.disabledAt = null;
+    }
+
+    const users = await User.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select('-password -presets');
+
+    const total = await User.countDocuments(query);
 
     res.json({
       success: true,
-      fileName: fileName,
-      originalSize,
-      compressedSize,
-      compressionRatio,
-      savings: formatFileSize(savings),
-      downloadUrl: `/uploads/${fileName}`,
-      format: outputFormat,
-      dimensions: {
-        original: {
-          width: metadata.width,
-          height: metadata.height
-        },
-        compressed: compressedDimensions
-      },
-      recordId: compressionRecord?._id
+      users: users.map(serializeAdminUser),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
     });
-
   } catch (error) {
-    console.error('Compression error:', error);
-    res.status(500).json({ 
-      error: 'Compression failed', 
-      message: error.message 
-    });
+    console.error('Admin list users error:', error);
+    res.status(500).json({ error: 'Failed to list users', message: error.message });
   }
 });
 
-// Updated Get compression history with dynamic sorting
-app.get('/api/compression/history', authenticateToken, async (req, res) => {
+app.get('/api/admin/users/:userId', authenticateToken, requireRole('admin'), async (req, res) => {
   try {
+    const user = await findManagedUser(req);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
-    const sortBy = req.query.sortBy || 'createdAt'; // Default sort by createdAt
-    const sortOrder = req.query.sortOrder === 'asc' ? 1 : -1; // Default to descending
-
-    // Validate sortBy field
-    const validSortFields = ['createdAt', 'originalSize', 'compressedSize', 'compressionRatio'];
-    if (!validSortFields.includes(sortBy)) {
-      return res.status(400).json({ error: 'Invalid sortBy field' });
-    }
 
-    // Validate page and limit
     if (page < 1 || limit < 1) {
       return res.status(400).json({ error: 'Page and limit must be positive integers' });
     }
 
-    const skip = (page - 1) * limit;
-
-    const sortQuery = { [sortBy]: sortOrder };
-
-    const history = await CompressionHistory.find({ userId: req.user.userId })
-      .sort(sortQuery)
-      .skip(skip)
+    const history = await CompressionHistory.find({ userId: user._id })
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
       .limit(limit)
       .select('-userId');
 
-    const total = await CompressionHistory.countDocuments({ userId: req.user.userId });
+    const total = await CompressionHistory.countDocuments({ userId: user._id });
 
     res.json({
       success: true,
+      user: serializeAdminUser(user),
+      quota: await getQuotaStatus(user),
       history,
       pagination: {
         page,
         limit,
         total,
-        pages: Math.ceil(total / limit),
-        sortBy,
-        sortOrder: sortOrder === 1 ? 'asc' : 'desc'
+        pages: Math.ceil(total / limit)
       }
     });
   } catch (error) {
-    console.error('Get history error:', error);
-    res.status(500).json({ error: 'Failed to get compression history', message: error.message });
+    console.error('Admin get user error:', error);
+    res.status(500).json({ error: 'Failed to get user', message: error.message });
   }
 });
 
-app.get('/api/compression/stats', authenticateToken, async (req, res) => {
+// Changes a user's role and/or disables or re-enables the account
+app.put('/api/admin/users/:userId', authenticateToken, requireRole('admin'), async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId).select('compressionStats');
-    
+    const { role, disabled } = req.body;
+    const user = await findManagedUser(req);
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    const stats = await CompressionHistory.aggregate([
-      { $match: { userId: new mongoose.Types.ObjectId(req.user.userId) } },
-      {
-        $group: {
-          _id: null,
-          totalCompressions: { $sum: 1 },
-          totalOriginalSize: { $sum: '$originalSize' },
-          totalCompressedSize: { $sum: '$compressedSize' },
-          avgCompressionRatio: { $avg: '$compressionRatio' },
-          mostUsedFormat: { $addToSet: '$format' }
-        }
-      }
-    ]);
+    if (role !== undefined && !User.schema.path('role').enumValues.includes(role)) {
+      return res.status(400).json({ error: 'Invalid role' });
+    }
+    if (disabled !== undefined && typeof disabled !== 'boolean') {
+      return res.status(400).json({ error: 'disabled must be true or false' });
+    }
+    // Stops admins from locking themselves (and possibly everyone) out
+    if (String(user._id) === String(req.user.userId) && ((role && role !== 'admin') || disabled)) {
+      return res.status(400).json({ error: 'You cannot demote or disable your own account' });
+    }
 
-    const compressionStats = stats[0] || {
-      totalCompressions: 0,
-      totalOriginalSize: 0,
-      totalCompressedSize: 0,
-      avgCompressionRatio: 0
-    };
+    const roleChanged = role !== undefined && role !== user.role;
+    const disabling = disabled === true && !user.disabledAt;
+
+    if (roleChanged) {
+      user.role = role;
+    }
+    if (disabled !== undefined) {
+      user.disabledAt = disabled ? user.disabledAt || new Date() : undefined;
+    }
+    await user.save();
+
+    // Access tokens carry the role, so make the user sign in again to pick it up
+    if (roleChanged || disabling) {
+      await revokeUserSessions(user._id);
+    }
 
     res.json({
       success: true,
-      stats: {
-        ...compressionStats,
-        totalSizeSaved: compressionStats.totalOriginalSize - compressionStats.totalCompressedSize,
-        userStats: user.compressionStats
-      }
+      message: 'User updated successfully',
+      user: serializeAdminUser(user)
     });
   } catch (error) {
-    console.error('Get stats error:', error);
-    res.status(500).json({ error: 'Failed to get compression statistics', message: error.message });
+    console.error('Admin update user error:', error);
+    res.status(500).json({ error: 'Failed to update user', message: error.message });
   }
 });
 
-app.delete('/api/compression/history/:recordId', authenticateToken, async (req, res) => {
+app.post('/api/admin/users/:userId/reset-quota', authenticateToken, requireRole('admin'), async (req, res) => {
   try {
-    const record = await CompressionHistory.findOne({
-      _id: req.params.recordId,
-      userId: req.user.userId
-    });
-
-    if (!record) {
-      return res.status(404).json({ error: 'Record not found' });
-    }
-
-    const filePath = path.join(uploadsDir, record.compressedFilename);
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
+    const user = await findManagedUser(req);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
     }
 
-    await CompressionHistory.findByIdAndDelete(req.params.recordId);
+    user.usage.compressions = 0;
+    await user.save();
 
     res.json({
       success: true,
-      message: 'Compression record deleted successfully'
+      message: 'Quota reset successfully',
+      user: serializeAdminUser(user),
+      quota: await getQuotaStatus(user)
     });
   } catch (error) {
-    console.error('Delete record error:', error);
-    res.status(500).json({ error: 'Failed to delete record', message: error.message });
+    console.error('Admin reset quota error:', error);
+    res.status(500).json({ error: 'Failed to reset quota', message: error.message });
   }
 });
 
-app.get('/api/admin/stats', authenticateToken, async (req, res) => {
+app.delete('/api/admin/users/:userId', authenticateToken, requireRole('admin'), async (req, res) => {
   try {
-    const user = await User.findById(req.user.userId);
-    if (user.role !== 'admin') {
-      return res.status(403).json({ error: 'Admin access required' });
+    const user = await findManagedUser(req);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
     }
 
-    const totalUsers = await User.countDocuments();
-    const totalCompressions = await CompressionHistory.countDocuments();
-    
-    const storageStats = await CompressionHistory.aggregate([
-      {
-        $group: {
-          _id: null,
-          totalStorageUsed: { $sum: '$compressedSize' },
-          totalSpaceSaved: { 
-            $sum: { $subtract: ['$originalSize', '$compressedSize'] } 
-          }
-        }
-      }
-    ]);
+    if (String(user._id) === String(req.user.userId)) {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+
+    const removedFiles = await deleteUserData(user._id);
+    await User.findByIdAndDelete(user._id);
 
     res.json({
       success: true,
-      stats: {
-        totalUsers,
-        totalCompressions,
-        storage: storageStats[0] || { totalStorageUsed: 0, totalSpaceSaved: 0 }
-      }
+      message: 'User deleted successfully',
+      removedFiles
     });
   } catch (error) {
-    console.error('Admin stats error:', error);
-    res.status(500).json({ error: 'Failed to get admin statistics', message: error.message });
+    console.error('Admin delete user error:', error);
+    res.status(500).json({ error: 'Failed to delete user', message: error.message });
   }
 });
 
@@ -664,7 +4406,9 @@ app.get('/api/health', (req, res) => {
     message: 'Image Compressor API is running',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
-    database: mongoose.connection.readyState === 1 ? 'Connected' : 'Disconnected'
+    database: embeddedStore ? 'Embedded' : (isDatabaseReady() ? 'Connected' : 'Disconnected'),
+    storage: fileStorage.name,
+    queue: compressionQueue.stats()
   });
 });
 
@@ -678,31 +4422,66 @@ app.get('/api/info', (req, res) => {
       'Compression History',
       'User Statistics',
       'Multiple Format Support',
+      'Batch Compression with ZIP Download',
+      'Metadata Control & Auto-Orientation',
+      'Crop, Rotate, Flip & Trim Transforms',
+      'Image & Text Watermarks',
+      'Responsive Image Sets (srcset)',
+      'SSIM & PSNR Quality Metrics',
+      'Background Jobs with Live Progress',
+      'Automatic File Expiry',
+      'Saved & Shared Presets',
+      'Scoped API Keys',
+      'Refresh Tokens & Session Management',
+      'Email Verification & Password Reset',
+      'Per-Role Usage Quotas',
+      'On-the-fly Image Transform URLs',
+      'Deduplicated Outputs',
+      'Private Files & Signed Download Links',
+      'Share Links & Galleries',
+      'Animated GIF & WebP',
+      'HEIC, TIFF, SVG & BMP Input',
+      'Image Adjustments & Filters',
+      'Automatic Best-Format Selection',
       'Rate Limiting'
     ],
-    maxFileSize: '10MB',
-    supportedFormats: ['JPEG', 'PNG', 'WebP', 'AVIF']
+    maxFileSize: formatFileSize(MAX_UPLOAD_SIZE),
+    maxBatchFiles: MAX_BATCH_FILES,
+    retentionHours: Object.fromEntries(
+      Object.entries(retentionPeriods).map(([role, period]) => [role, period / HOUR_MS])
+    ),
+    imageTransforms: {
+      url: '/img/:fileId?w=&h=&fmt=&q=',
+      ...transformAllowList,
+      maxSignedDimension: MAX_TRANSFORM_DIMENSION
+    },
+    quotas: Object.fromEntries(
+      Object.entries(quotas).map(([role, quota]) => [role, serializeQuota(quota)])
+    ),
+    supportedFormats: ['JPEG', 'PNG', 'WebP', 'AVIF', 'GIF'],
+    inputFormats: Object.values(inputFormatNames),
+    svgDensity: { default: DEFAULT_SVG_DENSITY, max: MAX_SVG_DENSITY },
+    autoFormat: { candidates: autoFormatCandidates, defaultMinSsim: DEFAULT_AUTO_MIN_SSIM }
   });
 });
 
-app.delete('/api/cleanup/:filename', authenticateToken, async (req, res) => {
+app.delete('/api/cleanup/:filename', allowApiKey('delete'), authenticateToken, async (req, res) => {
   try {
     const filename = req.params.filename;
-    const filePath = path.join(uploadsDir, filename);
     
-    await CompressionHistory.findOneAndDelete({ 
+    const record = await CompressionHistory.findOneAndDelete({ 
       compressedFilename: filename,
       userId: req.user.userId
     });
     
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
+    if (record) {
+      await releaseStoredFile(filename);
       res.json({ success: true, message: 'File deleted successfully' });
     } else {
       res.status(404).json({ error: 'File not found' });
     }
   } catch (error) {
-    res.status(500).json({ error: 'Cleanup failed', message: error.message });
+    res.status(error.status || 500).json({ error: 'Cleanup failed', message: error.message });
   }
 });
 
@@ -748,12 +4527,83 @@ app.use((error, req, res, next) => {
   });
 });
 
+// Removes expired files and their history rows, plus files without a record
+// once they're older than the anonymous retention period
+const sweepExpiredFiles = async () => {
+  // Without the database we can't tell user files from anonymous ones
+  if (!isDatabaseReady()) {
+    return null;
+  }
+
+  const now = Date.now();
+  let removedFiles = 0;
+  let removedRecords = 0;
+
+  const expired = await CompressionHistory.find({ expiresAt: { $lte: new Date(now) } })
+    .select('compressedFilename');
+
+  if (expired.length > 0) {
+    const { deletedCount } = await CompressionHistory.deleteMany({
+      _id: { $in: expired.map(record => record._id) }
+    });
+    removedRecords = deletedCount;
+  }
+
+  // A file shared by several records stays until the last of them expires
+  for (const fileName of new Set(expired.map(record => record.compressedFilename))) {
+    if (await releaseStoredFile(fileName)) removedFiles++;
+  }
+
+  const anonymousCutoff = now - retentionPeriods.anonymous;
+  const candidates = (await fileStorage.list())
+    .filter(file => file.lastModified.getTime() <= anonymousCutoff);
+
+  const trackedFiles = new Set(candidates.length > 0
+    ? await CompressionHistory.distinct('compressedFilename', {
+      compressedFilename: { $in: candidates.map(file => file.key) }
+    })
+    : []);
+
+  for (const file of candidates) {
+    if (!trackedFiles.has(file.key) && await fileStorage.remove(file.key)) removedFiles++;
+  }
+
+  // Cached transforms go once the image they were made from is gone
+  const sourceExists = new Map();
+  for (const entry of await imageCache.list()) {
+    const sourceKey = entry.key.split('__')[0];
+    if (!sourceExists.has(sourceKey)) {
+      sourceExists.set(sourceKey, await fileStorage.exists(sourceKey).catch(() => false));
+    }
+    if (!sourceExists.get(sourceKey) && await imageCache.remove(entry.key)) removedFiles++;
+  }
+
+  return { removedFiles, removedRecords };
+};
+
+const startRetentionSweeper = () => {
+  const sweep = () => sweepExpiredFiles()
+    .then((result) => {
+      if (result && (result.removedFiles > 0 || result.removedRecords > 0)) {
+        console.log(`🧹 Retention sweep removed ${result.removedFiles} files and ${result.removedRecords} history records`);
+      }
+    })
+    .catch(error => console.error('Retention sweep error:', error));
+
+  sweep();
+  setInterval(sweep, RETENTION_SWEEP_INTERVAL_MS).unref();
+};
+
 app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`📁 Uploads directory: ${uploadsDir}`);
-  console.log(`🗄️  MongoDB: ${mongoose.connection.readyState === 1 ? 'Connected' : 'Connecting...'}`);
+  console.log(`📁 Storage: ${fileStorage.name} (${fileStorage.location})`);
+  console.log(embeddedStore
+    ? `🗄️  Database: embedded (${embeddedStore.location})`
+    : `🗄️  MongoDB: ${isDatabaseReady() ? 'Connected' : 'Connecting...'}`);
   console.log(`🔐 JWT Authentication: Enabled`);
+  console.log(`✉️  Mail transport: ${mailer.name}`);
   console.log(`🌐 Health check: http://localhost:${PORT}/api/health`);
+  startRetentionSweeper();
 });
 // Global handlers to prevent the process from exiting silently and to provide clearer logs
 process.on('unhandledRejection', (reason, promise) => {
@@ -0,0 +1,127 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+// Login sessions and single-use auth tokens. The schemas are registered by
+// the server like every other model; createSessionStore() takes the resulting
+// Session and AuthToken models, so the same queries run against MongoDB and
+// the embedded store.
+//   isSessionActive(sessionId) -> boolean
+//   revokeSession(sessionId, userId) -> update result
+//   revokeUserSessions(userId) -> update result
+//   issueAuthToken(userId, type, ttl) -> token
+//   consumeAuthToken(token, type) -> token record | null
+
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Login sessions. Each holds a rotating refresh token (stored hashed) and
+// backs the short-lived access tokens issued for it.
+export const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // The token replaced by the latest rotation, kept to detect reuse
+  previousTokenHash: String,
+  rotatedAt: Date,
+  userAgent: String,
+  ip: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: Date,
+  // Expired sessions are removed by a TTL index
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Single-use tokens for email verification and password resets, stored hashed
+export const authTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['verify-email', 'reset-password'],
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  usedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 }
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+export const createSessionStore = ({ Session, AuthToken }) => {
+  // Access tokens are only good while their session is neither revoked nor
+  // expired
+  const isSessionActive = async (sessionId) => {
+    if (!mongoose.isValidObjectId(sessionId)) return false;
+
+    const active = await Session.exists({
+      _id: sessionId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+    return Boolean(active);
+  };
+
+  const revokeSession = (sessionId, userId) => Session.updateOne(
+    { _id: sessionId, userId },
+    { $set: { revokedAt: new Date() } }
+  );
+
+  const revokeUserSessions = (userId) => Session.updateMany(
+    { userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+
+  // Issuing a token replaces any unused one of the same type
+  const issueAuthToken = async (userId, type, ttl) => {
+    await AuthToken.deleteMany({ userId, type, usedAt: null });
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    await new AuthToken({
+      userId,
+      type,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(Date.now() + ttl)
+    }).save();
+
+    return token;
+  };
+
+  // Marks a token as used in one step so it can't be redeemed twice; returns
+  // null for unknown, used or expired tokens
+  const consumeAuthToken = (token, type) => AuthToken.findOneAndUpdate(
+    { tokenHash: hashToken(String(token || '')), type, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } }
+  );
+
+  return { isSessionActive, revokeSession, revokeUserSessions, issueAuthToken, consumeAuthToken };
+};
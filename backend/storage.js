@@ -0,0 +1,226 @@
+import fs from 'fs';
+import path from 'path';
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} from '@aws-sdk/client-s3';
+
+// Storage drivers share one interface so routes don't care where files live:
+//   put(key, buffer, { contentType }) -> void
+//   read(key) -> { body: Readable, size, contentType, lastModified } | null
+//   exists(key) -> boolean
+//   remove(key) -> boolean (false if there was nothing to delete)
+//   list() -> [{ key, size, lastModified }]
+// Keys are flat file names generated by the server.
+
+const contentTypes = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.gif': 'image/gif',
+  '.zip': 'application/zip'
+};
+
+export const getContentType = (key) => (
+  contentTypes[path.extname(key).toLowerCase()] || 'application/octet-stream'
+);
+
+const assertValidKey = (key) => {
+  if (!key || key !== path.basename(key) || key.startsWith('.')) {
+    const error = new Error('Invalid file name');
+    error.status = 400;
+    throw error;
+  }
+};
+
+export const createLocalStorage = ({ directory }) => {
+  fs.mkdirSync(directory, { recursive: true });
+
+  const resolveKey = (key) => {
+    assertValidKey(key);
+    return path.join(directory, key);
+  };
+
+  const stat = async (key) => {
+    try {
+      const stats = await fs.promises.stat(resolveKey(key));
+      return stats.isFile() ? stats : null;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  return {
+    name: 'local',
+    location: directory,
+
+    put: async (key, buffer) => {
+      await fs.promises.writeFile(resolveKey(key), buffer);
+    },
+
+    read: async (key) => {
+      const stats = await stat(key);
+      if (!stats) return null;
+
+      return {
+        body: fs.createReadStream(resolveKey(key)),
+        size: stats.size,
+        contentType: getContentType(key),
+        lastModified: stats.mtime
+      };
+    },
+
+    exists: async (key) => Boolean(await stat(key)),
+
+    remove: async (key) => {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      }
+    },
+
+    list: async () => {
+      const entries = await fs.promises.readdir(directory, { withFileTypes: true });
+      const files = [];
+
+      for (const entry of entries) {
+        if (!entry.isFile() || entry.name.startsWith('.')) continue;
+        const stats = await fs.promises.stat(path.join(directory, entry.name));
+        files.push({ key: entry.name, size: stats.size, lastModified: stats.mtime });
+      }
+
+      return files;
+    }
+  };
+};
+
+// Works with AWS S3 and S3-compatible services such as MinIO, which need an
+// explicit endpoint and path-style addressing
+export const createS3Storage = ({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, prefix = '' }) => {
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required when STORAGE_DRIVER=s3');
+  }
+
+  const client = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    forcePathStyle,
+    credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  const toObjectKey = (key) => {
+    assertValidKey(key);
+    return `${prefix}${key}`;
+  };
+
+  const isNotFound = (error) => (
+    error.name === 'NoSuchKey' || error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404
+  );
+
+  const exists = async (key) => {
+    try {
+      await client.send(new HeadObjectCommand({ Bucket: bucket, Key: toObjectKey(key) }));
+      return true;
+    } catch (error) {
+      if (isNotFound(error)) return false;
+      throw error;
+    }
+  };
+
+  return {
+    name: 's3',
+    location: `s3://${bucket}/${prefix}`,
+
+    put: async (key, buffer, { contentType } = {}) => {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: toObjectKey(key),
+        Body: buffer,
+        ContentType: contentType || getContentType(key)
+      }));
+    },
+
+    read: async (key) => {
+      try {
+        const object = await client.send(new GetObjectCommand({ Bucket: bucket, Key: toObjectKey(key) }));
+        return {
+          body: object.Body,
+          size: object.ContentLength,
+          contentType: object.ContentType || getContentType(key),
+          lastModified: object.LastModified
+        };
+      } catch (error) {
+        if (isNotFound(error)) return null;
+        throw error;
+      }
+    },
+
+    exists,
+
+    // S3 deletes succeed for missing keys, so check first to report whether
+    // anything was actually removed
+    remove: async (key) => {
+      if (!(await exists(key))) return false;
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: toObjectKey(key) }));
+      return true;
+    },
+
+    list: async () => {
+      const files = [];
+      let continuationToken;
+
+      do {
+        const page = await client.send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix || undefined,
+          ContinuationToken: continuationToken
+        }));
+
+        (page.Contents || []).forEach(object => {
+          const key = object.Key.slice(prefix.length);
+          // Skip anything nested deeper than the prefix, it wasn't written by us
+          if (key && !key.includes('/')) {
+            files.push({ key, size: object.Size, lastModified: object.LastModified });
+          }
+        });
+
+        continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+      } while (continuationToken);
+
+      return files;
+    }
+  };
+};
+
+// Picks the driver from STORAGE_DRIVER (local by default)
+export const createStorageFromEnv = (env, { defaultDirectory }) => {
+  const driver = (env.STORAGE_DRIVER || 'local').toLowerCase();
+
+  if (driver === 'local') {
+    return createLocalStorage({ directory: env.LOCAL_STORAGE_DIR || defaultDirectory });
+  }
+
+  if (driver === 's3') {
+    return createS3Storage({
+      bucket: env.S3_BUCKET,
+      region: env.S3_REGION || 'us-east-1',
+      endpoint: env.S3_ENDPOINT,
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: env.S3_FORCE_PATH_STYLE === 'true',
+      prefix: env.S3_PREFIX || ''
+    });
+  }
+
+  throw new Error(`Unknown STORAGE_DRIVER "${env.STORAGE_DRIVER}", expected "local" or "s3"`);
+};
@@ -0,0 +1,395 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import mongoose from 'mongoose';
+import { createEmbeddedStore, matches, applyUpdate } from '../embeddedStore.js';
+
+// The expected results are what MongoDB returns for the same filters and
+// updates, since the store stands in for it
+
+const itemSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  email: { type: String, unique: true },
+  password: String,
+  tags: [String],
+  ownerId: mongoose.Schema.Types.ObjectId,
+  size: Number,
+  stats: {
+    count: { type: Number, default: 0 },
+    saved: { type: Number, default: 0 }
+  },
+  createdAt: { type: Date, default: Date.now }
+});
+const Item = mongoose.model('EmbeddedTestItem', itemSchema);
+
+const tokenSchema = new mongoose.Schema({
+  value: String,
+  expiresAt: { type: Date, index: { expires: 0 } }
+});
+const Token = mongoose.model('EmbeddedTestToken', tokenSchema);
+
+const graceSchema = new mongoose.Schema({
+  value: String,
+  lastSeenAt: { type: Date, index: { expires: 60 } }
+});
+const Grace = mongoose.model('EmbeddedTestGrace', graceSchema);
+
+let directory;
+let file;
+let stores;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'embedded-store-'));
+  file = path.join(directory, 'store.json');
+  stores = [];
+});
+
+// Pruning expired records writes in the background, so let it finish first
+afterEach(async () => {
+  await Promise.all(stores.map(store => store.flush()));
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+const openStore = () => {
+  const store = createEmbeddedStore({ file });
+  stores.push(store);
+  return store;
+};
+
+describe('matches', () => {
+  const ownerId = new mongoose.Types.ObjectId();
+  const record = {
+    name: 'photo.jpg',
+    size: 120,
+    tags: ['cat', 'outdoor'],
+    ownerId,
+    stats: { count: 3 },
+    createdAt: new Date('2024-01-02T00:00:00Z'),
+    revokedAt: null
+  };
+
+  test('compares plain values, nested paths, ids and dates by value', () => {
+    assert.equal(matches(record, { name: 'photo.jpg', 'stats.count': 3 }), true);
+    assert.equal(matches(record, { name: 'other.jpg' }), false);
+    assert.equal(matches(record, { ownerId: new mongoose.Types.ObjectId(ownerId.toHexString()) }), true);
+    assert.equal(matches(record, { ownerId: ownerId.toHexString() }), true);
+    assert.equal(matches(record, { createdAt: new Date('2024-01-02T00:00:00Z') }), true);
+  });
+
+  test('an empty filter matches everything', () => {
+    assert.equal(matches(record, {}), true);
+  });
+
+  test('a scalar condition matches any element of an array field', () => {
+    assert.equal(matches(record, { tags: 'cat' }), true);
+    assert.equal(matches(record, { tags: 'dog' }), false);
+    assert.equal(matches(record, { tags: { $in: ['dog', 'outdoor'] } }), true);
+    assert.equal(matches(record, { tags: { $nin: ['cat'] } }), false);
+    assert.equal(matches(record, { tags: { $ne: 'dog' } }), true);
+  });
+
+  test('null matches both null and missing fields', () => {
+    assert.equal(matches(record, { revokedAt: null }), true);
+    assert.equal(matches(record, { deletedAt: null }), true);
+    assert.equal(matches(record, { name: null }), false);
+    assert.equal(matches(record, { deletedAt: { $ne: null } }), false);
+    assert.equal(matches(record, { name: { $ne: null } }), true);
+    assert.equal(matches(record, { deletedAt: { $in: [null] } }), true);
+  });
+
+  test('$exists only looks at whether the field is present', () => {
+    assert.equal(matches(record, { revokedAt: { $exists: true } }), true);
+    assert.equal(matches(record, { deletedAt: { $exists: true } }), false);
+    assert.equal(matches(record, { deletedAt: { $exists: false } }), true);
+  });
+
+  test('range operators never match missing or null fields', () => {
+    assert.equal(matches(record, { size: { $gt: 100, $lte: 120 } }), true);
+    assert.equal(matches(record, { size: { $lt: 120 } }), false);
+    assert.equal(matches(record, { createdAt: { $gte: new Date('2024-01-01T00:00:00Z') } }), true);
+    assert.equal(matches(record, { missing: { $lt: 5 } }), false);
+    assert.equal(matches(record, { revokedAt: { $gte: 0 } }), false);
+  });
+
+  test('supports regular expressions, $or and $and', () => {
+    assert.equal(matches(record, { name: /\.JPG$/i }), true);
+    assert.equal(matches(record, { size: /12/ }), false);
+    assert.equal(matches(record, { $or: [{ name: 'x' }, { size: 120 }] }), true);
+    assert.equal(matches(record, { $and: [{ name: 'photo.jpg' }, { size: 1 }] }), false);
+  });
+
+  test('throws on operators it does not implement', () => {
+    assert.throws(() => matches(record, { size: { $mod: [2, 0] } }), /Unsupported query operator \$mod/);
+  });
+});
+
+describe('applyUpdate', () => {
+  test('$set, $inc and $unset work on nested paths', () => {
+    const record = { name: 'a', stats: { count: 1 }, password: 'x' };
+    applyUpdate(record, {
+      $set: { name: 'b', 'profile.theme': 'dark' },
+      $inc: { 'stats.count': 2, 'stats.saved': 5 },
+      $unset: { password: '' }
+    });
+    assert.deepEqual(record, { name: 'b', stats: { count: 3, saved: 5 }, profile: { theme: 'dark' } });
+  });
+
+  test('$inc starts missing fields from zero and accepts negative amounts', () => {
+    const record = {};
+    applyUpdate(record, { $inc: { downloads: -1 } });
+    assert.deepEqual(record, { downloads: -1 });
+  });
+
+  test('$unset of a missing path leaves the record alone', () => {
+    const record = { name: 'a' };
+    applyUpdate(record, { $unset: { 'stats.count': '', other: '' } });
+    assert.deepEqual(record, { name: 'a' });
+  });
+
+  test('an update without operators is treated as $set', () => {
+    const record = { name: 'a', size: 1 };
+    applyUpdate(record, { size: 2 });
+    assert.deepEqual(record, { name: 'a', size: 2 });
+  });
+
+  test('throws on operators it does not implement', () => {
+    assert.throws(() => applyUpdate({}, { $push: { tags: 'x' } }), /Unsupported update operator \$push/);
+  });
+});
+
+describe('models', () => {
+  test('saved documents are cast by the schema and survive a reload', async () => {
+    const store = openStore();
+    const Items = store.model(Item);
+    const ownerId = new mongoose.Types.ObjectId();
+
+    const item = await new Items({ name: 'a', size: '42', ownerId: ownerId.toHexString() }).save();
+    await store.flush();
+
+    const Reloaded = openStore().model(Item);
+    const [loaded] = await Reloaded.find({ ownerId });
+    assert.equal(String(loaded._id), String(item._id));
+    assert.equal(loaded.size, 42);
+    assert.ok(loaded.ownerId instanceof mongoose.Types.ObjectId);
+    assert.ok(loaded.createdAt instanceof Date);
+    assert.equal(loaded.stats.count, 0);
+  });
+
+  test('validation and unique indexes are enforced', async () => {
+    const Items = openStore().model(Item);
+    await assert.rejects(new Items({ size: 1 }).save(), { name: 'ValidationError' });
+
+    await new Items({ name: 'a', email: 'a@example.com' }).save();
+    await assert.rejects(new Items({ name: 'b', email: 'a@example.com' }).save(), { code: 11000 });
+
+    // A document may keep its own value, but not take another's
+    await Items.updateOne({ name: 'a' }, { $set: { email: 'a@example.com' } });
+    await new Items({ name: 'c', email: 'c@example.com' }).save();
+    await assert.rejects(Items.updateOne({ name: 'c' }, { $set: { email: 'a@example.com' } }), { code: 11000 });
+  });
+
+  test('a document loaded with an inclusive projection keeps its other fields when saved', async () => {
+    const Items = openStore().model(Item);
+    const { _id } = await new Items({ name: 'a', email: 'a@example.com', password: 'hash', size: 10 }).save();
+
+    const partial = await Items.findById(_id).select('name');
+    assert.equal(partial.name, 'a');
+    assert.equal(partial.password, undefined);
+    assert.equal(partial.isSelected('password'), false);
+
+    partial.name = 'renamed';
+    await partial.save();
+
+    const full = await Items.findById(_id);
+    assert.equal(full.name, 'renamed');
+    assert.equal(full.email, 'a@example.com');
+    assert.equal(full.password, 'hash');
+    assert.equal(full.size, 10);
+  });
+
+  test('a document loaded with an exclusive projection keeps the excluded fields when saved', async () => {
+    const Items = openStore().model(Item);
+    const { _id } = await new Items({ name: 'a', password: 'hash', size: 10 }).save();
+
+    const partial = await Items.findOne({ _id }).select('-password');
+    assert.equal(partial.password, undefined);
+    partial.size = 11;
+    await partial.save();
+
+    const full = await Items.findById(_id);
+    assert.equal(full.size, 11);
+    assert.equal(full.password, 'hash');
+  });
+
+  test('find sorts, skips and limits like a Mongoose query', async () => {
+    const Items = openStore().model(Item);
+    for (const [name, size] of [['a', 3], ['b', 1], ['c', 2], ['d', null]]) {
+      await new Items({ name, size }).save();
+    }
+
+    const ascending = await Items.find().sort({ size: 1 });
+    assert.deepEqual(ascending.map(item => item.name), ['d', 'b', 'c', 'a']);
+
+    const page = await Items.find({ size: { $ne: null } }).sort({ size: -1 }).skip(1).limit(1);
+    assert.deepEqual(page.map(item => item.name), ['c']);
+  });
+
+  test('findOneAndUpdate returns the old document unless new is set', async () => {
+    const Items = openStore().model(Item);
+    await new Items({ name: 'a', stats: { count: 1 } }).save();
+
+    const before = await Items.findOneAndUpdate({ name: 'a' }, { $inc: { 'stats.count': 1 } });
+    assert.equal(before.stats.count, 1);
+
+    const after = await Items.findOneAndUpdate({ name: 'a' }, { $inc: { 'stats.count': 1 } }, { new: true });
+    assert.equal(after.stats.count, 3);
+
+    assert.equal(await Items.findOneAndUpdate({ name: 'missing' }, { size: 1 }), null);
+  });
+
+  test('distinct, countDocuments and deleteMany', async () => {
+    const Items = openStore().model(Item);
+    for (const [name, tags] of [['a', ['x', 'y']], ['b', ['y']], ['c', []]]) {
+      await new Items({ name, tags }).save();
+    }
+
+    assert.deepEqual(await Items.distinct('name', { tags: 'y' }), ['a', 'b']);
+    assert.equal(await Items.countDocuments({ tags: { $exists: true } }), 3);
+
+    const { deletedCount } = await Items.deleteMany({ tags: 'y' });
+    assert.equal(deletedCount, 2);
+    assert.equal(await Items.countDocuments(), 1);
+  });
+});
+
+describe('TTL indexes', () => {
+  test('records are removed once the indexed date has passed', async () => {
+    const store = openStore();
+    const Tokens = store.model(Token);
+    await new Tokens({ value: 'expired', expiresAt: new Date(Date.now() - 1000) }).save();
+    await new Tokens({ value: 'live', expiresAt: new Date(Date.now() + 60 * 1000) }).save();
+    await new Tokens({ value: 'no expiry' }).save();
+
+    const remaining = await Tokens.find().sort({ value: 1 });
+    assert.deepEqual(remaining.map(token => token.value), ['live', 'no expiry']);
+    assert.equal(await Tokens.exists({ value: 'expired' }), null);
+
+    // The pruned record is gone from the file too
+    await store.flush();
+    const reloaded = await openStore().model(Token).countDocuments();
+    assert.equal(reloaded, 2);
+  });
+
+  test('expires counts from the indexed date', async () => {
+    const Graces = openStore().model(Grace);
+    await new Graces({ value: 'within', lastSeenAt: new Date(Date.now() - 30 * 1000) }).save();
+    await new Graces({ value: 'past', lastSeenAt: new Date(Date.now() - 90 * 1000) }).save();
+
+    const remaining = await Graces.find();
+    assert.deepEqual(remaining.map(grace => grace.value), ['within']);
+  });
+
+  // Pruning replaces the stored array, so an update has to write into the
+  // pruned one rather than the array it saw before the filter ran
+  test('updates are kept when the same query prunes an expired record', async () => {
+    const store = openStore();
+    const Tokens = store.model(Token);
+    await new Tokens({ value: 'live', expiresAt: new Date(Date.now() + 60 * 1000) }).save();
+    await new Tokens({ value: 'expiring', expiresAt: new Date(Date.now() + 20) }).save();
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    const { matchedCount } = await Tokens.updateOne({ value: 'live' }, { $set: { value: 'used' } });
+    assert.equal(matchedCount, 1);
+    assert.deepEqual((await Tokens.find()).map(token => token.value), ['used']);
+
+    await new Tokens({ value: 'expiring', expiresAt: new Date(Date.now() + 20) }).save();
+    await new Promise(resolve => setTimeout(resolve, 30));
+    const updated = await Tokens.findOneAndUpdate({ value: 'used' }, { $set: { value: 'again' } }, { new: true });
+    assert.equal(updated.value, 'again');
+
+    await store.flush();
+    const reloaded = await openStore().model(Token).find();
+    assert.deepEqual(reloaded.map(token => token.value), ['again']);
+  });
+});
+
+describe('aggregate', () => {
+  test('runs $match, $group, $sort and $limit stages', async () => {
+    const Items = openStore().model(Item);
+    const alice = new mongoose.Types.ObjectId();
+    const bob = new mongoose.Types.ObjectId();
+    const rows = [
+      [alice, 'a', 100, 40, 'jpeg'],
+      [alice, 'b', 200, 50, 'webp'],
+      [alice, 'c', 300, 300, 'jpeg'],
+      [bob, 'd', 50, 10, 'png']
+    ];
+    for (const [ownerId, name, size, saved, tag] of rows) {
+      await new Items({ ownerId, name, size, stats: { saved }, tags: [tag] }).save();
+    }
+
+    const result = await Items.aggregate([
+      { $match: { size: { $gte: 50 } } },
+      {
+        $group: {
+          _id: '$ownerId',
+          count: { $sum: 1 },
+          totalSize: { $sum: '$size' },
+          averageSize: { $avg: '$size' },
+          smallest: { $min: '$size' },
+          largest: { $max: '$size' },
+          bytesLeft: { $sum: { $subtract: ['$size', '$stats.saved'] } },
+          names: { $addToSet: '$name' }
+        }
+      },
+      { $sort: { totalSize: -1 } },
+      { $limit: 1 }
+    ]);
+
+    assert.equal(result.length, 1);
+    assert.equal(String(result[0]._id), String(alice));
+    assert.deepEqual(
+      { ...result[0], _id: undefined },
+      {
+        _id: undefined,
+        count: 3,
+        totalSize: 600,
+        averageSize: 200,
+        smallest: 100,
+        largest: 300,
+        bytesLeft: 210,
+        names: ['a', 'b', 'c']
+      }
+    );
+  });
+
+  test('groups everything under a null _id', async () => {
+    const Items = openStore().model(Item);
+    await new Items({ name: 'a', size: 2 }).save();
+    await new Items({ name: 'b' }).save();
+
+    // $sum and $avg skip non-numeric values, as they do in MongoDB
+    const [total] = await Items.aggregate([
+      { $group: { _id: null, size: { $sum: '$size' }, average: { $avg: '$size' }, count: { $sum: 1 } } }
+    ]);
+    assert.deepEqual(total, { _id: null, size: 2, average: 2, count: 2 });
+  });
+
+  test('returns nothing when no record matches', async () => {
+    const Items = openStore().model(Item);
+    await new Items({ name: 'a', size: 2 }).save();
+
+    const result = await Items.aggregate([
+      { $match: { name: 'missing' } },
+      { $group: { _id: null, size: { $sum: '$size' } } }
+    ]);
+    assert.deepEqual(result, []);
+  });
+
+  test('throws on stages it does not implement', async () => {
+    const Items = openStore().model(Item);
+    await assert.rejects(Items.aggregate([{ $unwind: '$tags' }]), /Unsupported aggregation stage \$unwind/);
+  });
+});
@@ -0,0 +1,296 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import { detectImageFormat, decodeBmp } from '../imageFormats.js';
+
+// Builds an uncompressed BMP from rows of packed pixels, listed top to bottom.
+// With a 40-byte header the bit field masks follow it; in V4/V5 headers they
+// are part of it.
+const createBmp = ({
+  width,
+  rows,
+  bitsPerPixel,
+  topDown = false,
+  headerSize = 40,
+  compression = 0,
+  masks = [],
+  palette = []
+}) => {
+  const height = rows.length;
+  const rowSize = Math.ceil((bitsPerPixel * width) / 32) * 4;
+  const maskBytes = headerSize === 40 ? masks.length * 4 : 0;
+  const paletteOffset = 14 + headerSize + maskBytes;
+  const dataOffset = paletteOffset + palette.length * 4;
+  const buffer = Buffer.alloc(dataOffset + rowSize * height);
+
+  buffer.write('BM', 0, 'latin1');
+  buffer.writeUInt32LE(buffer.length, 2);
+  buffer.writeUInt32LE(dataOffset, 10);
+  buffer.writeUInt32LE(headerSize, 14);
+  buffer.writeInt32LE(width, 18);
+  buffer.writeInt32LE(topDown ? -height : height, 22);
+  buffer.writeUInt16LE(1, 26);
+  buffer.writeUInt16LE(bitsPerPixel, 28);
+  buffer.writeUInt32LE(compression, 30);
+  buffer.writeUInt32LE(palette.length, 46);
+  masks.forEach((mask, i) => buffer.writeUInt32LE(mask, 54 + i * 4));
+  palette.forEach(([red, green, blue], i) => {
+    buffer.set([blue, green, red, 0], paletteOffset + i * 4);
+  });
+  rows.forEach((row, y) => {
+    Buffer.from(row).copy(buffer, dataOffset + (topDown ? y : height - 1 - y) * rowSize);
+  });
+  return buffer;
+};
+
+// 3x2 pixels, so 24-bit rows need padding: red, green, blue over white,
+// black, gray
+const PIXELS = [
+  [[255, 0, 0], [0, 255, 0], [0, 0, 255]],
+  [[255, 255, 255], [0, 0, 0], [128, 128, 128]]
+];
+const EXPECTED_RGBA = Buffer.from(PIXELS.flat().flatMap(rgb => [...rgb, 255]));
+
+const bgrRows = (alpha = null) => PIXELS.map(row => row.flatMap(([red, green, blue], x) => (
+  alpha === null ? [blue, green, red] : [blue, green, red, alpha[x]]
+)));
+
+const create24BitBmp = (options = {}) => createBmp({ width: 3, rows: bgrRows(), bitsPerPixel: 24, ...options });
+
+const isoMedia = (...brands) => {
+  const box = Buffer.alloc(8 + brands.length * 4 + 4);
+  box.writeUInt32BE(box.length, 0);
+  box.write('ftyp', 4, 'latin1');
+  box.write(brands[0], 8, 'latin1');
+  brands.slice(1).forEach((brand, i) => box.write(brand, 16 + i * 4, 'latin1'));
+  return box;
+};
+
+describe('detectImageFormat', () => {
+  test('recognizes files encoded by sharp', async () => {
+    const image = sharp({ create: { width: 8, height: 8, channels: 3, background: '#336699' } });
+    const encoders = {
+      jpeg: image.clone().jpeg(),
+      png: image.clone().png(),
+      webp: image.clone().webp(),
+      gif: image.clone().gif(),
+      tiff: image.clone().tiff(),
+      avif: image.clone().avif()
+    };
+
+    for (const [format, encoder] of Object.entries(encoders)) {
+      assert.equal(detectImageFormat(await encoder.toBuffer()), format);
+    }
+  });
+
+  test('recognizes each signature', () => {
+    const signatures = {
+      jpeg: Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0x10]),
+      png: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0]),
+      gif: Buffer.from('GIF87a\x01\x00', 'latin1'),
+      webp: Buffer.from('RIFF\x24\x00\x00\x00WEBPVP8 ', 'latin1'),
+      tiff: Buffer.from([0x49, 0x49, 0x2a, 0x00, 8, 0, 0, 0]),
+      bmp: create24BitBmp(),
+      avif: isoMedia('avif', 'mif1', 'miaf'),
+      heif: isoMedia('heic', 'mif1'),
+      svg: Buffer.from('<svg xmlns="http://www.w3.org/2000/svg" width="1" height="1"/>')
+    };
+
+    for (const [format, buffer] of Object.entries(signatures)) {
+      assert.equal(detectImageFormat(buffer), format, format);
+    }
+    assert.equal(detectImageFormat(Buffer.from('GIF89a\x01\x00', 'latin1')), 'gif');
+    assert.equal(detectImageFormat(Buffer.from([0x4d, 0x4d, 0x00, 0x2a, 0, 0, 0, 8])), 'tiff');
+  });
+
+  test('tells AVIF and HEIF apart by any of the ftyp brands', () => {
+    assert.equal(detectImageFormat(isoMedia('mif1', 'avif')), 'avif');
+    assert.equal(detectImageFormat(isoMedia('mif1', 'heic')), 'heif');
+    assert.equal(detectImageFormat(isoMedia('msf1', 'avis')), 'avif');
+    // An MP4 video shares the container but isn't an image
+    assert.equal(detectImageFormat(isoMedia('isom', 'iso2', 'mp41')), null);
+  });
+
+  test('finds SVG roots after an XML declaration, comments, a doctype and a BOM', () => {
+    const svg = [
+      '﻿<?xml version="1.0" encoding="UTF-8"?>',
+      '<!-- exported -->',
+      '<!DOCTYPE svg PUBLIC "-//W3C//DTD SVG 1.1//EN" "http://www.w3.org/Graphics/SVG/1.1/DTD/svg11.dtd">',
+      '<svg>\n</svg>'
+    ].join('\n');
+    assert.equal(detectImageFormat(Buffer.from(svg)), 'svg');
+    assert.equal(detectImageFormat(Buffer.from('<html><svg></svg></html>')), null);
+    assert.equal(detectImageFormat(Buffer.from('<svgfoo/>')), null);
+  });
+
+  test('BMPs are recognized with every supported header size', () => {
+    for (const headerSize of [12, 40, 52, 56, 108, 124]) {
+      const bmp = Buffer.alloc(64);
+      bmp.write('BM', 0, 'latin1');
+      bmp.writeUInt32LE(headerSize, 14);
+      assert.equal(detectImageFormat(bmp), 'bmp', `header ${headerSize}`);
+    }
+  });
+
+  test('returns null for anything else without throwing', () => {
+    const bmpWithBadHeader = create24BitBmp();
+    bmpWithBadHeader.writeUInt32LE(41, 14);
+
+    const inputs = [
+      null,
+      undefined,
+      'GIF89a',
+      Buffer.alloc(0),
+      Buffer.from([0xff, 0xd8]),
+      Buffer.from('BM'),
+      Buffer.from('BM\x00\x00\x00\x00\x00\x00\x00\x00\x36\x00\x00\x00', 'latin1'),
+      bmpWithBadHeader,
+      Buffer.from('RIFF\x24\x00\x00\x00WAVEfmt ', 'latin1'),
+      Buffer.from('\x00\x00\x00\x18ftyp', 'latin1'),
+      Buffer.from('plain text, not an image'),
+      Buffer.from('%PDF-1.7\n'),
+      Buffer.from([0x50, 0x4b, 0x03, 0x04, 0x14, 0x00])
+    ];
+
+    inputs.forEach((input, i) => assert.equal(detectImageFormat(input), null, `input ${i}`));
+  });
+
+  test('survives every truncation of a valid file', async () => {
+    const files = [
+      await sharp({ create: { width: 4, height: 4, channels: 3, background: '#ff0000' } }).png().toBuffer(),
+      isoMedia('mif1', 'avif'),
+      create24BitBmp()
+    ];
+
+    for (const file of files) {
+      for (let length = 0; length < file.length; length++) {
+        assert.doesNotThrow(() => detectImageFormat(file.subarray(0, length)));
+      }
+    }
+  });
+});
+
+describe('decodeBmp', () => {
+  test('decodes a bottom-up 24-bit BMP with padded rows', () => {
+    assert.deepEqual(decodeBmp(create24BitBmp()), { data: EXPECTED_RGBA, width: 3, height: 2, channels: 4 });
+  });
+
+  test('decodes a top-down BMP to the same pixels', () => {
+    const bottomUp = create24BitBmp();
+    const topDown = create24BitBmp({ topDown: true });
+
+    assert.equal(topDown.readInt32LE(22), -2);
+    assert.notDeepEqual(topDown, bottomUp);
+    assert.deepEqual(decodeBmp(topDown), decodeBmp(bottomUp));
+  });
+
+  test('decodes 32-bit BMPs without an alpha mask as opaque', () => {
+    const bmp = createBmp({ width: 3, rows: bgrRows([0, 0, 0]), bitsPerPixel: 32 });
+    assert.deepEqual(decodeBmp(bmp).data, EXPECTED_RGBA);
+  });
+
+  test('keeps the alpha channel of 32-bit bit field BMPs', () => {
+    const alpha = [255, 128, 0];
+    const bmp = createBmp({
+      width: 3,
+      rows: bgrRows(alpha),
+      bitsPerPixel: 32,
+      headerSize: 108,
+      compression: 3,
+      masks: [0x00ff0000, 0x0000ff00, 0x000000ff, 0xff000000]
+    });
+
+    const { data } = decodeBmp(bmp);
+    const expected = Buffer.from(EXPECTED_RGBA);
+    PIXELS.forEach((row, y) => row.forEach((_, x) => {
+      expected[(y * 3 + x) * 4 + 3] = alpha[x];
+    }));
+    assert.deepEqual(data, expected);
+  });
+
+  test('decodes a top-down 32-bit BMP', () => {
+    const bmp = createBmp({ width: 3, rows: bgrRows([255, 255, 255]), bitsPerPixel: 32, topDown: true });
+    assert.deepEqual(decodeBmp(bmp).data, EXPECTED_RGBA);
+  });
+
+  test('decodes 16-bit and palette BMPs', () => {
+    // 5-5-5: pure red, green and blue, then white, black and mid gray
+    const to555 = ([red, green, blue]) => ((red >> 3) << 10) | ((green >> 3) << 5) | (blue >> 3);
+    const rows16 = PIXELS.map(row => row.flatMap((rgb) => {
+      const value = to555(rgb);
+      return [value & 0xff, value >> 8];
+    }));
+    const { data: data16 } = decodeBmp(createBmp({ width: 3, rows: rows16, bitsPerPixel: 16 }));
+    assert.deepEqual([...data16.subarray(0, 12)], [255, 0, 0, 255, 0, 255, 0, 255, 0, 0, 255, 255]);
+    assert.deepEqual([...data16.subarray(20, 24)], [132, 132, 132, 255]);
+
+    const palette = PIXELS.flat();
+    const rows8 = [[0, 1, 2], [3, 4, 5]];
+    assert.deepEqual(decodeBmp(createBmp({ width: 3, rows: rows8, bitsPerPixel: 8, palette })).data, EXPECTED_RGBA);
+
+    const rows1 = [[0b01000000], [0b10000000]];
+    const { data: data1 } = decodeBmp(createBmp({
+      width: 3,
+      rows: rows1,
+      bitsPerPixel: 1,
+      palette: [[0, 0, 0], [255, 255, 255]]
+    }));
+    assert.deepEqual([...data1], [
+      0, 0, 0, 255, 255, 255, 255, 255, 0, 0, 0, 255,
+      255, 255, 255, 255, 0, 0, 0, 255, 0, 0, 0, 255
+    ]);
+  });
+
+  test('rejects every truncation with a 415 instead of throwing a RangeError', () => {
+    const files = [
+      create24BitBmp(),
+      createBmp({ width: 3, rows: bgrRows([255, 128, 0]), bitsPerPixel: 32, compression: 3, masks: [0xff0000, 0xff00, 0xff] }),
+      createBmp({ width: 3, rows: [[0, 1, 2], [3, 4, 5]], bitsPerPixel: 8, palette: PIXELS.flat() })
+    ];
+
+    for (const file of files) {
+      for (let length = 0; length < file.length; length++) {
+        assert.throws(
+          () => decodeBmp(file.subarray(0, length)),
+          (error) => error.status === 415 && /^Unsupported BMP file/.test(error.message),
+          `length ${length}`
+        );
+      }
+    }
+  });
+
+  test('rejects corrupt headers with a 415', () => {
+    const corrupt = (offset, write) => {
+      const bmp = create24BitBmp();
+      write(bmp, offset);
+      return bmp;
+    };
+
+    const cases = {
+      'unknown header size': corrupt(14, (bmp, offset) => bmp.writeUInt32LE(41, offset)),
+      'zero width': corrupt(18, (bmp, offset) => bmp.writeInt32LE(0, offset)),
+      'negative width': corrupt(18, (bmp, offset) => bmp.writeInt32LE(-3, offset)),
+      'zero height': corrupt(22, (bmp, offset) => bmp.writeInt32LE(0, offset)),
+      'too many pixels': corrupt(18, (bmp, offset) => bmp.writeInt32LE(0x7fffffff, offset)),
+      'unsupported bit depth': corrupt(28, (bmp, offset) => bmp.writeUInt16LE(7, offset)),
+      'RLE compression': corrupt(30, (bmp, offset) => bmp.writeUInt32LE(1, offset)),
+      'pixel data past the end': corrupt(10, (bmp, offset) => bmp.writeUInt32LE(0xffffffff, offset)),
+      'taller than the data': corrupt(22, (bmp, offset) => bmp.writeInt32LE(1000, offset))
+    };
+
+    for (const [name, bmp] of Object.entries(cases)) {
+      assert.throws(() => decodeBmp(bmp), { status: 415 }, name);
+    }
+
+    const palette = createBmp({ width: 3, rows: [[0, 1, 2], [3, 4, 5]], bitsPerPixel: 8, palette: PIXELS.flat() });
+    palette.writeUInt32LE(0xffffffff, 46);
+    assert.throws(() => decodeBmp(palette), { status: 415, message: /palette is too large/ });
+  });
+
+  test('decoded pixels load into sharp as raw input', async () => {
+    const { data, ...raw } = decodeBmp(create24BitBmp());
+    const { width, height, channels } = await sharp(data, { raw }).png().toBuffer({ resolveWithObject: true })
+      .then(({ info }) => info);
+    assert.deepEqual({ width, height, channels }, { width: 3, height: 2, channels: 4 });
+  });
+});
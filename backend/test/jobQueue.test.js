@@ -0,0 +1,179 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createJobQueue } from '../jobQueue.js';
+
+// A task that only finishes when the test says so
+const createDeferredTask = () => {
+  const deferred = {};
+  deferred.settled = new Promise((resolve, reject) => {
+    deferred.resolve = resolve;
+    deferred.reject = reject;
+  });
+  deferred.task = (onProgress) => {
+    deferred.onProgress = onProgress;
+    return deferred.settled;
+  };
+  return deferred;
+};
+
+// Lets queued .then/.finally callbacks run
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('job queue', () => {
+  test('runs at most `concurrency` tasks at once and reports queue positions', async () => {
+    const queue = createJobQueue({ concurrency: 2 });
+    const tasks = [createDeferredTask(), createDeferredTask(), createDeferredTask(), createDeferredTask()];
+    const jobs = tasks.map(({ task }) => queue.add(task));
+    await flush();
+
+    assert.deepEqual(queue.stats(), { active: 2, queued: 2, retained: 4, concurrency: 2 });
+    assert.deepEqual(jobs.map(job => queue.serialize(job).status), ['processing', 'processing', 'queued', 'queued']);
+    assert.deepEqual(jobs.map(job => queue.serialize(job).position), [null, null, 1, 2]);
+
+    tasks[0].resolve('first');
+    await flush();
+
+    assert.deepEqual(queue.stats(), { active: 2, queued: 1, retained: 4, concurrency: 2 });
+    assert.equal(queue.serialize(jobs[2]).status, 'processing');
+    assert.equal(queue.serialize(jobs[3]).position, 1);
+
+    tasks.slice(1).forEach(({ resolve }) => resolve());
+    await flush();
+    assert.deepEqual(queue.stats(), { active: 0, queued: 0, retained: 4, concurrency: 2 });
+  });
+
+  test('a finished job keeps its result and reports 100%', async () => {
+    const queue = createJobQueue();
+    const job = queue.add(async () => ({ size: 42 }), { userId: 'user-1' });
+
+    assert.deepEqual(await job.done, { size: 42 });
+    const serialized = queue.serialize(queue.get(job.id));
+    assert.equal(serialized.status, 'done');
+    assert.equal(serialized.progress, 100);
+    assert.deepEqual(serialized.result, { size: 42 });
+    assert.equal(queue.get(job.id).userId, 'user-1');
+  });
+
+  test('a failed job reports the error status and message', async () => {
+    const queue = createJobQueue();
+    const job = queue.add(async () => {
+      const error = new Error('Unsupported image format');
+      error.status = 415;
+      throw error;
+    });
+
+    await assert.rejects(job.done, /Unsupported image format/);
+    const serialized = queue.serialize(queue.get(job.id));
+    assert.equal(serialized.status, 'failed');
+    assert.deepEqual(serialized.error, { message: 'Unsupported image format', status: 415 });
+  });
+
+  test('progress stays below 100 until the task finishes and never goes back', async () => {
+    const queue = createJobQueue();
+    const deferred = createDeferredTask();
+    const job = queue.add(deferred.task);
+    await flush();
+
+    deferred.onProgress(40, 'Encoding');
+    deferred.onProgress(20);
+    assert.equal(job.progress, 40);
+    assert.equal(job.stage, 'Encoding');
+
+    deferred.onProgress(150, 'Saving');
+    assert.equal(job.progress, 99);
+    assert.equal(job.stage, 'Saving');
+
+    deferred.resolve();
+    await job.done;
+    assert.equal(job.progress, 100);
+  });
+
+  test('subscribers get each update until the job finishes', async () => {
+    const queue = createJobQueue();
+    const deferred = createDeferredTask();
+    const job = queue.add(deferred.task);
+    const updates = [];
+    queue.subscribe(job.id, update => updates.push(`${update.status}:${update.progress}`));
+    await flush();
+
+    deferred.onProgress(50);
+    deferred.resolve();
+    await job.done;
+    await flush();
+
+    assert.deepEqual(updates, ['processing:50', 'done:100']);
+  });
+
+  test('unsubscribing stops further updates', async () => {
+    const queue = createJobQueue();
+    const deferred = createDeferredTask();
+    const job = queue.add(deferred.task);
+    await flush();
+
+    const updates = [];
+    const unsubscribe = queue.subscribe(job.id, update => updates.push(update.progress));
+    deferred.onProgress(30);
+    unsubscribe();
+    deferred.onProgress(60);
+
+    assert.deepEqual(updates, [30]);
+    deferred.resolve();
+    await job.done;
+  });
+
+  test('rejects new jobs with 503 once maxQueued are waiting', async () => {
+    const queue = createJobQueue({ concurrency: 1, maxQueued: 1 });
+    const running = createDeferredTask();
+    const waiting = createDeferredTask();
+    queue.add(running.task);
+    await flush();
+    queue.add(waiting.task);
+
+    assert.throws(() => queue.add(async () => {}), error => error.status === 503);
+    assert.throws(() => queue.run(async () => {}), error => error.status === 503);
+
+    running.resolve();
+    waiting.resolve();
+    await flush();
+    assert.doesNotThrow(() => queue.add(async () => {}));
+  });
+
+  test('finished jobs are forgotten after retentionMs', async () => {
+    const queue = createJobQueue({ retentionMs: 20 });
+    const job = queue.add(async () => 'result');
+    await job.done;
+    await flush();
+
+    assert.ok(queue.get(job.id));
+    await new Promise(resolve => setTimeout(resolve, 40));
+    assert.equal(queue.get(job.id), null);
+  });
+
+  test('run() resolves with the result without registering the job', async () => {
+    const queue = createJobQueue({ concurrency: 1 });
+    const blocker = createDeferredTask();
+    queue.add(blocker.task);
+    await flush();
+
+    const result = queue.run(async (onProgress) => {
+      onProgress(50);
+      return Buffer.alloc(1024);
+    });
+    // run() counts against the concurrency limit like any other job
+    assert.deepEqual(queue.stats(), { active: 1, queued: 1, retained: 1, concurrency: 1 });
+
+    blocker.resolve();
+    assert.equal((await result).length, 1024);
+    await flush();
+
+    // Only the background job is kept for lookups
+    assert.deepEqual(queue.stats(), { active: 0, queued: 0, retained: 1, concurrency: 1 });
+  });
+
+  test('run() rejects with the task error', async () => {
+    const queue = createJobQueue();
+    await assert.rejects(queue.run(async () => { throw new Error('boom'); }), /boom/);
+    await flush();
+    assert.deepEqual(queue.stats(), { active: 0, queued: 0, retained: 0, concurrency: 2 });
+  });
+});
@@ -0,0 +1,185 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import sharp from 'sharp';
+import {
+  compareLumaPixels,
+  measureQuality,
+  findLowestQualityForSsim,
+  MAX_PSNR,
+  MIN_SEARCH_QUALITY,
+  MAX_SEARCH_QUALITY
+} from '../qualityMetrics.js';
+
+const SIZE = 96;
+
+// A gradient with a checkerboard on top, so there's structure for lossy
+// encoders to lose
+const createPixels = () => {
+  const pixels = Buffer.alloc(SIZE * SIZE);
+  for (let y = 0; y < SIZE; y++) {
+    for (let x = 0; x < SIZE; x++) {
+      const checker = (Math.floor(x / 4) + Math.floor(y / 4)) % 2 === 0 ? 40 : -40;
+      pixels[y * SIZE + x] = Math.max(0, Math.min(255, Math.round((x + y) * 255 / (2 * SIZE)) + checker));
+    }
+  }
+  return pixels;
+};
+
+const createImage = () => sharp(createPixels(), { raw: { width: SIZE, height: SIZE, channels: 1 } })
+  .png()
+  .toBuffer();
+
+const encodeJpeg = async (inputBuffer, quality) => ({
+  buffer: await sharp(inputBuffer).jpeg({ quality }).toBuffer(),
+  width: SIZE,
+  height: SIZE,
+  quality
+});
+
+describe('compareLumaPixels', () => {
+  const size = { width: SIZE, height: SIZE };
+
+  test('identical pixels give SSIM 1 and the capped PSNR', () => {
+    const pixels = createPixels();
+    assert.deepEqual(compareLumaPixels(pixels, Buffer.from(pixels), size), { ssim: 1, psnr: MAX_PSNR });
+  });
+
+  test('a uniform brightness shift gives the PSNR of its squared error', () => {
+    const pixels = Buffer.alloc(SIZE * SIZE, 100);
+    const shifted = Buffer.alloc(SIZE * SIZE, 110);
+    const { ssim, psnr } = compareLumaPixels(pixels, shifted, size);
+
+    // MSE is 10² = 100, so PSNR = 10·log10(255² / 100)
+    assert.equal(psnr, 28.13);
+    // Only the luminance term of SSIM drops; structure and contrast match
+    assert.ok(ssim > 0.99 && ssim < 1, `ssim ${ssim}`);
+  });
+
+  test('losing all structure drops SSIM towards 0, inverting it goes negative', () => {
+    const pixels = createPixels();
+    const flat = Buffer.alloc(pixels.length, 128);
+    const inverted = Buffer.from(pixels.map(value => 255 - value));
+
+    const flatMetrics = compareLumaPixels(pixels, flat, size);
+    assert.ok(flatMetrics.ssim < 0.1, `flat ssim ${flatMetrics.ssim}`);
+    assert.ok(flatMetrics.psnr < 20, `flat psnr ${flatMetrics.psnr}`);
+    assert.ok(compareLumaPixels(pixels, inverted, size).ssim < 0);
+  });
+});
+
+describe('measureQuality', () => {
+  test('a lossless re-encode matches the source exactly', async () => {
+    const source = await createImage();
+    const encoded = { buffer: await sharp(source).webp({ lossless: true }).toBuffer(), width: SIZE, height: SIZE };
+    assert.deepEqual(await measureQuality(source, encoded), { ssim: 1, psnr: MAX_PSNR });
+  });
+
+  test('lower JPEG quality scores lower on both metrics', async () => {
+    const source = await createImage();
+    const high = await measureQuality(source, await encodeJpeg(source, 95));
+    const low = await measureQuality(source, await encodeJpeg(source, 5));
+
+    assert.ok(high.ssim < 1 && high.ssim > 0.95, `q95 ssim ${high.ssim}`);
+    assert.ok(low.ssim < high.ssim, `q5 ssim ${low.ssim} vs q95 ${high.ssim}`);
+    assert.ok(low.psnr < high.psnr, `q5 psnr ${low.psnr} vs q95 ${high.psnr}`);
+  });
+
+  test('compares against the encoded size, so resized outputs still line up', async () => {
+    const source = await createImage();
+    const half = SIZE / 2;
+    const encoded = {
+      buffer: await sharp(source).resize(half, half).png().toBuffer(),
+      width: half,
+      height: half
+    };
+    const { ssim } = await measureQuality(source, encoded);
+    assert.ok(ssim > 0.9, `ssim ${ssim}`);
+  });
+});
+
+describe('findLowestQualityForSsim', () => {
+  const search = async (minSsim) => {
+    const source = await createImage();
+    const attempts = [];
+    const result = await findLowestQualityForSsim(source, {
+      minSsim,
+      encode: async (quality) => {
+        const encoded = await encodeJpeg(source, quality);
+        attempts.push(encoded);
+        return encoded;
+      }
+    });
+    return { result, attempts };
+  };
+
+  test('returns the lowest quality it tried that meets the floor', async () => {
+    const { result, attempts } = await search(0.95);
+
+    assert.equal(result.thresholdMet, true);
+    assert.ok(result.metrics.ssim >= 0.95);
+
+    const passing = attempts.filter(attempt => attempt.metrics.ssim >= 0.95);
+    assert.equal(result.quality, Math.min(...passing.map(attempt => attempt.quality)));
+    // Every lower quality it tried fell below the floor
+    attempts
+      .filter(attempt => attempt.quality < result.quality)
+      .forEach(attempt => assert.ok(attempt.metrics.ssim < 0.95, `q${attempt.quality} ${attempt.metrics.ssim}`));
+    // A binary search over 10-100 needs at most 7 encodes
+    assert.ok(attempts.length <= 7, `${attempts.length} attempts`);
+  });
+
+  test('a floor of 0 is met by the lowest quality', async () => {
+    const { result } = await search(0);
+    assert.equal(result.thresholdMet, true);
+    assert.equal(result.quality, MIN_SEARCH_QUALITY);
+  });
+
+  test('an SSIM exactly at the floor meets it', async () => {
+    const source = await createImage();
+    const lossless = { buffer: await sharp(source).png().toBuffer(), width: SIZE, height: SIZE };
+
+    const result = await findLowestQualityForSsim(source, {
+      minSsim: 1,
+      encode: async (quality) => ({ ...lossless, quality })
+    });
+    assert.equal(result.thresholdMet, true);
+    assert.equal(result.metrics.ssim, 1);
+    assert.equal(result.quality, MIN_SEARCH_QUALITY);
+  });
+
+  test('an unreachable floor falls back to the highest quality tried', async () => {
+    const source = await createImage();
+    const attempts = [];
+    // Blurring first keeps every quality well below the floor
+    const result = await findLowestQualityForSsim(source, {
+      minSsim: 0.99,
+      encode: async (quality) => {
+        const attempt = {
+          buffer: await sharp(source).blur(2).jpeg({ quality }).toBuffer(),
+          width: SIZE,
+          height: SIZE,
+          quality
+        };
+        attempts.push(attempt);
+        return attempt;
+      }
+    });
+
+    assert.equal(result.thresholdMet, false);
+    assert.ok(result.metrics.ssim < 0.99);
+    assert.equal(result.quality, MAX_SEARCH_QUALITY);
+    assert.equal(result.quality, Math.max(...attempts.map(attempt => attempt.quality)));
+  });
+
+  test('reports each attempt', async () => {
+    const source = await createImage();
+    const reported = [];
+    await findLowestQualityForSsim(source, {
+      minSsim: 0.9,
+      encode: quality => encodeJpeg(source, quality),
+      onAttempt: attempts => reported.push(attempts)
+    });
+    assert.deepEqual(reported, reported.map((_, index) => index + 1));
+    assert.ok(reported.length > 0);
+  });
+});
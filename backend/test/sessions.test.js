@@ -0,0 +1,187 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import mongoose from 'mongoose';
+import { createEmbeddedStore } from '../embeddedStore.js';
+import { hashToken, sessionSchema, authTokenSchema, createSessionStore } from '../sessions.js';
+
+const SessionModel = mongoose.model('Session', sessionSchema);
+const AuthTokenModel = mongoose.model('AuthToken', authTokenSchema);
+const HOUR_MS = 60 * 60 * 1000;
+
+let directory;
+let file;
+let stores;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+  file = path.join(directory, 'store.json');
+  stores = [];
+});
+
+afterEach(async () => {
+  await Promise.all(stores.map(store => store.flush()));
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+// Opening the store again on the same file reads back what was persisted
+const openSessions = () => {
+  const store = createEmbeddedStore({ file });
+  stores.push(store);
+  const Session = store.model(SessionModel);
+  const AuthToken = store.model(AuthTokenModel);
+  return { store, Session, AuthToken, ...createSessionStore({ Session, AuthToken }) };
+};
+
+const saveSession = async (Session, userId, changes = {}) => {
+  const session = await new Session({
+    userId,
+    refreshTokenHash: hashToken(`refresh-${Math.random()}`),
+    expiresAt: new Date(Date.now() + HOUR_MS),
+    ...changes
+  }).save();
+  return session._id;
+};
+
+describe('sessions', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const otherUserId = new mongoose.Types.ObjectId();
+
+  test('a session is active until it is revoked or expires', async () => {
+    const { Session, isSessionActive } = openSessions();
+    const active = await saveSession(Session, userId);
+    const revoked = await saveSession(Session, userId, { revokedAt: new Date() });
+    const expired = await saveSession(Session, userId, { expiresAt: new Date(Date.now() - 1000) });
+
+    assert.equal(await isSessionActive(active), true);
+    assert.equal(await isSessionActive(String(active)), true);
+    assert.equal(await isSessionActive(revoked), false);
+    assert.equal(await isSessionActive(expired), false);
+  });
+
+  test('unknown and malformed session ids are not active', async () => {
+    const { isSessionActive } = openSessions();
+    assert.equal(await isSessionActive(new mongoose.Types.ObjectId()), false);
+    assert.equal(await isSessionActive('not-an-id'), false);
+    assert.equal(await isSessionActive(undefined), false);
+  });
+
+  test('revoking a session only affects that session of its owner', async () => {
+    const { Session, isSessionActive, revokeSession } = openSessions();
+    const current = await saveSession(Session, userId);
+    const other = await saveSession(Session, userId);
+
+    // Another user can't revoke it by knowing the id
+    await revokeSession(current, otherUserId);
+    assert.equal(await isSessionActive(current), true);
+
+    await revokeSession(current, userId);
+    assert.equal(await isSessionActive(current), false);
+    assert.equal(await isSessionActive(other), true);
+  });
+
+  test('revoking a user\'s sessions signs them out everywhere but leaves other users alone', async () => {
+    const { Session, isSessionActive, revokeUserSessions } = openSessions();
+    const first = await saveSession(Session, userId);
+    const second = await saveSession(Session, userId);
+    const earlierRevokedAt = new Date(Date.now() - HOUR_MS);
+    const alreadyRevoked = await saveSession(Session, userId, { revokedAt: earlierRevokedAt });
+    const otherUsers = await saveSession(Session, otherUserId);
+
+    const result = await revokeUserSessions(userId);
+
+    assert.equal(result.modifiedCount, 2);
+    assert.equal(await isSessionActive(first), false);
+    assert.equal(await isSessionActive(second), false);
+    assert.equal(await isSessionActive(otherUsers), true);
+    // Sessions revoked earlier keep their original revocation time
+    assert.deepEqual((await Session.findById(alreadyRevoked)).revokedAt, earlierRevokedAt);
+  });
+
+  test('revocations are persisted', async () => {
+    const { store, Session, revokeUserSessions } = openSessions();
+    const session = await saveSession(Session, userId);
+    await revokeUserSessions(userId);
+    await store.flush();
+
+    assert.equal(await openSessions().isSessionActive(session), false);
+  });
+});
+
+describe('single-use auth tokens', () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  test('a token can be redeemed once', async () => {
+    const { issueAuthToken, consumeAuthToken } = openSessions();
+    const token = await issueAuthToken(userId, 'reset-password', HOUR_MS);
+
+    const redeemed = await consumeAuthToken(token, 'reset-password');
+    assert.equal(String(redeemed.userId), String(userId));
+    assert.equal(await consumeAuthToken(token, 'reset-password'), null);
+  });
+
+  test('only the token itself is stored, hashed', async () => {
+    const { AuthToken, issueAuthToken } = openSessions();
+    const token = await issueAuthToken(userId, 'verify-email', HOUR_MS);
+
+    const [record] = await AuthToken.find({ userId });
+    assert.equal(record.tokenHash, hashToken(token));
+    assert.equal(await AuthToken.exists({ tokenHash: token }), null);
+  });
+
+  test('a token is only good for its own type', async () => {
+    const { issueAuthToken, consumeAuthToken } = openSessions();
+    const token = await issueAuthToken(userId, 'verify-email', HOUR_MS);
+
+    assert.equal(await consumeAuthToken(token, 'reset-password'), null);
+    // The failed attempt didn't use it up
+    assert.ok(await consumeAuthToken(token, 'verify-email'));
+  });
+
+  test('expired, unknown and missing tokens are rejected', async () => {
+    const { issueAuthToken, consumeAuthToken } = openSessions();
+    const expired = await issueAuthToken(userId, 'reset-password', -1000);
+
+    assert.equal(await consumeAuthToken(expired, 'reset-password'), null);
+    assert.equal(await consumeAuthToken('not-a-token', 'reset-password'), null);
+    assert.equal(await consumeAuthToken(undefined, 'reset-password'), null);
+  });
+
+  test('issuing a token replaces the unused one of the same type', async () => {
+    const { AuthToken, issueAuthToken, consumeAuthToken } = openSessions();
+    const first = await issueAuthToken(userId, 'reset-password', HOUR_MS);
+    const verification = await issueAuthToken(userId, 'verify-email', HOUR_MS);
+    const second = await issueAuthToken(userId, 'reset-password', HOUR_MS);
+
+    assert.equal(await consumeAuthToken(first, 'reset-password'), null);
+    assert.ok(await consumeAuthToken(second, 'reset-password'));
+    assert.ok(await consumeAuthToken(verification, 'verify-email'));
+
+    // Used tokens stay behind until they expire
+    await issueAuthToken(userId, 'reset-password', HOUR_MS);
+    assert.equal(await AuthToken.countDocuments({ userId, type: 'reset-password' }), 2);
+  });
+
+  test('a used token stays used after the store is reopened', async () => {
+    const { store, issueAuthToken, consumeAuthToken } = openSessions();
+    const token = await issueAuthToken(userId, 'verify-email', HOUR_MS);
+    await consumeAuthToken(token, 'verify-email');
+    await store.flush();
+
+    assert.equal(await openSessions().consumeAuthToken(token, 'verify-email'), null);
+  });
+
+  test('concurrent redemptions of the same token only succeed once', async () => {
+    const { issueAuthToken, consumeAuthToken } = openSessions();
+    const token = await issueAuthToken(userId, 'reset-password', HOUR_MS);
+
+    const results = await Promise.all([
+      consumeAuthToken(token, 'reset-password'),
+      consumeAuthToken(token, 'reset-password'),
+      consumeAuthToken(token, 'reset-password')
+    ]);
+    assert.equal(results.filter(Boolean).length, 1);
+  });
+});
@@ -4,34 +4,76 @@ import ImageUpload from './components/ImageUpload'
 import CompressionOptions from './components/CompressionOptions'
 import ImagePreview from './components/ImagePreview'
 import DownloadSection from './components/DownloadSection'
+import VerifyEmail from './components/VerifyEmail'
+import ForgotPassword from './components/ForgotPassword'
+import ResetPassword from './components/ResetPassword'
+import AdminPanel from './components/AdminPanel'
+import SharesPanel from './components/SharesPanel'
+import SharePage from './components/SharePage'
 import { useImageCompression } from './hooks/useImageCompression'
+import { useAuth } from './hooks/useAuth'
+import { validateFile } from './utils/fileUtils'
 import './styles/App.css'
 
+// Pages reached from links in emails
+const authPages = {
+  '/verify-email': VerifyEmail,
+  '/forgot-password': ForgotPassword,
+  '/reset-password': ResetPassword
+}
+
 function App() {
   const [selectedFile, setSelectedFile] = useState(null)
+  const [sourceFormat, setSourceFormat] = useState(null)
   const [compressionOptions, setCompressionOptions] = useState({
     quality: 80,
-    format: 'jpeg',
+    format: 'auto',
     width: '',
-    height: ''
+    height: '',
+    targetSize: '',
+    minSsim: '',
+    metadata: 'strip',
+    transforms: [],
+    mode: 'single',
+    breakpoints: '320, 640, 1024, 1920',
+    responsiveFormats: ['avif', 'webp', 'jpeg'],
+    animated: true,
+    frameDelay: '',
+    loop: '',
+    density: '',
+    page: '',
+    adjustments: {},
+    watermark: null,
+    watermarkImage: null,
+    watermarkId: ''
   })
 
-  const { compressImage, compressedData, loading, error, setErrorMessage, reset } = useImageCompression()
+  const { compressImage, compressedData, loading, progress, error, setErrorMessage, reset } = useImageCompression()
+  const auth = useAuth()
+  const AuthPage = authPages[window.location.pathname]
+  const isAdminPage = window.location.pathname === '/admin'
+  const isSharesPage = window.location.pathname === '/shares'
+  const isSharePage = window.location.pathname === '/share'
 
-  const handleFileSelect = (file) => {
-    setSelectedFile(file)
-    // Auto-detect format from file extension
-    const fileExt = file.name.toLowerCase().split('.').pop()
-    const formatMap = {
-      'jpg': 'jpeg',
-      'jpeg': 'jpeg',
-      'png': 'png',
-      'webp': 'webp',
-      'avif': 'avif'
+  const handleFileSelect = async (file) => {
+    let format
+    try {
+      format = await validateFile(file, auth.user?.quota?.limits.maxFileSize)
+    } catch (err) {
+      setErrorMessage(err.message)
+      return
     }
+
+    reset()
+    setSelectedFile(file)
+    setSourceFormat(format)
+    // The server tries each output format and keeps the smallest good-looking one
     setCompressionOptions(prev => ({
       ...prev,
-      format: formatMap[fileExt] || 'jpeg'
+      format: 'auto',
+      transforms: [],
+      density: '',
+      page: ''
     }))
   }
 
@@ -41,30 +83,60 @@ function App() {
       return
     }
     await compressImage(selectedFile, compressionOptions)
+    if (auth.user) auth.refreshUser()
   }
 
   const handleOptionsChange = (newOptions) => {
     setCompressionOptions(newOptions)
   }
 
+  const handleTransformsChange = (transforms) => {
+    setCompressionOptions(prev => ({ ...prev, transforms }))
+  }
+
   const handleReset = () => {
     setSelectedFile(null)
+    setSourceFormat(null)
     reset()
     setCompressionOptions({
       quality: 80,
-      format: 'jpeg',
+      format: 'auto',
       width: '',
-      height: ''
+      height: '',
+      targetSize: '',
+      minSsim: '',
+      metadata: 'strip',
+      transforms: [],
+      mode: 'single',
+      breakpoints: '320, 640, 1024, 1920',
+      responsiveFormats: ['avif', 'webp', 'jpeg'],
+      animated: true,
+      frameDelay: '',
+      loop: '',
+      density: '',
+      page: '',
+      adjustments: {},
+      watermark: null,
+      watermarkImage: null,
+      watermarkId: ''
     })
   }
 
   return (
     <div className="app">
-      <Header />
+      <Header auth={auth} />
       
       <main className="main-content">
         <div className="container">
-          {!selectedFile ? (
+          {AuthPage ? (
+            <AuthPage />
+          ) : isAdminPage ? (
+            <AdminPanel user={auth.user} />
+          ) : isSharesPage ? (
+            <SharesPanel user={auth.user} />
+          ) : isSharePage ? (
+            <SharePage />
+          ) : !selectedFile ? (
             <div className="upload-section">
               <ImageUpload onFileSelect={handleFileSelect} />
             </div>
@@ -77,14 +149,22 @@ function App() {
                   onCompress={handleCompress}
                   onReset={handleReset}
                   loading={loading}
+                  progress={progress}
+                  user={auth.user}
+                  sourceFormat={sourceFormat}
                 />
               </div>
 
               <div className="preview-section">
                 <ImagePreview
                   originalFile={selectedFile}
+                  sourceFormat={sourceFormat}
                   compressedData={compressedData}
                   loading={loading}
+                  progress={progress}
+                  transforms={compressionOptions.transforms}
+                  adjustments={compressionOptions.adjustments}
+                  onTransformsChange={handleTransformsChange}
                 />
               </div>
 
@@ -0,0 +1,128 @@
+import React from 'react'
+
+// Brightness, contrast and saturation are sent as multipliers but shown as
+// percentages; sharpen and blur are sigmas in pixels
+const SLIDERS = [
+  { name: 'brightness', label: 'Brightness', min: 0, max: 200, step: 5, neutral: 1, scale: 100, unit: '%' },
+  { name: 'contrast', label: 'Contrast', min: 0, max: 200, step: 5, neutral: 1, scale: 100, unit: '%' },
+  { name: 'saturation', label: 'Saturation', min: 0, max: 200, step: 5, neutral: 1, scale: 100, unit: '%' },
+  { name: 'gamma', label: 'Gamma', min: 0.2, max: 3, step: 0.1, neutral: 1, scale: 1, unit: '' },
+  { name: 'sharpen', label: 'Sharpen', min: 0, max: 5, step: 0.5, neutral: 0, scale: 1, unit: 'px' },
+  { name: 'blur', label: 'Blur', min: 0, max: 20, step: 0.5, neutral: 0, scale: 1, unit: 'px' }
+]
+
+const TOGGLES = [
+  { name: 'grayscale', label: 'Grayscale' },
+  { name: 'sepia', label: 'Sepia' },
+  { name: 'normalize', label: 'Auto levels (normalize)' }
+]
+
+const AdjustmentsPanel = ({ adjustments = {}, onChange, keepsAnimation }) => {
+  // Values that leave the image unchanged aren't sent at all
+  const setAdjustment = (name, value) => {
+    const { [name]: _previous, ...rest } = adjustments
+    onChange(value === null ? rest : { ...rest, [name]: value })
+  }
+
+  const handleSliderChange = ({ name, neutral, scale }, value) => {
+    const number = parseFloat(value) / scale
+    setAdjustment(name, number === neutral ? null : number)
+  }
+
+  const hasAdjustments = Object.keys(adjustments).length > 0
+
+  return (
+    <div className="adjustments-panel">
+      <div className="adjustments-header">
+        <h4>Adjustments</h4>
+        <button
+          type="button"
+          className="preset-btn"
+          onClick={() => onChange({})}
+          disabled={!hasAdjustments}
+        >
+          Reset
+        </button>
+      </div>
+
+      {keepsAnimation && hasAdjustments && (
+        <p className="option-hint">
+          Animated images can only be adjusted as a single frame. Untick &quot;Keep all frames&quot; to use the first one.
+        </p>
+      )}
+
+      <div className="options-grid">
+        {SLIDERS.map((slider) => {
+          const value = adjustments[slider.name] ?? slider.neutral
+          return (
+            <div key={slider.name} className="option-group">
+              <label htmlFor={`adjust-${slider.name}`}>
+                {slider.label}: {Math.round(value * slider.scale * 10) / 10}{slider.unit}
+              </label>
+              <input
+                id={`adjust-${slider.name}`}
+                type="range"
+                min={slider.min}
+                max={slider.max}
+                step={slider.step}
+                value={value * slider.scale}
+                onChange={(e) => handleSliderChange(slider, e.target.value)}
+                className="slider"
+              />
+            </div>
+          )
+        })}
+
+        <div className="option-group">
+          <label>Filters</label>
+          {TOGGLES.map(({ name, label }) => (
+            <label key={name} className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={!!adjustments[name]}
+                onChange={(e) => setAdjustment(name, e.target.checked || null)}
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+
+        <div className="option-group">
+          <label>Color</label>
+          <label className="checkbox-label">
+            <input
+              type="checkbox"
+              checked={!!adjustments.tint}
+              onChange={(e) => setAdjustment('tint', e.target.checked ? '#704214' : null)}
+            />
+            Tint
+            {adjustments.tint && (
+              <input
+                type="color"
+                value={adjustments.tint}
+                onChange={(e) => setAdjustment('tint', e.target.value)}
+              />
+            )}
+          </label>
+          <label className="checkbox-label">
+            <input
+              type="checkbox"
+              checked={!!adjustments.flatten}
+              onChange={(e) => setAdjustment('flatten', e.target.checked ? '#ffffff' : null)}
+            />
+            Flatten transparency onto
+            {adjustments.flatten && (
+              <input
+                type="color"
+                value={adjustments.flatten}
+                onChange={(e) => setAdjustment('flatten', e.target.value)}
+              />
+            )}
+          </label>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default AdjustmentsPanel
\ No newline at end of file
@@ -0,0 +1,218 @@
+import React, { useState } from 'react'
+import { useAdmin } from '../hooks/useAdmin'
+import { formatFileSize } from '../utils/fileUtils'
+
+const AdminPanel = ({ user }) => {
+  const admin = useAdmin(user)
+  const [search, setSearch] = useState('')
+
+  if (!user || user.role !== 'admin') {
+    return (
+      <div className="auth-page">
+        <h3>Admin</h3>
+        <p className="auth-page-message">You need an admin account to see this page.</p>
+        <a href="/" className="auth-page-link">Back to Image Compressor</a>
+      </div>
+    )
+  }
+
+  const setFilter = (name, value) => {
+    admin.setFilters(prev => ({ ...prev, [name]: value, page: 1 }))
+  }
+
+  const handleSearch = (e) => {
+    e.preventDefault()
+    setFilter('search', search)
+  }
+
+  const handleDelete = (target) => {
+    if (window.confirm(`Delete ${target.username} and all of their files? This cannot be undone.`)) {
+      admin.deleteUser(target.id)
+    }
+  }
+
+  const { pagination, selected } = admin
+
+  return (
+    <div className="admin-panel">
+      <div className="admin-header">
+        <h3>User management</h3>
+        <a href="/" className="auth-page-link">Back to Image Compressor</a>
+      </div>
+
+      <form className="admin-filters" onSubmit={handleSearch}>
+        <input
+          className="text-input"
+          placeholder="Search username or email"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+        />
+        <select
+          className="format-select"
+          value={admin.filters.role}
+          onChange={(e) => setFilter('role', e.target.value)}
+        >
+          <option value="">All roles</option>
+          <option value="user">Users</option>
+          <option value="admin">Admins</option>
+        </select>
+        <select
+          className="format-select"
+          value={admin.filters.status}
+          onChange={(e) => setFilter('status', e.target.value)}
+        >
+          <option value="">Any status</option>
+          <option value="active">Active</option>
+          <option value="disabled">Disabled</option>
+        </select>
+        <button type="submit" className="preset-btn">Search</button>
+      </form>
+
+      {admin.error && <p className="admin-error">{admin.error}</p>}
+
+      <table className="admin-table">
+        <thead>
+          <tr>
+            <th>User</th>
+            <th>Role</th>
+            <th>Status</th>
+            <th>Compressions</th>
+            <th>Joined</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {admin.users.map(account => {
+            const isSelf = account.id === user.id
+
+            return (
+              <tr key={account.id} className={selected?.user.id === account.id ? 'selected' : ''}>
+                <td>
+                  <strong>{account.username}</strong>
+                  <div className="option-hint">{account.email}</div>
+                </td>
+                <td>
+                  <select
+                    className="format-select"
+                    value={account.role}
+                    disabled={isSelf}
+                    onChange={(e) => admin.updateUser(account.id, { role: e.target.value })}
+                  >
+                    <option value="user">User</option>
+                    <option value="admin">Admin</option>
+                  </select>
+                </td>
+                <td>{account.disabled ? 'Disabled' : 'Active'}</td>
+                <td>{account.compressionStats?.totalCompressions || 0}</td>
+                <td>{new Date(account.createdAt).toLocaleDateString()}</td>
+                <td className="admin-actions">
+                  <button className="preset-btn" onClick={() => admin.selectUser(account.id)}>
+                    View
+                  </button>
+                  <button
+                    className="preset-btn"
+                    disabled={isSelf}
+                    onClick={() => admin.updateUser(account.id, { disabled: !account.disabled })}
+                  >
+                    {account.disabled ? 'Enable' : 'Disable'}
+                  </button>
+                  <button className="preset-btn danger" disabled={isSelf} onClick={() => handleDelete(account)}>
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            )
+          })}
+          {admin.users.length === 0 && (
+            <tr>
+              <td colSpan={6} className="option-hint">No users found</td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+
+      {pagination && pagination.pages > 1 && (
+        <div className="admin-pagination">
+          <button
+            className="preset-btn"
+            disabled={pagination.page <= 1}
+            onClick={() => admin.setFilters(prev => ({ ...prev, page: prev.page - 1 }))}
+          >
+            Previous
+          </button>
+          <span>Page {pagination.page} of {pagination.pages}</span>
+          <button
+            className="preset-btn"
+            disabled={pagination.page >= pagination.pages}
+            onClick={() => admin.setFilters(prev => ({ ...prev, page: prev.page + 1 }))}
+          >
+            Next
+          </button>
+        </div>
+      )}
+
+      {selected && (
+        <div className="admin-detail">
+          <div className="admin-header">
+            <h4>{selected.user.username}</h4>
+            <button className="preset-btn" onClick={() => admin.selectUser(null)}>Close</button>
+          </div>
+
+          <div className="admin-usage">
+            <div>
+              <span className="option-hint">Compressions today</span>
+              <strong>
+                {selected.quota.usage.compressionsToday}
+                {selected.quota.limits.compressionsPerDay && ` / ${selected.quota.limits.compressionsPerDay}`}
+              </strong>
+            </div>
+            <div>
+              <span className="option-hint">Stored files</span>
+              <strong>{selected.quota.usage.storedFiles}</strong>
+            </div>
+            <div>
+              <span className="option-hint">Storage used</span>
+              <strong>
+                {formatFileSize(selected.quota.usage.storedBytes)}
+                {selected.quota.limits.storageBytes && ` / ${formatFileSize(selected.quota.limits.storageBytes)}`}
+              </strong>
+            </div>
+            <button className="preset-btn" onClick={() => admin.resetQuota(selected.user.id)}>
+              Reset quota
+            </button>
+          </div>
+
+          <h4>Recent compressions</h4>
+          {selected.history.length === 0 ? (
+            <p className="option-hint">No compressions yet</p>
+          ) : (
+            <table className="admin-table">
+              <thead>
+                <tr>
+                  <th>File</th>
+                  <th>Format</th>
+                  <th>Size</th>
+                  <th>Saved</th>
+                  <th>Date</th>
+                </tr>
+              </thead>
+              <tbody>
+                {selected.history.map(record => (
+                  <tr key={record._id}>
+                    <td>{record.originalFilename}</td>
+                    <td>{record.format}</td>
+                    <td>{formatFileSize(record.compressedSize)}</td>
+                    <td>{record.compressionRatio}%</td>
+                    <td>{new Date(record.createdAt).toLocaleString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default AdminPanel
\ No newline at end of file
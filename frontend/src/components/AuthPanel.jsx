@@ -0,0 +1,98 @@
+import React, { useState } from 'react'
+import UsageBar from './UsageBar'
+
+const AuthPanel = ({ auth }) => {
+  const [mode, setMode] = useState(null)
+  const [form, setForm] = useState({ username: '', email: '', password: '' })
+
+  const handleChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value })
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    const success = mode === 'register'
+      ? await auth.register(form.username, form.email, form.password)
+      : await auth.login(form.email, form.password)
+
+    if (success) {
+      setMode(null)
+      setForm({ username: '', email: '', password: '' })
+    }
+  }
+
+  if (auth.user) {
+    return (
+      <div className="auth-panel">
+        <span>Signed in as <strong>{auth.user.username}</strong></span>
+        <a href="/shares" className="auth-link">Shares</a>
+        {auth.user.role === 'admin' && <a href="/admin" className="auth-link">Admin</a>}
+        <button onClick={auth.logout} className="auth-btn">Sign out</button>
+        <button onClick={auth.logoutAll} className="auth-btn secondary">Sign out everywhere</button>
+        <UsageBar quota={auth.user.quota} />
+        {auth.user.emailVerified === false && (
+          <p className="auth-notice">
+            Check your inbox to verify your email. <a href="/verify-email">Resend link</a>
+          </p>
+        )}
+      </div>
+    )
+  }
+
+  if (!mode) {
+    return (
+      <div className="auth-panel">
+        <button onClick={() => setMode('login')} className="auth-btn">Sign in</button>
+        <button onClick={() => setMode('register')} className="auth-btn">Create account</button>
+      </div>
+    )
+  }
+
+  return (
+    <form className="auth-panel auth-form" onSubmit={handleSubmit}>
+      {mode === 'register' && (
+        <input
+          name="username"
+          placeholder="Username"
+          value={form.username}
+          onChange={handleChange}
+          required
+        />
+      )}
+      <input
+        name="email"
+        type="email"
+        placeholder="Email"
+        value={form.email}
+        onChange={handleChange}
+        required
+      />
+      <input
+        name="password"
+        type="password"
+        placeholder="Password"
+        value={form.password}
+        onChange={handleChange}
+        minLength={6}
+        required
+      />
+      <button type="submit" className="auth-btn" disabled={auth.loading}>
+        {mode === 'register' ? 'Create account' : 'Sign in'}
+      </button>
+      <button type="button" onClick={() => setMode(null)} className="auth-btn secondary">
+        Cancel
+      </button>
+      {mode === 'login' && (
+        <a href="/forgot-password" className="auth-link">Forgot password?</a>
+      )}
+      {auth.error && (
+        <p className="auth-error">
+          {auth.error}
+          {auth.error.includes('verify your email') && <> <a href="/verify-email">Resend link</a></>}
+        </p>
+      )}
+    </form>
+  )
+}
+
+export default AuthPanel
\ No newline at end of file
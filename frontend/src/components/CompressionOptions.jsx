@@ -1,6 +1,16 @@
 import React from 'react'
+import PresetPicker from './PresetPicker'
+import AdjustmentsPanel from './AdjustmentsPanel'
+import WatermarkPanel from './WatermarkPanel'
 
-const CompressionOptions = ({ options, onChange, onCompress, loading }) => {
+const RESPONSIVE_FORMATS = [
+  { value: 'avif', label: 'AVIF' },
+  { value: 'webp', label: 'WebP' },
+  { value: 'jpeg', label: 'JPEG' },
+  { value: 'png', label: 'PNG' }
+]
+
+const CompressionOptions = ({ options, onChange, onCompress, loading, progress, user, sourceFormat }) => {
   const handleQualityChange = (e) => {
     onChange({
       ...options,
@@ -8,6 +18,20 @@ const CompressionOptions = ({ options, onChange, onCompress, loading }) => {
     })
   }
 
+  const handleTargetSizeChange = (e) => {
+    onChange({
+      ...options,
+      targetSize: e.target.value ? parseInt(e.target.value) : ''
+    })
+  }
+
+  const handleMinSsimChange = (e) => {
+    onChange({
+      ...options,
+      minSsim: e.target.value ? parseFloat(e.target.value) : ''
+    })
+  }
+
   const handleFormatChange = (e) => {
     onChange({
       ...options,
@@ -15,6 +39,37 @@ const CompressionOptions = ({ options, onChange, onCompress, loading }) => {
     })
   }
 
+  const handleModeChange = (e) => {
+    onChange({
+      ...options,
+      mode: e.target.value
+    })
+  }
+
+  const handleBreakpointsChange = (e) => {
+    onChange({
+      ...options,
+      breakpoints: e.target.value
+    })
+  }
+
+  const handleResponsiveFormatToggle = (format) => {
+    const formats = options.responsiveFormats.includes(format)
+      ? options.responsiveFormats.filter(f => f !== format)
+      : [...options.responsiveFormats, format]
+    onChange({
+      ...options,
+      responsiveFormats: formats
+    })
+  }
+
+  const handleMetadataChange = (e) => {
+    onChange({
+      ...options,
+      metadata: e.target.value
+    })
+  }
+
   const handleDimensionChange = (dimension, value) => {
     onChange({
       ...options,
@@ -22,13 +77,24 @@ const CompressionOptions = ({ options, onChange, onCompress, loading }) => {
     })
   }
 
+  const handleNumberChange = (name, value) => {
+    onChange({
+      ...options,
+      [name]: value === '' ? '' : parseInt(value)
+    })
+  }
+
   return (
     <div className="compression-options">
       <h3>Compression Settings</h3>
+
+      {user && <PresetPicker user={user} options={options} onChange={onChange} />}
       
       <div className="options-grid">
         <div className="option-group">
-          <label htmlFor="quality">Quality: {options.quality}%</label>
+          <label htmlFor="quality">
+            Quality: {options.targetSize || options.minSsim ? 'Auto' : `${options.quality}%`}
+          </label>
           <input
             id="quality"
             type="range"
@@ -36,6 +102,7 @@ const CompressionOptions = ({ options, onChange, onCompress, loading }) => {
             max="100"
             value={options.quality}
             onChange={handleQualityChange}
+            disabled={!!options.targetSize || !!options.minSsim}
             className="slider"
           />
           <div className="slider-labels">
@@ -45,20 +112,202 @@ const CompressionOptions = ({ options, onChange, onCompress, loading }) => {
         </div>
 
         <div className="option-group">
-          <label htmlFor="format">Output Format</label>
+          <label htmlFor="targetSize">Target Size (optional)</label>
+          <div className="dimension">
+            <input
+              id="targetSize"
+              type="number"
+              placeholder="e.g. 200"
+              value={options.targetSize}
+              onChange={handleTargetSizeChange}
+              min="1"
+              disabled={!!options.minSsim}
+            />
+            <span>KB</span>
+          </div>
+          <div className="option-hint">
+            Quality is picked automatically to stay under this size
+          </div>
+        </div>
+
+        <div className="option-group">
+          <label htmlFor="minSsim">Minimum SSIM (optional)</label>
+          <input
+            id="minSsim"
+            type="number"
+            placeholder="e.g. 0.95"
+            value={options.minSsim}
+            onChange={handleMinSsimChange}
+            min="0"
+            max="1"
+            step="0.01"
+            disabled={!!options.targetSize}
+            className="text-input"
+          />
+          <div className="option-hint">
+            {options.format === 'auto'
+              ? 'Each format is tuned to look at least this close to the original, then the smallest is kept'
+              : 'Uses the lowest quality that still looks this close to the original (1 is identical)'}
+          </div>
+        </div>
+
+        <div className="option-group">
+          <label htmlFor="mode">Output</label>
           <select
-            id="format"
-            value={options.format}
-            onChange={handleFormatChange}
+            id="mode"
+            value={options.mode}
+            onChange={handleModeChange}
             className="format-select"
           >
-            <option value="jpeg">JPEG</option>
-            <option value="png">PNG</option>
-            <option value="webp">WebP</option>
-            <option value="avif">AVIF</option>
+            <option value="single">Single image</option>
+            <option value="responsive">Responsive set (srcset)</option>
           </select>
         </div>
 
+        {options.mode === 'responsive' ? (
+          <div className="option-group">
+            <label htmlFor="breakpoints">Breakpoints (px)</label>
+            <input
+              id="breakpoints"
+              type="text"
+              placeholder="320, 640, 1024, 1920"
+              value={options.breakpoints}
+              onChange={handleBreakpointsChange}
+              className="text-input"
+            />
+            <div className="format-checkboxes">
+              {RESPONSIVE_FORMATS.map(({ value, label }) => (
+                <label key={value} className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    checked={options.responsiveFormats.includes(value)}
+                    onChange={() => handleResponsiveFormatToggle(value)}
+                  />
+                  {label}
+                </label>
+              ))}
+            </div>
+          </div>
+        ) : (
+          <div className="option-group">
+            <label htmlFor="format">Output Format</label>
+            <select
+              id="format"
+              value={options.format}
+              onChange={handleFormatChange}
+              className="format-select"
+            >
+              <option value="auto">Auto (smallest)</option>
+              <option value="jpeg">JPEG</option>
+              <option value="png">PNG</option>
+              <option value="webp">WebP</option>
+              <option value="avif">AVIF</option>
+              <option value="gif">GIF</option>
+            </select>
+            {options.format === 'auto' && (
+              <div className="option-hint">
+                Encodes AVIF, WebP, JPEG and PNG and keeps the smallest that still looks like the original
+              </div>
+            )}
+          </div>
+        )}
+
+        {['gif', 'webp', 'auto'].includes(options.format) && options.mode !== 'responsive' && (
+          <div className="option-group">
+            <label>Animation</label>
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={options.animated}
+                onChange={(e) => onChange({ ...options, animated: e.target.checked })}
+              />
+              Keep all frames of animated images
+            </label>
+            {options.animated && (
+              <div className="dimension-inputs">
+                <div className="dimension">
+                  <input
+                    type="number"
+                    placeholder="Delay"
+                    value={options.frameDelay}
+                    onChange={(e) => handleNumberChange('frameDelay', e.target.value)}
+                    min="10"
+                  />
+                  <span>ms</span>
+                </div>
+                <div className="dimension">
+                  <input
+                    type="number"
+                    placeholder="Loops"
+                    value={options.loop}
+                    onChange={(e) => handleNumberChange('loop', e.target.value)}
+                    min="0"
+                  />
+                </div>
+              </div>
+            )}
+            <div className="option-hint">
+              Leave empty to keep the original timing. 0 loops plays forever
+            </div>
+          </div>
+        )}
+
+        {sourceFormat === 'svg' && (
+          <div className="option-group">
+            <label htmlFor="density">SVG Density</label>
+            <div className="dimension">
+              <input
+                id="density"
+                type="number"
+                placeholder="72"
+                value={options.density}
+                onChange={(e) => handleNumberChange('density', e.target.value)}
+                min="1"
+                max="1200"
+              />
+              <span>DPI</span>
+            </div>
+            <div className="option-hint">
+              The SVG is rasterized at this density. 144 doubles its size
+            </div>
+          </div>
+        )}
+
+        {sourceFormat === 'tiff' && (
+          <div className="option-group">
+            <label htmlFor="page">TIFF Page</label>
+            <input
+              id="page"
+              type="number"
+              placeholder="1"
+              value={options.page === '' ? '' : options.page + 1}
+              onChange={(e) => handleNumberChange('page', e.target.value === '' ? '' : e.target.value - 1)}
+              min="1"
+              className="text-input"
+            />
+            <div className="option-hint">
+              Multi-page TIFFs are compressed one page at a time
+            </div>
+          </div>
+        )}
+
+        <div className="option-group">
+          <label htmlFor="metadata">Metadata</label>
+          <select
+            id="metadata"
+            value={options.metadata}
+            onChange={handleMetadataChange}
+            className="format-select"
+          >
+            <option value="strip">Strip everything</option>
+            <option value="copyright">Keep copyright &amp; color profile</option>
+            <option value="all">Keep all</option>
+          </select>
+          <div className="option-hint">
+            Stripping removes camera details and GPS location
+          </div>
+        </div>
+
         <div className="option-group dimensions">
           <label>Resize (optional)</label>
           <div className="dimension-inputs">
@@ -87,12 +336,26 @@ const CompressionOptions = ({ options, onChange, onCompress, loading }) => {
         </div>
       </div>
 
+      <AdjustmentsPanel
+        adjustments={options.adjustments}
+        onChange={(adjustments) => onChange({ ...options, adjustments })}
+        keepsAnimation={
+          options.animated && ['gif', 'webp'].includes(sourceFormat) && ['gif', 'webp', 'auto'].includes(options.format)
+        }
+      />
+
+      <WatermarkPanel user={user} options={options} onChange={onChange} />
+
       <button
         onClick={onCompress}
-        disabled={loading}
+        disabled={loading || (options.mode === 'responsive' && options.responsiveFormats.length === 0)}
         className={`compress-btn ${loading ? 'loading' : ''}`}
       >
-        {loading ? 'Compressing...' : 'Compress Image'}
+        {loading
+          ? progress?.status === 'queued'
+            ? `Queued${progress.position ? ` (#${progress.position})` : ''}...`
+            : `Compressing... ${progress?.progress ?? 0}%`
+          : 'Compress Image'}
       </button>
     </div>
   )
@@ -1,15 +1,76 @@
-import React from 'react'
+import React, { useState, useEffect } from 'react'
+import { requestJson } from '../hooks/useAuth'
+import ShareForm from './ShareForm'
+import { formatNames } from '../utils/fileUtils'
+
+const EXAMPLE_TRANSFORM = { w: 640, fmt: 'webp', q: 70 }
+
+const getSourceLabel = (source) => {
+  const name = formatNames[source.format] || source.format.toUpperCase()
+  if (source.pages > 1) return `${name} (page ${source.page + 1} of ${source.pages})`
+  if (source.density) return `${name} at ${source.density} DPI`
+  return name
+}
 
 const DownloadSection = ({ compressedData }) => {
+  const [copied, setCopied] = useState(false)
+  const [copiedUrl, setCopiedUrl] = useState(false)
+  const [transformUrl, setTransformUrl] = useState(null)
+  const [transformExpiresAt, setTransformExpiresAt] = useState(null)
+
+  // Stored images can be resized and converted on request through /img.
+  // Signed-in users' images are private, so their URL has to be signed and
+  // only works until it expires.
+  useEffect(() => {
+    const { fileName, recordId } = compressedData
+    setTransformUrl(null)
+    setTransformExpiresAt(null)
+
+    if (!recordId) {
+      setTransformUrl(`http://localhost:3001/img/${fileName}?${new URLSearchParams(EXAMPLE_TRANSFORM)}`)
+      return
+    }
+
+    requestJson('/api/img/sign', {
+      method: 'POST',
+      body: JSON.stringify({ fileId: fileName, ...EXAMPLE_TRANSFORM })
+    })
+      .then(data => {
+        setTransformUrl(`http://localhost:3001${data.url}`)
+        setTransformExpiresAt(data.expiresAt)
+      })
+      .catch(err => console.error('Signing image URL failed:', err))
+  }, [compressedData])
+
+  // The server names the download after the original file
   const handleDownload = () => {
     const link = document.createElement('a')
     link.href = `http://localhost:3001${compressedData.downloadUrl}`
-    link.download = `compressed-image.${compressedData.format}`
     document.body.appendChild(link)
     link.click()
     document.body.removeChild(link)
   }
 
+  const handleCopySnippet = async () => {
+    try {
+      await navigator.clipboard.writeText(compressedData.html)
+      setCopied(true)
+      setTimeout(() => setCopied(false), 2000)
+    } catch (err) {
+      console.error('Copy failed:', err)
+    }
+  }
+
+  const handleCopyUrl = async () => {
+    try {
+      await navigator.clipboard.writeText(transformUrl)
+      setCopiedUrl(true)
+      setTimeout(() => setCopiedUrl(false), 2000)
+    } catch (err) {
+      console.error('Copy failed:', err)
+    }
+  }
+
   const formatFileSize = (bytes) => {
     if (bytes === 0) return '0 Bytes'
     const k = 1024
@@ -42,16 +103,208 @@ const DownloadSection = ({ compressedData }) => {
                 {compressedData.compressionRatio}%
               </span>
             </div>
+            {compressedData.animation && (
+              <div className="stat">
+                <span className="stat-label">Frames:</span>
+                <span className="stat-value">
+                  {compressedData.animation.frames} / {compressedData.animation.sourceFrames}
+                </span>
+              </div>
+            )}
+            {compressedData.metrics && (
+              <>
+                <div className="stat">
+                  <span className="stat-label" title="Structural similarity to the original (1 = identical)">
+                    SSIM:
+                  </span>
+                  <span className="stat-value">
+                    {compressedData.metrics.ssim.toFixed(4)}
+                  </span>
+                </div>
+                <div className="stat">
+                  <span className="stat-label" title="Peak signal-to-noise ratio (higher is better)">
+                    PSNR:
+                  </span>
+                  <span className="stat-value">
+                    {compressedData.metrics.psnr} dB
+                  </span>
+                </div>
+              </>
+            )}
           </div>
         </div>
         
+        {compressedData.animation && !['gif', 'webp'].includes(compressedData.format) && (
+          <p className="expiry-notice">
+            ℹ️ {compressedData.format.toUpperCase()} can&apos;t be animated, so only the first frame was kept. Choose GIF or WebP to keep the animation.
+          </p>
+        )}
+
+        {compressedData.metadata && (
+          <div className="metadata-info">
+            {compressedData.metadata.source.camera && (
+              <p>
+                Camera: {[compressedData.metadata.source.camera.make, compressedData.metadata.source.camera.model]
+                  .filter(Boolean)
+                  .join(' ')}
+              </p>
+            )}
+            {compressedData.metadata.source.gpsPresent && (
+              <p>⚠️ Original contains GPS location</p>
+            )}
+            {compressedData.metadata.source.iccProfile && (
+              <p>Color profile: {compressedData.metadata.source.iccProfile}</p>
+            )}
+            <p>
+              Removed: {compressedData.metadata.removed.length > 0
+                ? compressedData.metadata.removed.join(', ')
+                : 'Nothing'}
+            </p>
+          </div>
+        )}
+
+        {compressedData.autoFormat && (
+          <div className="variants">
+            <h4>Format Comparison</h4>
+            <p className="option-hint">
+              {compressedData.autoFormat.minSsim
+                ? `The smallest output with SSIM ≥ ${compressedData.autoFormat.minSsim} was kept`
+                : 'The best-looking output under the target size was kept'}
+            </p>
+            <table className="variants-table">
+              <thead>
+                <tr>
+                  <th>Format</th>
+                  <th>Size</th>
+                  <th>Quality</th>
+                  <th>SSIM</th>
+                  <th>Time</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {compressedData.autoFormat.candidates.map(candidate => {
+                  const chosen = candidate.format === compressedData.autoFormat.chosen
+                  return (
+                    <tr key={candidate.format} className={chosen ? 'chosen' : ''}>
+                      <td>{candidate.format.toUpperCase()}</td>
+                      <td>{formatFileSize(candidate.size)}</td>
+                      <td>{candidate.quality}%</td>
+                      <td>{candidate.metrics.ssim.toFixed(3)}</td>
+                      <td>{candidate.time} ms</td>
+                      <td>
+                        {chosen
+                          ? '✓ Chosen'
+                          : !candidate.eligible && (compressedData.autoFormat.minSsim ? 'Below quality floor' : 'Over target')}
+                      </td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {compressedData.variants && (
+          <div className="variants">
+            <h4>Responsive Variants ({compressedData.variants.length})</h4>
+            <table className="variants-table">
+              <thead>
+                <tr>
+                  <th>Format</th>
+                  <th>Dimensions</th>
+                  <th>Size</th>
+                  <th>SSIM</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {compressedData.variants.map(variant => (
+                  <tr key={variant.fileName}>
+                    <td>{variant.format.toUpperCase()}</td>
+                    <td>{variant.width} × {variant.height}</td>
+                    <td>{formatFileSize(variant.size)}</td>
+                    <td>{variant.metrics?.ssim.toFixed(3)}</td>
+                    <td>
+                      <a
+                        href={`http://localhost:3001${variant.downloadUrl}`}
+                        download
+                        className="variant-link"
+                      >
+                        Download
+                      </a>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <div className="snippet">
+              <div className="snippet-header">
+                <span>HTML snippet</span>
+                <button onClick={handleCopySnippet} className="copy-btn">
+                  {copied ? '✓ Copied' : '📋 Copy'}
+                </button>
+              </div>
+              <pre>{compressedData.html}</pre>
+            </div>
+          </div>
+        )}
+
+        {!compressedData.variants && transformUrl && (
+          <div className="snippet">
+            <div className="snippet-header">
+              <span>
+                {transformExpiresAt
+                  ? `Signed image URL (valid until ${new Date(transformExpiresAt).toLocaleString()})`
+                  : 'Image URL (change w, fmt and q to resize or convert)'}
+              </span>
+              <button onClick={handleCopyUrl} className="copy-btn">
+                {copiedUrl ? '✓ Copied' : '📋 Copy'}
+              </button>
+            </div>
+            <pre>{transformUrl}</pre>
+          </div>
+        )}
+
+        {(compressedData.recordId || compressedData.recordIds) && (
+          <div className="share-section">
+            <h4>Share this result</h4>
+            <ShareForm recordIds={compressedData.recordId ? [compressedData.recordId] : compressedData.recordIds} />
+          </div>
+        )}
+
         <button onClick={handleDownload} className="download-btn">
           📥 Download Compressed Image
         </button>
+
+        {compressedData.expiresAt && (
+          <p className="expiry-notice">
+            ⏳ Files are deleted after {new Date(compressedData.expiresAt).toLocaleString()}, download them before then.
+          </p>
+        )}
         
         <div className="format-info">
+          {compressedData.source && `Source: ${getSourceLabel(compressedData.source)} • `}
           Format: {compressedData.format.toUpperCase()} • 
-          Quality: Optimized
+          Quality: {compressedData.quality ? `${compressedData.quality}%` : 'Optimized'}
+          {compressedData.target && (
+            <span>
+              {' • '}
+              {compressedData.target.met
+                ? `Under ${formatFileSize(compressedData.target.size)} target`
+                : `Could not reach ${formatFileSize(compressedData.target.size)} target`}
+              {compressedData.target.downscaled && ' (downscaled)'}
+            </span>
+          )}
+          {compressedData.qualityFloor && (
+            <span>
+              {' • '}
+              {compressedData.qualityFloor.met
+                ? `SSIM ≥ ${compressedData.qualityFloor.minSsim}`
+                : `Could not reach SSIM ${compressedData.qualityFloor.minSsim}`}
+            </span>
+          )}
         </div>
       </div>
     </div>
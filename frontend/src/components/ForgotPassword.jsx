@@ -0,0 +1,45 @@
+import React, { useState } from 'react'
+import { postJson } from '../hooks/useAuth'
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('')
+  const [message, setMessage] = useState('')
+  const [loading, setLoading] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setLoading(true)
+    try {
+      const data = await postJson('/api/auth/forgot-password', { email })
+      setMessage(data.message)
+    } catch (err) {
+      setMessage(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="auth-page">
+      <h3>Forgot your password?</h3>
+      <form onSubmit={handleSubmit}>
+        <p>Enter your email and we&apos;ll send you a link to choose a new one.</p>
+        <input
+          type="email"
+          placeholder="Email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          className="text-input"
+          required
+        />
+        <button type="submit" className="compress-btn" disabled={loading}>
+          {loading ? 'Sending...' : 'Send reset link'}
+        </button>
+        {message && <p className="auth-page-message">{message}</p>}
+      </form>
+      <a href="/" className="auth-page-link">Back to Image Compressor</a>
+    </div>
+  )
+}
+
+export default ForgotPassword
\ No newline at end of file
@@ -1,6 +1,7 @@
 import React from 'react'
+import AuthPanel from './AuthPanel'
 
-const Header = () => {
+const Header = ({ auth }) => {
   return (
     <header className="header">
       <div className="container">
@@ -11,6 +12,7 @@ const Header = () => {
           <p className="tagline">
             Compress your images without losing quality
           </p>
+          <AuthPanel auth={auth} />
         </div>
       </div>
     </header>
@@ -1,7 +1,70 @@
-import React from 'react'
+import React, { useRef, useState } from 'react'
+import { formatNames } from '../utils/fileUtils'
 
-const ImagePreview = ({ originalFile, compressedData, loading }) => {
+const MIN_CROP_SIZE = 5
+
+// The preview applies the crop first, then the rotation and flips, so the
+// crop box can always be drawn on the unrotated original
+const readTransforms = (transforms) => {
+  const crop = transforms.find(t => t.type === 'crop') || null
+  const rotation = transforms
+    .filter(t => t.type === 'rotate')
+    .reduce((total, t) => total + t.angle, 0)
+  const flip = transforms.filter(t => t.type === 'flip').length % 2 === 1
+  const flop = transforms.filter(t => t.type === 'flop').length % 2 === 1
+  return { crop, rotation: ((rotation % 360) + 360) % 360, flip, flop }
+}
+
+const buildTransforms = ({ crop, rotation, flip, flop }) => {
+  const transforms = []
+  if (crop) transforms.push(crop)
+  if (rotation) transforms.push({ type: 'rotate', angle: rotation })
+  if (flip) transforms.push({ type: 'flip' })
+  if (flop) transforms.push({ type: 'flop' })
+  return transforms
+}
+
+// CSS filters approximate the adjustments while editing; gamma, tint, sharpen,
+// normalize and flatten have no CSS equivalent and only show once compressed.
+// Blur is scaled down along with the displayed image.
+const getPreviewFilter = (adjustments, displayScale) => {
+  const filters = []
+  if (adjustments.brightness !== undefined) filters.push(`brightness(${adjustments.brightness})`)
+  if (adjustments.contrast !== undefined) filters.push(`contrast(${adjustments.contrast})`)
+  if (adjustments.saturation !== undefined) filters.push(`saturate(${adjustments.saturation})`)
+  if (adjustments.grayscale) filters.push('grayscale(1)')
+  if (adjustments.sepia) filters.push('sepia(1)')
+  if (adjustments.blur) filters.push(`blur(${adjustments.blur * displayScale}px)`)
+  return filters.join(' ') || undefined
+}
+
+// Adjustments as reported back by the server, for the compressed image's details
+const describeAdjustments = (adjustments) => Object.entries(adjustments)
+  .map(([name, value]) => (value === true ? name : `${name} ${value}`))
+  .join(', ')
+
+const ImagePreview = ({
+  originalFile,
+  sourceFormat,
+  compressedData,
+  loading,
+  progress,
+  transforms = [],
+  adjustments = {},
+  onTransformsChange
+}) => {
   const originalUrl = URL.createObjectURL(originalFile)
+  const imageRef = useRef(null)
+  const [naturalSize, setNaturalSize] = useState(null)
+  const [dragStart, setDragStart] = useState(null)
+  const [draftCrop, setDraftCrop] = useState(null)
+  // Browsers can't display HEIC and most TIFFs, so those get a placeholder
+  const [unviewableFile, setUnviewableFile] = useState(null)
+
+  const current = readTransforms(transforms)
+  const displayScale = naturalSize && imageRef.current
+    ? imageRef.current.clientWidth / naturalSize.width
+    : 1
 
   const formatFileSize = (bytes) => {
     if (bytes === 0) return '0 Bytes'
@@ -11,6 +74,82 @@ const ImagePreview = ({ originalFile, compressedData, loading }) => {
     return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i]
   }
 
+  const updateTransforms = (changes) => {
+    onTransformsChange?.(buildTransforms({ ...current, ...changes }))
+  }
+
+  const getPointerPosition = (e) => {
+    const rect = imageRef.current.getBoundingClientRect()
+    return {
+      x: Math.min(Math.max(e.clientX - rect.left, 0), rect.width),
+      y: Math.min(Math.max(e.clientY - rect.top, 0), rect.height)
+    }
+  }
+
+  const handlePointerDown = (e) => {
+    if (!onTransformsChange || !imageRef.current) return
+    e.preventDefault()
+    e.currentTarget.setPointerCapture(e.pointerId)
+    const start = getPointerPosition(e)
+    setDragStart(start)
+    setDraftCrop({ left: start.x, top: start.y, width: 0, height: 0 })
+  }
+
+  const handlePointerMove = (e) => {
+    if (!dragStart) return
+    const point = getPointerPosition(e)
+    setDraftCrop({
+      left: Math.min(dragStart.x, point.x),
+      top: Math.min(dragStart.y, point.y),
+      width: Math.abs(point.x - dragStart.x),
+      height: Math.abs(point.y - dragStart.y)
+    })
+  }
+
+  const handlePointerUp = () => {
+    if (!dragStart) return
+    setDragStart(null)
+
+    const image = imageRef.current
+    if (draftCrop && draftCrop.width >= MIN_CROP_SIZE && draftCrop.height >= MIN_CROP_SIZE) {
+      // Convert from displayed pixels to the original image's pixels
+      const scaleX = image.naturalWidth / image.clientWidth
+      const scaleY = image.naturalHeight / image.clientHeight
+      updateTransforms({
+        crop: {
+          type: 'crop',
+          left: Math.round(draftCrop.left * scaleX),
+          top: Math.round(draftCrop.top * scaleY),
+          width: Math.round(draftCrop.width * scaleX),
+          height: Math.round(draftCrop.height * scaleY)
+        }
+      })
+    }
+    setDraftCrop(null)
+  }
+
+  const getCropBoxStyle = () => {
+    if (draftCrop) {
+      return {
+        left: `${draftCrop.left}px`,
+        top: `${draftCrop.top}px`,
+        width: `${draftCrop.width}px`,
+        height: `${draftCrop.height}px`
+      }
+    }
+    if (current.crop && naturalSize) {
+      return {
+        left: `${(current.crop.left / naturalSize.width) * 100}%`,
+        top: `${(current.crop.top / naturalSize.height) * 100}%`,
+        width: `${(current.crop.width / naturalSize.width) * 100}%`,
+        height: `${(current.crop.height / naturalSize.height) * 100}%`
+      }
+    }
+    return null
+  }
+
+  const cropBoxStyle = getCropBoxStyle()
+
   return (
     <div className="image-preview">
       <h3>Image Preview</h3>
@@ -19,11 +158,71 @@ const ImagePreview = ({ originalFile, compressedData, loading }) => {
         <div className="preview-item">
           <h4>Original</h4>
           <div className="image-container">
-            <img src={originalUrl} alt="Original" />
+            <div
+              className={`crop-area ${onTransformsChange ? 'editable' : ''}`}
+              onPointerDown={handlePointerDown}
+              onPointerMove={handlePointerMove}
+              onPointerUp={handlePointerUp}
+            >
+              {unviewableFile === originalFile ? (
+                <div className="preview-placeholder">
+                  No browser preview for {formatNames[sourceFormat] || 'this format'} files
+                </div>
+              ) : (
+                <img
+                  ref={imageRef}
+                  src={originalUrl}
+                  alt="Original"
+                  draggable={false}
+                  style={{ filter: getPreviewFilter(adjustments, displayScale) }}
+                  onLoad={(e) => setNaturalSize({
+                    width: e.target.naturalWidth,
+                    height: e.target.naturalHeight
+                  })}
+                  onError={() => setUnviewableFile(originalFile)}
+                />
+              )}
+              {cropBoxStyle && <div className="crop-box" style={cropBoxStyle} />}
+            </div>
           </div>
+          {onTransformsChange && (
+            <div className="transform-controls">
+              <button type="button" onClick={() => updateTransforms({ rotation: (current.rotation + 270) % 360 })}>
+                ⟲ Rotate Left
+              </button>
+              <button type="button" onClick={() => updateTransforms({ rotation: (current.rotation + 90) % 360 })}>
+                ⟳ Rotate Right
+              </button>
+              <button type="button" onClick={() => updateTransforms({ flop: !current.flop })}>
+                ↔ Flip Horizontal
+              </button>
+              <button type="button" onClick={() => updateTransforms({ flip: !current.flip })}>
+                ↕ Flip Vertical
+              </button>
+              <button
+                type="button"
+                onClick={() => onTransformsChange([])}
+                disabled={transforms.length === 0}
+              >
+                Reset
+              </button>
+            </div>
+          )}
           <div className="file-info">
             <p>Size: {formatFileSize(originalFile.size)}</p>
-            <p>Format: {originalFile.name.split('.').pop().toUpperCase()}</p>
+            <p>Format: {formatNames[sourceFormat] || originalFile.name.split('.').pop().toUpperCase()}</p>
+            {current.crop && (
+              <p>Crop: {current.crop.width} × {current.crop.height} px</p>
+            )}
+            {(current.rotation > 0 || current.flip || current.flop) && (
+              <p>
+                {[
+                  current.rotation > 0 && `Rotate ${current.rotation}°`,
+                  current.flop && 'Flip horizontal',
+                  current.flip && 'Flip vertical'
+                ].filter(Boolean).join(' • ')}
+              </p>
+            )}
           </div>
         </div>
 
@@ -31,7 +230,12 @@ const ImagePreview = ({ originalFile, compressedData, loading }) => {
           <h4>Compressed</h4>
           <div className="image-container">
             {loading ? (
-              <div className="loading-spinner">Compressing...</div>
+              <div className="loading-spinner">
+                <p>{progress?.stage || 'Compressing'}...</p>
+                <div className="progress-bar">
+                  <div className="progress-fill" style={{ width: `${progress?.progress ?? 0}%` }} />
+                </div>
+              </div>
             ) : compressedData ? (
               <img 
                 src={`http://localhost:3001${compressedData.downloadUrl}`} 
@@ -45,6 +249,9 @@ const ImagePreview = ({ originalFile, compressedData, loading }) => {
             <div className="file-info">
               <p>Size: {formatFileSize(compressedData.compressedSize)}</p>
               <p>Format: {compressedData.format.toUpperCase()}</p>
+              {compressedData.adjustments && (
+                <p>Adjusted: {describeAdjustments(compressedData.adjustments)}</p>
+              )}
               <p className="savings">
                 Savings: {compressedData.compressionRatio}%
               </p>
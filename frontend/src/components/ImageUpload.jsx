@@ -6,7 +6,8 @@ const ImageUpload = ({ onFileSelect, selectedFile }) => {
   const handleDrop = (e) => {
     e.preventDefault()
     const file = e.dataTransfer.files[0]
-    if (file && file.type.startsWith('image/')) {
+    // The content is checked on select, since HEIC and BMP often have no MIME type
+    if (file) {
       onFileSelect(file)
     }
   }
@@ -37,7 +38,7 @@ const ImageUpload = ({ onFileSelect, selectedFile }) => {
         <input
           ref={fileInputRef}
           type="file"
-          accept="image/*"
+          accept="image/*,.heic,.heif,.tif,.tiff,.svg,.bmp"
           onChange={handleFileInput}
           className="file-input"
         />
@@ -68,7 +69,7 @@ const ImageUpload = ({ onFileSelect, selectedFile }) => {
               <h2>Drag & Drop your image here</h2>
               <p>or click to browse files</p>
               <div className="supported-formats">
-                Supports: JPG, PNG, WebP, AVIF
+                Supports: JPG, PNG, WebP, AVIF, GIF, HEIC, TIFF, SVG, BMP
               </div>
             </>
           )}
@@ -0,0 +1,129 @@
+import React, { useState } from 'react'
+import { usePresets } from '../hooks/usePresets'
+
+const PresetPicker = ({ user, options, onChange }) => {
+  const { presets, shared, error, savePreset, deletePreset } = usePresets(user)
+  const [selectedId, setSelectedId] = useState('')
+  const [name, setName] = useState('')
+  const [share, setShare] = useState(false)
+
+  const allPresets = [...presets, ...shared]
+
+  const handleSelect = (e) => {
+    const presetId = e.target.value
+    setSelectedId(presetId)
+
+    const preset = allPresets.find(p => p.id === presetId)
+    if (!preset) return
+
+    onChange({
+      ...options,
+      quality: preset.quality,
+      format: preset.format,
+      width: preset.width ?? '',
+      height: preset.height ?? '',
+      metadata: preset.metadata,
+      transforms: preset.transforms,
+      targetSize: ''
+    })
+  }
+
+  const handleSave = async () => {
+    const saved = await savePreset({
+      name,
+      quality: options.quality,
+      format: options.format,
+      width: options.width,
+      height: options.height,
+      metadata: options.metadata,
+      transforms: options.transforms,
+      shared: share
+    })
+    if (saved) {
+      setName('')
+      setShare(false)
+    }
+  }
+
+  const handleDelete = async () => {
+    await deletePreset(selectedId)
+    setSelectedId('')
+  }
+
+  return (
+    <div className="preset-picker">
+      <div className="option-group">
+        <label htmlFor="preset">Preset</label>
+        <div className="preset-row">
+          <select
+            id="preset"
+            value={selectedId}
+            onChange={handleSelect}
+            className="format-select"
+          >
+            <option value="">Choose a preset...</option>
+            {presets.length > 0 && (
+              <optgroup label="My presets">
+                {presets.map(preset => (
+                  <option key={preset.id} value={preset.id}>
+                    {preset.name}{preset.shared ? ' (shared)' : ''}
+                  </option>
+                ))}
+              </optgroup>
+            )}
+            {shared.length > 0 && (
+              <optgroup label="Shared presets">
+                {shared.map(preset => (
+                  <option key={preset.id} value={preset.id}>
+                    {preset.name} — {preset.owner}
+                  </option>
+                ))}
+              </optgroup>
+            )}
+          </select>
+          {presets.some(p => p.id === selectedId) && (
+            <button type="button" onClick={handleDelete} className="preset-btn">
+              Delete
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="option-group">
+        <label htmlFor="presetName">Save current settings</label>
+        <div className="preset-row">
+          <input
+            id="presetName"
+            type="text"
+            placeholder="Preset name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            maxLength={50}
+            className="text-input"
+          />
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={!name.trim()}
+            className="preset-btn"
+          >
+            Save
+          </button>
+        </div>
+        {user.role === 'admin' && (
+          <label className="checkbox-label">
+            <input
+              type="checkbox"
+              checked={share}
+              onChange={(e) => setShare(e.target.checked)}
+            />
+            Share with every user
+          </label>
+        )}
+        {error && <div className="option-hint">{error}</div>}
+      </div>
+    </div>
+  )
+}
+
+export default PresetPicker
\ No newline at end of file
@@ -0,0 +1,79 @@
+import React, { useState } from 'react'
+import { postJson } from '../hooks/useAuth'
+
+const ResetPassword = () => {
+  const token = new URLSearchParams(window.location.search).get('token')
+  const [password, setPassword] = useState('')
+  const [confirmPassword, setConfirmPassword] = useState('')
+  const [message, setMessage] = useState('')
+  const [done, setDone] = useState(false)
+  const [loading, setLoading] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (password !== confirmPassword) {
+      setMessage('Passwords do not match')
+      return
+    }
+
+    setLoading(true)
+    try {
+      const data = await postJson('/api/auth/reset-password', { token, password })
+      setMessage(data.message)
+      setDone(true)
+    } catch (err) {
+      setMessage(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  if (!token) {
+    return (
+      <div className="auth-page">
+        <h3>Reset your password</h3>
+        <p>This reset link is incomplete.</p>
+        <a href="/forgot-password" className="auth-page-link">Request a new link</a>
+      </div>
+    )
+  }
+
+  return (
+    <div className="auth-page">
+      <h3>Reset your password</h3>
+      {done ? (
+        <>
+          <p>✅ {message}</p>
+          <a href="/" className="auth-page-link">Continue to Image Compressor</a>
+        </>
+      ) : (
+        <form onSubmit={handleSubmit}>
+          <input
+            type="password"
+            placeholder="New password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            minLength={6}
+            className="text-input"
+            required
+          />
+          <input
+            type="password"
+            placeholder="Confirm new password"
+            value={confirmPassword}
+            onChange={(e) => setConfirmPassword(e.target.value)}
+            minLength={6}
+            className="text-input"
+            required
+          />
+          <button type="submit" className="compress-btn" disabled={loading}>
+            {loading ? 'Saving...' : 'Set new password'}
+          </button>
+          {message && <p className="auth-page-message">{message}</p>}
+        </form>
+      )}
+    </div>
+  )
+}
+
+export default ResetPassword
\ No newline at end of file
@@ -0,0 +1,105 @@
+import React, { useState } from 'react'
+import { createShare } from '../hooks/useShares'
+
+const EXPIRY_OPTIONS = [
+  { label: 'Never expires', value: '' },
+  { label: 'Expires in 1 hour', value: 1 },
+  { label: 'Expires in 1 day', value: 24 },
+  { label: 'Expires in 7 days', value: 168 },
+  { label: 'Expires in 30 days', value: 720 }
+]
+
+const ShareForm = ({ recordIds, onCreated }) => {
+  const [settings, setSettings] = useState({ title: '', expiresInHours: 168, password: '', maxDownloads: '' })
+  const [link, setLink] = useState(null)
+  const [copied, setCopied] = useState(false)
+  const [error, setError] = useState(null)
+
+  const handleChange = (e) => {
+    setSettings({ ...settings, [e.target.name]: e.target.value })
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    try {
+      const data = await createShare({ recordIds, ...settings })
+      setLink(`${window.location.origin}${data.share.url}`)
+      setCopied(false)
+      setError(null)
+      if (onCreated) onCreated(data.share)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(link)
+      setCopied(true)
+      setTimeout(() => setCopied(false), 2000)
+    } catch (err) {
+      console.error('Copy failed:', err)
+    }
+  }
+
+  return (
+    <form className="share-form" onSubmit={handleSubmit}>
+      <div className="share-fields">
+        {recordIds.length > 1 && (
+          <input
+            name="title"
+            className="text-input"
+            placeholder="Gallery title (optional)"
+            value={settings.title}
+            onChange={handleChange}
+            maxLength={100}
+          />
+        )}
+        <select
+          name="expiresInHours"
+          className="format-select"
+          value={settings.expiresInHours}
+          onChange={handleChange}
+        >
+          {EXPIRY_OPTIONS.map(option => (
+            <option key={option.label} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <input
+          name="password"
+          type="password"
+          className="text-input"
+          placeholder="Password (optional)"
+          value={settings.password}
+          onChange={handleChange}
+          minLength={4}
+        />
+        <input
+          name="maxDownloads"
+          type="number"
+          className="text-input"
+          placeholder="Download limit (optional)"
+          value={settings.maxDownloads}
+          onChange={handleChange}
+          min={1}
+        />
+        <button type="submit" className="preset-btn" disabled={recordIds.length === 0}>
+          Create share link
+        </button>
+      </div>
+
+      {link && (
+        <div className="share-link">
+          <input className="text-input" value={link} readOnly onFocus={(e) => e.target.select()} />
+          <button type="button" className="preset-btn" onClick={handleCopy}>
+            {copied ? '✓ Copied' : 'Copy'}
+          </button>
+        </div>
+      )}
+
+      {error && <p className="share-error">{error}</p>}
+    </form>
+  )
+}
+
+export default ShareForm
\ No newline at end of file
@@ -0,0 +1,112 @@
+import React, { useState } from 'react'
+import { useSharedGallery } from '../hooks/useShares'
+import { formatFileSize } from '../utils/fileUtils'
+
+// Public page for a share link: before/after stats for each shared image
+const SharePage = () => {
+  const token = new URLSearchParams(window.location.search).get('token')
+  const { share, status, error, open } = useSharedGallery(token)
+  const [password, setPassword] = useState('')
+
+  const handleUnlock = (e) => {
+    e.preventDefault()
+    open(password)
+  }
+
+  if (status === 'loading') {
+    return <div className="auth-page"><p>Loading shared images...</p></div>
+  }
+
+  if (status === 'password') {
+    return (
+      <div className="auth-page">
+        <h3>🔒 This share is password protected</h3>
+        <form onSubmit={handleUnlock}>
+          {error && <p className="auth-page-message">{error}</p>}
+          <input
+            type="password"
+            placeholder="Password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className="text-input"
+            required
+          />
+          <button type="submit" className="compress-btn">View images</button>
+        </form>
+      </div>
+    )
+  }
+
+  if (status === 'error') {
+    return (
+      <div className="auth-page">
+        <h3>Share unavailable</h3>
+        <p className="auth-page-message">{error}</p>
+        <a href="/" className="auth-page-link">Go to Image Compressor</a>
+      </div>
+    )
+  }
+
+  const limitReached = share.downloadsRemaining === 0
+  const totalSaved = share.totalOriginalSize - share.totalCompressedSize
+
+  return (
+    <div className="shares-panel">
+      <div className="admin-header">
+        <div>
+          <h3>{share.title || (share.type === 'collection' ? 'Shared gallery' : share.items[0].originalFilename)}</h3>
+          {share.sharedBy && <p className="option-hint">Shared by {share.sharedBy}</p>}
+        </div>
+        <a href="/" className="auth-page-link">Compress your own images</a>
+      </div>
+
+      <p className="share-summary">
+        {share.items.length} {share.items.length === 1 ? 'image' : 'images'} •
+        {' '}{formatFileSize(share.totalOriginalSize)} → {formatFileSize(share.totalCompressedSize)}
+        {' '}({formatFileSize(totalSaved)} saved)
+        {share.downloadsRemaining !== null && ` • ${share.downloadsRemaining} downloads left`}
+        {share.expiresAt && ` • Available until ${new Date(share.expiresAt).toLocaleString()}`}
+      </p>
+
+      <div className="share-gallery">
+        {share.items.map(item => (
+          <div key={item.id} className="share-item">
+            <img src={`http://localhost:3001${item.previewUrl}`} alt={item.originalFilename} />
+            <div className="share-item-info">
+              <strong>{item.originalFilename}</strong>
+              <div className="share-item-stats">
+                <span>Original</span>
+                <span>{formatFileSize(item.originalSize)}</span>
+                <span>Compressed</span>
+                <span>{formatFileSize(item.compressedSize)} ({item.format.toUpperCase()})</span>
+                <span>Reduction</span>
+                <span>{item.compressionRatio}%</span>
+                {item.metrics?.ssim !== undefined && (
+                  <>
+                    <span>SSIM</span>
+                    <span>{item.metrics.ssim.toFixed(4)}</span>
+                  </>
+                )}
+                {item.dimensions?.compressed && (
+                  <>
+                    <span>Dimensions</span>
+                    <span>{item.dimensions.compressed.width} × {item.dimensions.compressed.height}</span>
+                  </>
+                )}
+              </div>
+              {limitReached ? (
+                <span className="option-hint">Download limit reached</span>
+              ) : (
+                <a href={`http://localhost:3001${item.downloadUrl}`} className="preset-btn">
+                  📥 Download
+                </a>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default SharePage
\ No newline at end of file
@@ -0,0 +1,149 @@
+import React, { useState, useEffect } from 'react'
+import ShareForm from './ShareForm'
+import { useShares } from '../hooks/useShares'
+import { requestJson } from '../hooks/useAuth'
+import { formatFileSize } from '../utils/fileUtils'
+
+const getShareName = (share) => (
+  share.title || share.records[0]?.originalFilename || `${share.recordCount} images`
+)
+
+const SharesPanel = ({ user }) => {
+  const { shares, error, refresh, revokeShare } = useShares(user)
+  const [history, setHistory] = useState([])
+  const [selectedIds, setSelectedIds] = useState([])
+  const [copiedId, setCopiedId] = useState(null)
+
+  // Recent compressions to pick gallery images from
+  useEffect(() => {
+    if (!user) return
+
+    requestJson('/api/compression/history?limit=50')
+      .then(data => setHistory(data.history))
+      .catch(err => console.error('Loading history failed:', err))
+  }, [user])
+
+  if (!user) {
+    return (
+      <div className="auth-page">
+        <h3>Shared links</h3>
+        <p className="auth-page-message">Sign in to share your compressed images.</p>
+        <a href="/" className="auth-page-link">Back to Image Compressor</a>
+      </div>
+    )
+  }
+
+  const toggleRecord = (recordId) => {
+    setSelectedIds(prev => (
+      prev.includes(recordId) ? prev.filter(id => id !== recordId) : [...prev, recordId]
+    ))
+  }
+
+  const handleCopy = async (share) => {
+    try {
+      await navigator.clipboard.writeText(`${window.location.origin}${share.url}`)
+      setCopiedId(share.id)
+      setTimeout(() => setCopiedId(null), 2000)
+    } catch (err) {
+      console.error('Copy failed:', err)
+    }
+  }
+
+  const handleRevoke = (share) => {
+    if (window.confirm(`Revoke the link to ${getShareName(share)}? Anyone who has it will lose access.`)) {
+      revokeShare(share.id)
+    }
+  }
+
+  const handleCreated = () => {
+    setSelectedIds([])
+    refresh()
+  }
+
+  return (
+    <div className="shares-panel">
+      <div className="admin-header">
+        <h3>Shared links</h3>
+        <a href="/" className="auth-page-link">Back to Image Compressor</a>
+      </div>
+
+      {error && <p className="admin-error">{error}</p>}
+
+      <table className="admin-table">
+        <thead>
+          <tr>
+            <th>Shared</th>
+            <th>Downloads</th>
+            <th>Expires</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {shares.map(share => (
+            <tr key={share.id}>
+              <td>
+                <strong>{getShareName(share)}</strong>
+                <div className="option-hint">
+                  {share.type === 'collection' ? `Gallery of ${share.recordCount}` : 'Single image'}
+                  {share.passwordProtected && ' • 🔒 Password'}
+                </div>
+              </td>
+              <td>
+                {share.downloadCount}
+                {share.maxDownloads && ` / ${share.maxDownloads}`}
+              </td>
+              <td>{share.expiresAt ? new Date(share.expiresAt).toLocaleString() : 'Never'}</td>
+              <td className="admin-actions">
+                <button className="preset-btn" onClick={() => handleCopy(share)}>
+                  {copiedId === share.id ? '✓ Copied' : 'Copy link'}
+                </button>
+                <a href={share.url} className="preset-btn" target="_blank" rel="noreferrer">Open</a>
+                <button className="preset-btn danger" onClick={() => handleRevoke(share)}>
+                  Revoke
+                </button>
+              </td>
+            </tr>
+          ))}
+          {shares.length === 0 && (
+            <tr>
+              <td colSpan={4} className="option-hint">No active share links</td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+
+      <div className="admin-detail">
+        <h4>New share</h4>
+        <p className="option-hint">Pick one compression for a single link, or several for a gallery.</p>
+
+        {history.length === 0 ? (
+          <p className="option-hint">Compress an image while signed in to share it</p>
+        ) : (
+          <table className="admin-table">
+            <tbody>
+              {history.map(record => (
+                <tr key={record._id} className={selectedIds.includes(record._id) ? 'selected' : ''}>
+                  <td>
+                    <input
+                      type="checkbox"
+                      checked={selectedIds.includes(record._id)}
+                      onChange={() => toggleRecord(record._id)}
+                    />
+                  </td>
+                  <td>{record.originalFilename}</td>
+                  <td>{record.format}</td>
+                  <td>{formatFileSize(record.originalSize)} → {formatFileSize(record.compressedSize)}</td>
+                  <td>{new Date(record.createdAt).toLocaleString()}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        <ShareForm recordIds={selectedIds} onCreated={handleCreated} />
+      </div>
+    </div>
+  )
+}
+
+export default SharesPanel
\ No newline at end of file
@@ -0,0 +1,48 @@
+import React from 'react'
+import { formatFileSize } from '../utils/fileUtils'
+
+const UsageMeter = ({ label, used, limit, format = value => value }) => {
+  const percent = limit ? Math.min(100, (used / limit) * 100) : 0
+
+  return (
+    <div className="usage-meter">
+      <div className="usage-label">
+        <span>{label}</span>
+        <span>{format(used)} / {limit ? format(limit) : 'Unlimited'}</span>
+      </div>
+      {limit && (
+        <div className="progress-bar">
+          <div
+            className={`progress-fill ${percent >= 90 ? 'usage-high' : ''}`}
+            style={{ width: `${percent}%` }}
+          />
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Shows the signed-in user's quota usage from /api/auth/me
+const UsageBar = ({ quota }) => {
+  if (!quota) return null
+
+  const { limits, usage } = quota
+
+  return (
+    <div className="usage-bar">
+      <UsageMeter
+        label="Compressions today"
+        used={usage.compressionsToday}
+        limit={limits.compressionsPerDay}
+      />
+      <UsageMeter
+        label="Storage"
+        used={usage.storedBytes}
+        limit={limits.storageBytes}
+        format={formatFileSize}
+      />
+    </div>
+  )
+}
+
+export default UsageBar
\ No newline at end of file
@@ -0,0 +1,66 @@
+import React, { useState, useEffect } from 'react'
+import { postJson } from '../hooks/useAuth'
+
+const VerifyEmail = () => {
+  const token = new URLSearchParams(window.location.search).get('token')
+  const [status, setStatus] = useState(token ? 'verifying' : 'resend')
+  const [message, setMessage] = useState('')
+  const [email, setEmail] = useState('')
+
+  useEffect(() => {
+    if (!token) return
+
+    postJson('/api/auth/verify-email', { token })
+      .then((data) => {
+        setStatus('verified')
+        setMessage(data.message)
+      })
+      .catch((err) => {
+        setStatus('resend')
+        setMessage(err.message)
+      })
+  }, [token])
+
+  const handleResend = async (e) => {
+    e.preventDefault()
+    try {
+      const data = await postJson('/api/auth/resend-verification', { email })
+      setMessage(data.message)
+    } catch (err) {
+      setMessage(err.message)
+    }
+  }
+
+  return (
+    <div className="auth-page">
+      <h3>Verify your email</h3>
+
+      {status === 'verifying' && <p>Verifying your email address...</p>}
+
+      {status === 'verified' && (
+        <>
+          <p>✅ {message}</p>
+          <a href="/" className="auth-page-link">Continue to Image Compressor</a>
+        </>
+      )}
+
+      {status === 'resend' && (
+        <form onSubmit={handleResend}>
+          {message && <p className="auth-page-message">{message}</p>}
+          <p>Enter your email and we&apos;ll send you a new verification link.</p>
+          <input
+            type="email"
+            placeholder="Email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            className="text-input"
+            required
+          />
+          <button type="submit" className="compress-btn">Send verification link</button>
+        </form>
+      )}
+    </div>
+  )
+}
+
+export default VerifyEmail
\ No newline at end of file
@@ -0,0 +1,225 @@
+import React, { useState } from 'react'
+import { useWatermarks } from '../hooks/useWatermarks'
+
+const POSITIONS = [
+  'top-left', 'top', 'top-right',
+  'left', 'center', 'right',
+  'bottom-left', 'bottom', 'bottom-right'
+]
+
+const DEFAULT_WATERMARK = {
+  type: 'text',
+  text: '',
+  color: '#ffffff',
+  position: 'bottom-right',
+  opacity: 0.5,
+  scale: 0.2,
+  tile: false
+}
+
+// A watermark is either typed in here (with an optional logo upload) or one
+// the user saved earlier, which is sent by id
+const WatermarkPanel = ({ user, options, onChange }) => {
+  const { watermarks, error, saveWatermark, deleteWatermark } = useWatermarks(user)
+  const [name, setName] = useState('')
+
+  const watermark = options.watermark
+  const selected = watermarks.find(w => w.id === options.watermarkId)
+
+  const setWatermark = (changes) => {
+    onChange({ ...options, watermark: { ...watermark, ...changes }, watermarkId: '' })
+  }
+
+  const handleTypeChange = (e) => {
+    const type = e.target.value
+    onChange({
+      ...options,
+      watermark: type ? { ...DEFAULT_WATERMARK, ...watermark, type } : null,
+      watermarkImage: type === 'image' ? options.watermarkImage : null,
+      watermarkId: ''
+    })
+  }
+
+  const handleSavedChange = (e) => {
+    onChange({ ...options, watermarkId: e.target.value, watermark: null, watermarkImage: null })
+  }
+
+  const handleSave = async () => {
+    const saved = await saveWatermark(name, watermark, options.watermarkImage)
+    if (saved) {
+      setName('')
+      onChange({ ...options, watermarkId: saved.id, watermark: null, watermarkImage: null })
+    }
+  }
+
+  const handleDelete = async () => {
+    await deleteWatermark(options.watermarkId)
+    onChange({ ...options, watermarkId: '' })
+  }
+
+  const isComplete = watermark && (watermark.type === 'text' ? !!watermark.text.trim() : !!options.watermarkImage)
+
+  return (
+    <div className="adjustments-panel">
+      <div className="adjustments-header">
+        <h4>Watermark</h4>
+        <button
+          type="button"
+          className="preset-btn"
+          onClick={() => onChange({ ...options, watermark: null, watermarkImage: null, watermarkId: '' })}
+          disabled={!watermark && !options.watermarkId}
+        >
+          Remove
+        </button>
+      </div>
+
+      <div className="options-grid">
+        {user && (
+          <div className="option-group">
+            <label htmlFor="savedWatermark">Saved watermark</label>
+            <div className="preset-row">
+              <select
+                id="savedWatermark"
+                value={options.watermarkId}
+                onChange={handleSavedChange}
+                className="format-select"
+              >
+                <option value="">{watermarks.length > 0 ? 'Choose a watermark...' : 'No saved watermarks'}</option>
+                {watermarks.map(saved => (
+                  <option key={saved.id} value={saved.id}>
+                    {saved.name} ({saved.type === 'text' ? `"${saved.text}"` : 'logo'})
+                  </option>
+                ))}
+              </select>
+              {selected && (
+                <button type="button" onClick={handleDelete} className="preset-btn">
+                  Delete
+                </button>
+              )}
+            </div>
+            {error && <div className="option-hint">{error}</div>}
+          </div>
+        )}
+
+        {!selected && (
+          <div className="option-group">
+            <label htmlFor="watermarkType">Type</label>
+            <select
+              id="watermarkType"
+              value={watermark?.type || ''}
+              onChange={handleTypeChange}
+              className="format-select"
+            >
+              <option value="">None</option>
+              <option value="text">Text</option>
+              <option value="image">Logo image</option>
+            </select>
+            {watermark?.type === 'text' && (
+              <div className="preset-row">
+                <input
+                  type="text"
+                  placeholder="© Your name"
+                  value={watermark.text}
+                  onChange={(e) => setWatermark({ text: e.target.value })}
+                  maxLength={200}
+                  className="text-input"
+                />
+                <input
+                  type="color"
+                  value={watermark.color}
+                  onChange={(e) => setWatermark({ color: e.target.value })}
+                />
+              </div>
+            )}
+            {watermark?.type === 'image' && (
+              <input
+                type="file"
+                accept="image/*"
+                onChange={(e) => onChange({ ...options, watermarkImage: e.target.files[0] || null })}
+              />
+            )}
+          </div>
+        )}
+
+        {watermark && (
+          <>
+            <div className="option-group">
+              <label htmlFor="watermarkPosition">Position</label>
+              <select
+                id="watermarkPosition"
+                value={watermark.position}
+                onChange={(e) => setWatermark({ position: e.target.value })}
+                className="format-select"
+                disabled={watermark.tile}
+              >
+                {POSITIONS.map(position => (
+                  <option key={position} value={position}>{position.replace('-', ' ')}</option>
+                ))}
+              </select>
+              <label className="checkbox-label">
+                <input
+                  type="checkbox"
+                  checked={watermark.tile}
+                  onChange={(e) => setWatermark({ tile: e.target.checked })}
+                />
+                Repeat across the image
+              </label>
+            </div>
+
+            <div className="option-group">
+              <label htmlFor="watermarkOpacity">Opacity: {Math.round(watermark.opacity * 100)}%</label>
+              <input
+                id="watermarkOpacity"
+                type="range"
+                min="5"
+                max="100"
+                step="5"
+                value={watermark.opacity * 100}
+                onChange={(e) => setWatermark({ opacity: e.target.value / 100 })}
+                className="slider"
+              />
+              <label htmlFor="watermarkScale">Size: {Math.round(watermark.scale * 100)}% of the width</label>
+              <input
+                id="watermarkScale"
+                type="range"
+                min="5"
+                max="100"
+                step="5"
+                value={watermark.scale * 100}
+                onChange={(e) => setWatermark({ scale: e.target.value / 100 })}
+                className="slider"
+              />
+            </div>
+
+            {user && (
+              <div className="option-group">
+                <label htmlFor="watermarkName">Save this watermark</label>
+                <div className="preset-row">
+                  <input
+                    id="watermarkName"
+                    type="text"
+                    placeholder="Watermark name"
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    maxLength={50}
+                    className="text-input"
+                  />
+                  <button
+                    type="button"
+                    onClick={handleSave}
+                    disabled={!name.trim() || !isComplete}
+                    className="preset-btn"
+                  >
+                    Save
+                  </button>
+                </div>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default WatermarkPanel
\ No newline at end of file
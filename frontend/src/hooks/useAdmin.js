@@ -0,0 +1,86 @@
+import { useState, useEffect, useCallback } from 'react'
+import { requestJson } from './useAuth'
+
+export const useAdmin = (user) => {
+  const [users, setUsers] = useState([])
+  const [pagination, setPagination] = useState(null)
+  const [filters, setFilters] = useState({ search: '', role: '', status: '', page: 1 })
+  const [selected, setSelected] = useState(null)
+  const [error, setError] = useState(null)
+
+  const isAdmin = user?.role === 'admin'
+
+  const refresh = useCallback(async () => {
+    if (!isAdmin) return
+
+    const params = new URLSearchParams()
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params.set(key, value)
+    })
+
+    try {
+      const data = await requestJson(`/api/admin/users?${params}`)
+      setUsers(data.users)
+      setPagination(data.pagination)
+      setError(null)
+    } catch (err) {
+      setError(err.message)
+    }
+  }, [isAdmin, filters])
+
+  useEffect(() => {
+    refresh()
+  }, [refresh])
+
+  const selectUser = async (userId) => {
+    if (!userId) {
+      setSelected(null)
+      return
+    }
+
+    try {
+      setSelected(await requestJson(`/api/admin/users/${userId}`))
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  // Runs an action, then reloads the list and the open user
+  const run = async (action, userId) => {
+    try {
+      await action()
+      await refresh()
+      if (selected?.user.id === userId) await selectUser(userId)
+      setError(null)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const updateUser = (userId, changes) => run(() => requestJson(`/api/admin/users/${userId}`, {
+    method: 'PUT',
+    body: JSON.stringify(changes)
+  }), userId)
+
+  const resetQuota = (userId) => run(() => requestJson(`/api/admin/users/${userId}/reset-quota`, {
+    method: 'POST'
+  }), userId)
+
+  const deleteUser = async (userId) => {
+    if (selected?.user.id === userId) setSelected(null)
+    await run(() => requestJson(`/api/admin/users/${userId}`, { method: 'DELETE' }))
+  }
+
+  return {
+    users,
+    pagination,
+    filters,
+    setFilters,
+    selected,
+    error,
+    selectUser,
+    updateUser,
+    resetQuota,
+    deleteUser
+  }
+}
\ No newline at end of file
@@ -0,0 +1,181 @@
+import { useState, useEffect } from 'react'
+
+const TOKEN_KEY = 'authToken'
+const REFRESH_TOKEN_KEY = 'refreshToken'
+const AUTH_CHANGE_EVENT = 'auth-change'
+
+export const getAuthHeaders = () => {
+  const token = localStorage.getItem(TOKEN_KEY)
+  return token ? { Authorization: `Bearer ${token}` } : {}
+}
+
+const storeTokens = ({ token, refreshToken }) => {
+  localStorage.setItem(TOKEN_KEY, token)
+  localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken)
+}
+
+const clearTokens = () => {
+  localStorage.removeItem(TOKEN_KEY)
+  localStorage.removeItem(REFRESH_TOKEN_KEY)
+  window.dispatchEvent(new Event(AUTH_CHANGE_EVENT))
+}
+
+export const postJson = async (url, body) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  })
+  const data = await response.json().catch(() => ({}))
+
+  if (!response.ok) {
+    throw new Error(data.message || data.error || `HTTP error! status: ${response.status}`)
+  }
+  return data
+}
+
+let refreshing = null
+
+// Refresh tokens can only be used once, so concurrent callers share a request
+const refreshSession = () => {
+  if (!refreshing) {
+    const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY)
+
+    refreshing = postJson('/api/auth/refresh', { refreshToken })
+      .then((data) => {
+        storeTokens(data)
+        return true
+      })
+      .catch(() => {
+        // Another tab may have rotated the token in the meantime
+        if (localStorage.getItem(REFRESH_TOKEN_KEY) !== refreshToken) return true
+        clearTokens()
+        return false
+      })
+      .finally(() => {
+        refreshing = null
+      })
+  }
+  return refreshing
+}
+
+// fetch with the access token attached, refreshing it once if it was rejected
+export const authFetch = async (url, options = {}) => {
+  const send = () => fetch(url, {
+    ...options,
+    headers: { ...options.headers, ...getAuthHeaders() }
+  })
+
+  const response = await send()
+  if ((response.status === 401 || response.status === 403) && localStorage.getItem(REFRESH_TOKEN_KEY)) {
+    if (await refreshSession()) return send()
+  }
+  return response
+}
+
+// JSON request through authFetch, throwing the server's message on failure
+export const requestJson = async (url, options = {}) => {
+  const response = await authFetch(url, {
+    ...options,
+    headers: { 'Content-Type': 'application/json' }
+  })
+  const data = await response.json().catch(() => ({}))
+
+  if (!response.ok) {
+    throw new Error(data.message || data.error || `HTTP error! status: ${response.status}`)
+  }
+  return data
+}
+
+export const useAuth = () => {
+  const [user, setUser] = useState(null)
+  const [error, setError] = useState(null)
+  const [loading, setLoading] = useState(false)
+
+  // Restore the session from a stored token
+  useEffect(() => {
+    if (!localStorage.getItem(REFRESH_TOKEN_KEY)) return
+
+    authFetch('/api/auth/me')
+      .then(response => (response.ok ? response.json() : Promise.reject(response)))
+      .then(data => setUser(data.user))
+      .catch(() => clearTokens())
+  }, [])
+
+  // Reloads the profile, e.g. to update quota usage after a compression
+  const refreshUser = async () => {
+    if (!localStorage.getItem(TOKEN_KEY)) return
+
+    try {
+      const data = await requestJson('/api/auth/me')
+      setUser(data.user)
+    } catch (err) {
+      console.error('Failed to refresh profile:', err)
+    }
+  }
+
+  // Drop the user when a refresh fails anywhere in the app
+  useEffect(() => {
+    const handleAuthChange = () => {
+      if (!localStorage.getItem(TOKEN_KEY)) setUser(null)
+    }
+    window.addEventListener(AUTH_CHANGE_EVENT, handleAuthChange)
+    return () => window.removeEventListener(AUTH_CHANGE_EVENT, handleAuthChange)
+  }, [])
+
+  const authenticate = async (url, body) => {
+    setLoading(true)
+    setError(null)
+
+    try {
+      const data = await postJson(url, body)
+      // Registration withholds tokens until the email is verified
+      if (!data.token) {
+        setError(data.message)
+        return false
+      }
+      storeTokens(data)
+      setUser(data.user)
+      // Login responses don't include quota usage
+      refreshUser()
+      return true
+    } catch (err) {
+      setError(err.message || 'Something went wrong')
+      return false
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const login = (email, password) => authenticate('/api/auth/login', { email, password })
+
+  const register = (username, email, password) => (
+    authenticate('/api/auth/register', { username, email, password })
+  )
+
+  // The session is revoked server-side; local tokens are cleared even if that fails
+  const signOut = async (url) => {
+    try {
+      await authFetch(url, { method: 'POST' })
+    } catch (err) {
+      console.error('Logout failed:', err)
+    }
+    clearTokens()
+    setUser(null)
+  }
+
+  const logout = () => signOut('/api/auth/logout')
+
+  const logoutAll = () => signOut('/api/auth/logout-all')
+
+  return {
+    user,
+    error,
+    loading,
+    login,
+    register,
+    logout,
+    logoutAll,
+    refreshUser
+  }
+}
\ No newline at end of file
@@ -1,27 +1,102 @@
 import { useState } from 'react'
+import { authFetch } from './useAuth'
+
+const POLL_INTERVAL = 1000
+
+// Follows a job over Server-Sent Events, falling back to polling its status
+// if the event stream can't be opened or drops
+const waitForJob = (job, onUpdate) => new Promise((resolve, reject) => {
+  const settle = (state) => {
+    onUpdate(state)
+    if (state.status === 'done') {
+      resolve(state.result)
+      return true
+    }
+    if (state.status === 'failed') {
+      reject(new Error(state.error?.message || 'Compression failed'))
+      return true
+    }
+    return false
+  }
+
+  const poll = async () => {
+    try {
+      const response = await fetch(job.statusUrl)
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`)
+      }
+      const data = await response.json()
+      if (!settle(data.job)) setTimeout(poll, POLL_INTERVAL)
+    } catch (err) {
+      reject(err)
+    }
+  }
+
+  if (typeof EventSource === 'undefined') {
+    poll()
+    return
+  }
+
+  const source = new EventSource(job.eventsUrl)
+  source.onmessage = (event) => {
+    if (settle(JSON.parse(event.data))) source.close()
+  }
+  source.onerror = () => {
+    source.close()
+    poll()
+  }
+})
 
 export const useImageCompression = () => {
   const [compressedData, setCompressedData] = useState(null)
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
+  const [progress, setProgress] = useState(null)
 
   const compressImage = async (file, options) => {
     setLoading(true)
     setError(null)
+    setProgress({ status: 'uploading', progress: 0, stage: 'Uploading' })
 
     try {
       const formData = new FormData()
       formData.append('image', file)
       formData.append('quality', options.quality)
       formData.append('format', options.format)
+      formData.append('metadata', options.metadata)
       
       if (options.width) formData.append('width', options.width)
       if (options.height) formData.append('height', options.height)
+      if (options.mode === 'responsive') {
+        formData.append('mode', 'responsive')
+        formData.append('breakpoints', options.breakpoints)
+        formData.append('formats', options.responsiveFormats.join(','))
+      } else if (options.targetSize) {
+        formData.append('targetSizeKB', options.targetSize)
+      } else if (options.minSsim) {
+        formData.append('minSsim', options.minSsim)
+      }
+      if (options.transforms?.length) formData.append('transforms', JSON.stringify(options.transforms))
+      if (options.adjustments && Object.keys(options.adjustments).length) {
+        formData.append('adjustments', JSON.stringify(options.adjustments))
+      }
+      if (options.animated === false) formData.append('animated', 'false')
+      if (options.frameDelay) formData.append('frameDelay', options.frameDelay)
+      if (options.loop !== '' && options.loop !== undefined) formData.append('loop', options.loop)
+      if (options.density) formData.append('density', options.density)
+      if (options.page) formData.append('page', options.page)
+      if (options.watermarkId) {
+        formData.append('watermarkId', options.watermarkId)
+      } else if (options.watermark) {
+        formData.append('watermark', JSON.stringify(options.watermark))
+        if (options.watermarkImage) formData.append('watermarkImage', options.watermarkImage)
+      }
 
+      // Only the upload is time-limited, the job itself reports progress
       const controller = new AbortController()
       const timeoutId = setTimeout(() => controller.abort(), 30000) // 30 seconds timeout
 
-      const response = await fetch('/api/compress', {
+      const response = await authFetch('/api/jobs', {
         method: 'POST',
         body: formData,
         signal: controller.signal
@@ -34,7 +109,8 @@ export const useImageCompression = () => {
         throw new Error(errorData.message || `HTTP error! status: ${response.status}`)
       }
 
-      const data = await response.json()
+      const job = await response.json()
+      const data = await waitForJob(job, setProgress)
 
       if (data.success) {
         setCompressedData(data)
@@ -50,6 +126,7 @@ export const useImageCompression = () => {
       setCompressedData(null)
     } finally {
       setLoading(false)
+      setProgress(null)
     }
   }
 
@@ -59,12 +136,14 @@ export const useImageCompression = () => {
     setCompressedData(null)
     setError(null)
     setLoading(false)
+    setProgress(null)
   }
 
   return {
     compressImage,
     compressedData,
     loading,
+    progress,
     error,
     setErrorMessage,
     reset
@@ -0,0 +1,57 @@
+import { useState, useEffect, useCallback } from 'react'
+import { requestJson } from './useAuth'
+
+export const usePresets = (user) => {
+  const [presets, setPresets] = useState([])
+  const [shared, setShared] = useState([])
+  const [error, setError] = useState(null)
+
+  const refresh = useCallback(async () => {
+    if (!user) {
+      setPresets([])
+      setShared([])
+      return
+    }
+
+    try {
+      const data = await requestJson('/api/presets')
+      setPresets(data.presets)
+      setShared(data.shared)
+      setError(null)
+    } catch (err) {
+      setError(err.message)
+    }
+  }, [user])
+
+  useEffect(() => {
+    refresh()
+  }, [refresh])
+
+  const savePreset = async (preset) => {
+    try {
+      await requestJson('/api/presets', { method: 'POST', body: JSON.stringify(preset) })
+      await refresh()
+      return true
+    } catch (err) {
+      setError(err.message)
+      return false
+    }
+  }
+
+  const deletePreset = async (presetId) => {
+    try {
+      await requestJson(`/api/presets/${presetId}`, { method: 'DELETE' })
+      await refresh()
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  return {
+    presets,
+    shared,
+    error,
+    savePreset,
+    deletePreset
+  }
+}
\ No newline at end of file
@@ -0,0 +1,91 @@
+import { useState, useEffect, useCallback } from 'react'
+import { requestJson } from './useAuth'
+
+export const createShare = (settings) => requestJson('/api/shares', {
+  method: 'POST',
+  body: JSON.stringify(settings)
+})
+
+// The signed-in user's active share links
+export const useShares = (user) => {
+  const [shares, setShares] = useState([])
+  const [error, setError] = useState(null)
+
+  const signedIn = !!user
+
+  const refresh = useCallback(async () => {
+    if (!signedIn) return
+
+    try {
+      const data = await requestJson('/api/shares')
+      setShares(data.shares)
+      setError(null)
+    } catch (err) {
+      setError(err.message)
+    }
+  }, [signedIn])
+
+  useEffect(() => {
+    refresh()
+  }, [refresh])
+
+  const revokeShare = async (shareId) => {
+    try {
+      await requestJson(`/api/shares/${shareId}`, { method: 'DELETE' })
+      await refresh()
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  return {
+    shares,
+    error,
+    refresh,
+    revokeShare
+  }
+}
+
+// Opens a public share. Status is 'loading', 'password', 'ready' or 'error'.
+export const useSharedGallery = (token) => {
+  const [share, setShare] = useState(null)
+  const [status, setStatus] = useState('loading')
+  const [error, setError] = useState(null)
+
+  const open = useCallback(async (password) => {
+    try {
+      const response = await fetch(`/api/shares/public/${token}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ password })
+      })
+      const data = await response.json().catch(() => ({}))
+
+      if (response.ok) {
+        setShare(data.share)
+        setStatus('ready')
+        setError(null)
+      } else if (data.code === 'PASSWORD_REQUIRED') {
+        setStatus('password')
+        setError(password ? data.error : null)
+      } else {
+        setStatus('error')
+        setError(data.message || data.error || `HTTP error! status: ${response.status}`)
+      }
+    } catch (err) {
+      setStatus('error')
+      setError(err.message)
+    }
+  }, [token])
+
+  useEffect(() => {
+    open()
+  }, [open])
+
+  return {
+    share,
+    status,
+    error,
+    open
+  }
+}
\ No newline at end of file
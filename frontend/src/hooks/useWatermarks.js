@@ -0,0 +1,64 @@
+import { useState, useEffect, useCallback } from 'react'
+import { authFetch, requestJson } from './useAuth'
+
+export const useWatermarks = (user) => {
+  const [watermarks, setWatermarks] = useState([])
+  const [error, setError] = useState(null)
+
+  const refresh = useCallback(async () => {
+    if (!user) {
+      setWatermarks([])
+      return
+    }
+
+    try {
+      const data = await requestJson('/api/watermarks')
+      setWatermarks(data.watermarks)
+      setError(null)
+    } catch (err) {
+      setError(err.message)
+    }
+  }, [user])
+
+  useEffect(() => {
+    refresh()
+  }, [refresh])
+
+  // Sent as a form so image watermarks can include the logo
+  const saveWatermark = async (name, watermark, image) => {
+    try {
+      const formData = new FormData()
+      formData.append('name', name)
+      formData.append('watermark', JSON.stringify(watermark))
+      if (image) formData.append('watermarkImage', image)
+
+      const response = await authFetch('/api/watermarks', { method: 'POST', body: formData })
+      const data = await response.json().catch(() => ({}))
+      if (!response.ok) {
+        throw new Error(data.message || data.error || `HTTP error! status: ${response.status}`)
+      }
+
+      await refresh()
+      return data.watermark
+    } catch (err) {
+      setError(err.message)
+      return null
+    }
+  }
+
+  const deleteWatermark = async (watermarkId) => {
+    try {
+      await requestJson(`/api/watermarks/${watermarkId}`, { method: 'DELETE' })
+      await refresh()
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  return {
+    watermarks,
+    error,
+    saveWatermark,
+    deleteWatermark
+  }
+}
\ No newline at end of file
@@ -1,16 +1,63 @@
-export const validateFile = (file) => {
-  const maxSize = 10 * 1024 * 1024 // 10MB
-  const allowedTypes = ['image/jpeg', 'image/png', 'image/webp', 'image/avif']
+const DEFAULT_MAX_SIZE = 10 * 1024 * 1024 // 10MB
 
-  if (!allowedTypes.includes(file.type)) {
-    throw new Error('Please upload a valid image file (JPEG, PNG, WebP, AVIF)')
+export const formatNames = {
+  jpeg: 'JPEG',
+  png: 'PNG',
+  webp: 'WebP',
+  avif: 'AVIF',
+  gif: 'GIF',
+  heif: 'HEIC',
+  tiff: 'TIFF',
+  svg: 'SVG',
+  bmp: 'BMP'
+}
+
+const startsWith = (bytes, signature, offset = 0) => (
+  signature.every((byte, i) => bytes[offset + i] === byte)
+)
+
+const readAscii = (bytes, start, end) => String.fromCharCode(...bytes.slice(start, end))
+
+const SVG_PATTERN = /^\s*(<\?xml[^>]*\?>\s*)?(<!--[\s\S]*?-->\s*|<!DOCTYPE[^>]*>\s*)*<svg[\s>]/i
+
+// Identifies an image by its first bytes, the same way the server does, since
+// browsers report an empty or generic type for HEIC, BMP and others
+export const detectImageFormat = (bytes) => {
+  if (startsWith(bytes, [0xff, 0xd8, 0xff])) return 'jpeg'
+  if (startsWith(bytes, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'png'
+  if (['GIF87a', 'GIF89a'].includes(readAscii(bytes, 0, 6))) return 'gif'
+  if (readAscii(bytes, 0, 4) === 'RIFF' && readAscii(bytes, 8, 12) === 'WEBP') return 'webp'
+  if (startsWith(bytes, [0x49, 0x49, 0x2a, 0x00]) || startsWith(bytes, [0x4d, 0x4d, 0x00, 0x2a])) return 'tiff'
+  if (readAscii(bytes, 0, 2) === 'BM') return 'bmp'
+
+  if (readAscii(bytes, 4, 8) === 'ftyp') {
+    const boxSize = Math.min(new DataView(bytes.buffer).getUint32(0), bytes.length)
+    const brands = [readAscii(bytes, 8, 12)]
+    for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+      brands.push(readAscii(bytes, offset, offset + 4))
+    }
+    if (brands.some(brand => ['avif', 'avis'].includes(brand))) return 'avif'
+    if (brands.some(brand => ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'].includes(brand))) return 'heif'
+  }
+
+  const text = new TextDecoder().decode(bytes).replace(/^\uFEFF/, '')
+  return SVG_PATTERN.test(text) ? 'svg' : null
+}
+
+// Checks the file's content and size, and returns its detected format
+export const validateFile = async (file, maxSize = DEFAULT_MAX_SIZE) => {
+  const bytes = new Uint8Array(await file.slice(0, 4096).arrayBuffer())
+  const format = detectImageFormat(bytes)
+
+  if (!format) {
+    throw new Error(`${file.name} is not a supported image (${Object.values(formatNames).join(', ')})`)
   }
 
   if (file.size > maxSize) {
-    throw new Error('File size must be less than 10MB')
+    throw new Error(`File size must be less than ${formatFileSize(maxSize)}`)
   }
 
-  return true
+  return format
 }
 
 export const formatFileSize = (bytes) => {